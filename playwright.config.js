@@ -1,5 +1,8 @@
 import { defineConfig, devices } from '@playwright/test';
 
+/* Run by the unit project only */
+const UNIT_SPECS = /tests[\\/]unit[\\/]/;
+
 /**
  * @see https://playwright.dev/docs/test-configuration
  */
@@ -32,19 +35,37 @@ export default defineConfig({
 
   /* Configure projects for major browsers */
   projects: [
+    /* Logs in and saves storage state to playwright/.auth for the specs that use it. See https://playwright.dev/docs/auth */
+    {
+      name: 'setup',
+      testMatch: /.*\.setup\.js/,
+    },
+
+    /* Unit specs of the generator itself, run once instead of per browser. Its in-page scripts run in the default chromium. */
+    {
+      name: 'unit',
+      testDir: './tests/unit',
+    },
+
     {
       name: 'chromium',
       use: { ...devices['Desktop Chrome'] },
+      testIgnore: UNIT_SPECS,
+      dependencies: ['setup'],
     },
 
     {
       name: 'firefox',
       use: { ...devices['Desktop Firefox'] },
+      testIgnore: UNIT_SPECS,
+      dependencies: ['setup'],
     },
 
     {
       name: 'webkit',
       use: { ...devices['Desktop Safari'] },
+      testIgnore: UNIT_SPECS,
+      dependencies: ['setup'],
     },
 
     /* Test against mobile viewports. */
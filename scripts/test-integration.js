@@ -1,22 +1,30 @@
 #!/usr/bin/env node
 
 import { AIPlaywrightIntegration } from '../src/ai-integration.js';
+import {
+  defaultApiKey,
+  providerRequiresApiKey,
+  resolveProviderName,
+} from '../src/llm-providers.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 async function testIntegration() {
-  const apiKey = process.env.OPENAI_API_KEY;
+  const provider = resolveProviderName();
+  const apiKey = defaultApiKey(provider);
 
-  if (!apiKey) {
-    console.error('❌ OPENAI_API_KEY not found in environment variables');
-    console.log('Please set your OpenAI API key in the .env file');
+  if (!apiKey && providerRequiresApiKey(provider)) {
+    console.error(`❌ No API key found for the ${provider} provider`);
+    console.log(
+      'Set the API key in the .env file, or use LLM_PROVIDER=scripted to run offline'
+    );
     process.exit(1);
   }
 
-  console.log('🎭 Testing Playwright AI Integration\n');
+  console.log(`🎭 Testing Playwright AI Integration (${provider})\n`);
 
-  const integration = new AIPlaywrightIntegration(apiKey);
+  const integration = new AIPlaywrightIntegration({ provider, apiKey });
 
   try {
     console.log('📡 Starting MCP server...');
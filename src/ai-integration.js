@@ -1,107 +1,406 @@
-import OpenAI from 'openai';
-import { spawn } from 'child_process';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
 import { EventEmitter } from 'events';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLLMProvider } from './llm-providers.js';
+import {
+  PROJECT_DIR,
+  readSpec,
+  readTestReport,
+  reportFailures,
+  resolveSpecPath,
+  validateGeneratedTest,
+} from './test-files.js';
+import { getArtifactsRoot } from './artifacts.js';
+import { checkSyntax } from './code-emitter.js';
+import {
+  failingStepIndex,
+  replaceLines,
+  specSteps,
+  unifiedDiff,
+} from './spec-repair.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MCP_SERVER_PATH = path.join(__dirname, 'mcp-server.js');
+
+// Tools the model may not call directly in agent mode. The integration
+// generates the test itself once the loop has finished.
+const AGENT_EXCLUDED_TOOLS = [
+  'generate_test',
+  'start_prompt',
+  'start_recording',
+  'stop_recording',
+  'start_trace',
+  'stop_trace',
+  'fresh_page',
+];
+
+// Synthetic tool that lets the model end the agent loop explicitly
+const FINISH_TOOL = {
+  name: 'finish',
+  description:
+    'Call this when the task is complete, or when it cannot be completed. Do not call any other tool in the same turn.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      summary: {
+        type: 'string',
+        description: 'Short summary of what was done',
+      },
+      success: {
+        type: 'boolean',
+        description: 'Whether the task was completed successfully',
+        default: true,
+      },
+    },
+    required: ['summary'],
+  },
+};
+
+// Actions the model can plan with, in the system prompts of plan mode and
+// of suites
+const AVAILABLE_ACTIONS = `- launch_browser: Launch browser (specify headless: true/false; optional browserType: "chromium", "firefox" or "webkit", device such as "iPhone 12" or "Pixel 5", viewport: {width, height}, locale, timezoneId, colorScheme: "light" or "dark", geolocation: {latitude, longitude}, storageState: name of a saved login state such as "user" to start logged in)
+- navigate_to: Navigate to URL
+- inspect_page: Inspect page for forms, inputs, buttons (elementType: "forms", "inputs", "buttons", or "all")
+- generate_page_object: Generate a Page Object Model class for the current page (optional className, formSelector, save: true to write it to the pages directory)
+- github_search: Specialized search for GitHub (use this instead of manual search on GitHub)
+- click_element: Click element by selector
+- fill_input: Fill input field with text
+- select_option: Select an option in a <select> (selector, value: option value or label, or an array)
+- check / uncheck: Check or uncheck a checkbox or radio button (selector)
+- hover: Hover over an element (selector)
+- dblclick / right_click: Double-click or right-click an element (selector)
+- press_key: Press a key (key such as "Enter" or "ArrowDown", optional modifiers: ["Control", "Shift", "Alt", "Meta"], optional selector)
+- type_text: Type text key by key, for autocomplete widgets (selector, text, optional delay, clear)
+- drag_and_drop: Drag one element onto another (source, target)
+- upload_file: Upload files from the fixtures directory into a file input (selector, files)
+- scroll: Scroll an element into view (selector) or the page (deltaX, deltaY)
+- wait_for_element: Wait for element to appear
+- take_screenshot: Take a screenshot (optional filename, selector to capture one element, fullPage: true)
+- route_request: Mock requests matching a URL glob (url such as "**/api/items*", action: "fulfill" or "abort", optional status, body or json, contentType, headers). Put it before the step that sends the request
+- record_har: Record the page's network traffic into a HAR file (filename, optional url glob); it is written when the browser closes, and only then does the generated test replay it
+- replay_har: Answer requests from a recorded HAR file (filename, optional url glob, notFound: "abort" or "fallback")
+- save_storage_state: Save the browser's cookies and local storage under a name (name, e.g. "user") after logging in; the test becomes a Playwright setup file
+- wait_for_request: Wait for a request whose URL contains a string (url, optional method); put it right after the step that triggers it
+- wait_for_response: Wait for a response whose URL contains a string and optionally check its status (url, optional method, status)
+- wait_for_popup: Click an element that opens a new tab or popup and switch to it (selector)
+- list_pages: List open pages (tabs and popups) with their ids
+- switch_page: Make another page active (pageId from list_pages, e.g. "page1")
+- new_tab: Open a new tab and switch to it (optional url)
+- close_tab: Close a page (optional pageId, default the active one)
+- switch_to_frame: Run the following element actions inside an iframe (selector, name or url)
+- switch_to_main_frame: Leave all iframes
+- assert_visible: Assert an element is visible (selector, optional visible: false to assert it is hidden)
+- assert_text: Assert an element contains text (selector, text, optional exact: true)
+- assert_url: Assert the current URL contains a string (url, optional exact: true)
+- assert_title: Assert the page title contains a string (title, optional exact: true)
+- assert_value: Assert the value of an input field (selector, value)
+- assert_count: Assert how many elements match a selector (selector, count)`;
+
+// Tool results longer than this are truncated before going back to the model
+const MAX_TOOL_RESULT_LENGTH = 20000;
+
+// Default MCP request timeout. Tools wait up to 30s by default, plus the
+// time they take to find the element and to report failures.
+const DEFAULT_REQUEST_TIMEOUT = 60000;
+
+// Time a tool call is given on top of its own timeout argument
+const TOOL_TIMEOUT_MARGIN = 30000;
+
+// Image blocks carry the whole screenshot. Results handed to callers and the
+// UI name the stored artifact instead (see /api/artifacts).
+function withoutImageData(result) {
+  const artifacts = result._meta?.artifacts || [];
+  let index = 0;
+
+  return {
+    ...result,
+    content: (result.content || []).map((block) =>
+      block.type === 'image'
+        ? {
+            type: 'image',
+            mimeType: block.mimeType,
+            artifact: artifacts[index++],
+          }
+        : block
+    ),
+  };
+}
+
+// Markdown code blocks models like to wrap JSON replies in
+const JSON_ARRAY_BLOCK = /```(?:json)?\s*(\[[\s\S]*?\])\s*```/;
+const JSON_OBJECT_BLOCK = /```(?:json)?\s*(\{[\s\S]*\})\s*```/;
+
+// Parses the JSON of a model reply, or of the code block in it matching
+// blockPattern
+function parseJsonReply(text, blockPattern) {
+  try {
+    const jsonMatch = text.match(blockPattern);
+    return JSON.parse(jsonMatch ? jsonMatch[1] : text);
+  } catch (error) {
+    throw new Error(`Failed to parse AI response: ${error.message}`);
+  }
+}
+
+// Code of the spec a prompt generated: the last result, when it is a
+// generate_test result
+function generatedTestCode(result) {
+  const last = result.results?.at(-1);
+  const text = last?.content?.[0]?.text;
+  return !last?.isError && text?.includes("from '@playwright/test'")
+    ? text
+    : null;
+}
+
+// A prompt whose generated test failed on its own run did not succeed, even
+// though every step ran in the session
+function withValidation(result, validation) {
+  return validation.success
+    ? { ...result, validation }
+    : {
+        ...result,
+        success: false,
+        error:
+          result.error ||
+          `The generated test failed on its own run: ${validation.error}`,
+        message: 'Test generated, but it failed on its own run',
+        validation,
+      };
+}
+
+// Trace titles longer than this are cut, prompts can be long
+const MAX_TRACE_TITLE_LENGTH = 100;
+
+// How long a tool call took on the MCP server, which reports it in _meta
+function stepTiming(action, result) {
+  return {
+    name: action.name,
+    durationMs: result?._meta?.durationMs ?? null,
+    isError: !!result?.isError,
+  };
+}
 
 export class AIPlaywrightIntegration extends EventEmitter {
-  constructor(apiKey) {
+  // options: { provider, apiKey, model, baseURL, script, scriptFile, mode,
+  // maxSteps, usePageObjects, artifactsDir, validate, repair }. mode is
+  // "plan" (ask for the whole action array up front) or "agent" (feed every
+  // tool result back to the model step by step).
+  // A bare string is still accepted as an OpenAI API key.
+  constructor(options = {}) {
     super();
-    this.openai = new OpenAI({ apiKey });
-    this.mcpProcess = null;
+    const llmOptions =
+      typeof options === 'string' ? { apiKey: options } : options;
+    this.llm = createLLMProvider(llmOptions);
+    this.mode = llmOptions.mode || process.env.PROMPT_MODE || 'plan';
+    this.maxSteps =
+      Number(llmOptions.maxSteps || process.env.AGENT_MAX_STEPS) || 20;
+    // Generate tests against page objects created with generate_page_object
+    this.usePageObjects =
+      llmOptions.usePageObjects ?? process.env.USE_PAGE_OBJECTS === 'true';
+    this.toolDefinitions = null;
+    this.mcpClient = null;
+    this.mcpTransport = null;
     this.isConnected = false;
-    this.messageId = 0;
+    this.requestTimeout =
+      Number(process.env.MCP_REQUEST_TIMEOUT) || DEFAULT_REQUEST_TIMEOUT;
     this.browserLaunched = false; // Track if browser has been launched
+    this.recording = false;
+    // Where the MCP server stores screenshots, see artifacts.js
+    this.artifactsDir = llmOptions.artifactsDir || null;
+    // Run every generated spec headlessly before returning it, and let the
+    // model revise the actions once when it fails
+    this.validateTests =
+      llmOptions.validate ?? process.env.VALIDATE_TESTS === 'true';
+    this.repairTests = llmOptions.repair ?? process.env.REPAIR_TESTS === 'true';
+    this.validationTimeout = Number(process.env.VALIDATION_TIMEOUT) || 120000;
   }
 
+  // Spawns the MCP server as a child process and performs the MCP initialize
+  // handshake. Resolves once the server has answered with its capabilities.
   async startMCPServer() {
-    return new Promise((resolve, reject) => {
-      this.mcpProcess = spawn('node', ['src/mcp-server.js'], {
-        stdio: ['pipe', 'pipe', 'pipe'],
-      });
+    const transport = new StdioClientTransport({
+      command: process.execPath,
+      args: [MCP_SERVER_PATH],
+      // The SDK only forwards a minimal environment by default, but the
+      // server reads HEADLESS and friends from ours
+      env: {
+        ...Object.fromEntries(
+          Object.entries(process.env).filter(([, value]) => value !== undefined)
+        ),
+        ...(this.artifactsDir ? { MCP_ARTIFACTS_DIR: this.artifactsDir } : {}),
+      },
+    });
 
-      this.mcpProcess.stderr.on('data', (data) => {
-        if (data.toString().includes('Playwright MCP server running')) {
-          this.isConnected = true;
-          resolve();
-        }
-      });
+    const client = new Client(
+      {
+        name: 'playwright-ai-integration',
+        version: '1.0.0',
+      },
+      {
+        capabilities: {},
+      }
+    );
 
-      this.mcpProcess.on('error', reject);
-    });
+    client.onclose = () => {
+      if (this.isConnected) {
+        console.warn('MCP server process exited');
+      }
+      this.isConnected = false;
+      this.browserLaunched = false;
+      this.recording = false;
+      this.toolDefinitions = null;
+    };
+
+    client.onerror = (error) => {
+      console.error('MCP transport error:', error.message);
+    };
+
+    try {
+      await client.connect(transport);
+    } catch (error) {
+      await transport.close().catch(() => {});
+      throw new Error(`Failed to start MCP server: ${error.message}`);
+    }
+
+    this.mcpClient = client;
+    this.mcpTransport = transport;
+    this.isConnected = true;
+  }
+
+  // A call with a longer timeout of its own than the request timeout is
+  // given that long, and some more
+  async callTool(name, args = {}) {
+    const toolTimeout = Number(args.timeout) || 0;
+    return this.sendMCPRequest(
+      (options) =>
+        this.mcpClient.callTool({ name, arguments: args }, undefined, options),
+      Math.max(this.requestTimeout, toolTimeout + TOOL_TIMEOUT_MARGIN)
+    );
+  }
+
+  async listTools() {
+    return this.sendMCPRequest((options) =>
+      this.mcpClient.listTools(undefined, options)
+    );
   }
 
-  async sendMCPRequest(method, params = {}) {
+  // Runs a client request with a timeout and turns a dropped connection into
+  // a clear error instead of the SDK's generic "Connection closed"
+  async sendMCPRequest(request, timeout = this.requestTimeout) {
     if (!this.isConnected) {
       throw new Error('MCP server not connected');
     }
 
-    return new Promise((resolve, reject) => {
-      const request = {
-        jsonrpc: '2.0',
-        id: ++this.messageId,
-        method,
-        params,
-      };
+    try {
+      return await request({
+        signal: AbortSignal.timeout(timeout),
+      });
+    } catch (error) {
+      if (!this.isConnected) {
+        throw new Error(
+          `MCP server process exited while handling the request: ${error.message}`
+        );
+      }
+      if (error.name === 'TimeoutError') {
+        throw new Error(`MCP request timeout after ${timeout}ms`);
+      }
+      throw error;
+    }
+  }
 
-      const timeout = setTimeout(() => {
-        reject(new Error('MCP request timeout'));
-      }, 30000);
+  // Every prompt is traced into its own trace.zip artifact, and its result
+  // says where the time went: waiting for the model or in which tool call
+  async processPrompt(prompt, options = {}) {
+    const mode = options.mode || this.mode;
+    const started = Date.now();
 
-      const onData = (data) => {
-        try {
-          const response = JSON.parse(data.toString());
-          if (response.id === request.id) {
-            clearTimeout(timeout);
-            this.mcpProcess.stdout.off('data', onData);
-            if (response.error) {
-              reject(new Error(response.error.message));
-            } else {
-              resolve(response.result);
-            }
-          }
-        } catch (error) {
-          // Ignore parsing errors for partial messages
-        }
-      };
+    await this.callTool('start_prompt');
+    await this.startTrace(prompt);
+    let result;
+    let trace;
+    try {
+      if (options.suite) {
+        result = await this.processSuitePrompt(prompt, options);
+      } else if (mode === 'agent') {
+        result = await this.processPromptWithAgent(prompt, options);
+      } else {
+        result = await this.processPromptWithPlan(prompt, options);
+      }
+      if (options.validate ?? this.validateTests) {
+        result = await this.validateResult(prompt, result, options);
+      }
+    } finally {
+      // A trace left running would end up in the next prompt's
+      trace = await this.stopTrace();
+    }
 
-      this.mcpProcess.stdout.on('data', onData);
-      this.mcpProcess.stdin.write(JSON.stringify(request) + '\n');
-    });
+    const steps = result.timing?.steps || [];
+    return {
+      ...result,
+      trace,
+      timing: {
+        totalMs: Date.now() - started,
+        llmMs: result.timing?.llmMs ?? 0,
+        toolMs: steps.reduce(
+          (total, step) => total + (step.durationMs || 0),
+          0
+        ),
+        steps,
+      },
+    };
   }
 
-  async processPrompt(prompt) {
+  async processPromptWithPlan(prompt, options = {}) {
+    const timing = { llmMs: 0, steps: [] };
+
     try {
       // First, analyze the prompt with AI to extract actions
-      console.log('Analyzing prompt with OpenAI...');
+      console.log(`Analyzing prompt with ${this.llm.name}...`);
+      const analysisStarted = Date.now();
       const actions = await this.analyzePrompt(prompt);
+      timing.llmMs = Date.now() - analysisStarted;
       console.log('Actions received:', actions);
 
       // Execute the actions through MCP
       const results = [];
+      // Steps that failed did not happen in the browser and stay out of the
+      // test, as in agent mode
+      const executed = [];
 
       for (const action of actions) {
-        const result = await this.executeAction(action);
+        const result = withoutImageData(await this.executeAction(action));
         results.push(result);
+        timing.steps.push(stepTiming(action, result));
         this.emit('actionExecuted', { action, result });
+        if (!result.isError) {
+          executed.push(action);
+        }
       }
 
       // Generate the final test
-      if (actions.length > 0) {
-        const testResult = await this.sendMCPRequest('tools/call', {
-          name: 'generate_test',
-          arguments: {
-            testName: this.extractTestName(prompt),
-            description: prompt,
-            actions: actions, // Pass the actions that were executed
-          },
-        });
+      let dataTable;
+      if (executed.length > 0) {
+        const testResult = await this.generateTestFor(
+          prompt,
+          executed,
+          options,
+          timing
+        );
         results.push(testResult);
+        dataTable = testResult._meta?.dataTable;
       }
 
       return {
         success: true,
         prompt,
+        testName: this.extractTestName(prompt),
         actions,
         results,
+        dataTable,
+        timing,
         message: 'Actions executed successfully and test generated',
       };
     } catch (error) {
@@ -111,37 +410,848 @@ export class AIPlaywrightIntegration extends EventEmitter {
         error: error.message,
         errorDetails: error.stack,
         prompt,
+        timing,
       };
     }
   }
 
-  async analyzePrompt(prompt) {
+  // Runs the prompt's generated spec on its own (see validateGeneratedTest).
+  // When that fails and repair is on, the model gets one round to revise
+  // the actions from the failure; they run again and the new spec is
+  // validated in turn. Suites are validated but not repaired.
+  async validateResult(prompt, result, options) {
+    const code = generatedTestCode(result);
+    if (!code) {
+      return result;
+    }
+
+    const timing = result.timing || { llmMs: 0, steps: [] };
+    const validation = await this.validateTest(code, timing);
+    if (
+      validation.success ||
+      !(options.repair ?? this.repairTests) ||
+      result.mode === 'suite' ||
+      !result.actions?.length
+    ) {
+      return withValidation({ ...result, timing }, validation);
+    }
+
+    console.log(`Generated test failed, revising it with ${this.llm.name}...`);
+    const started = Date.now();
+    const actions = await this.reviseActions(
+      prompt,
+      result.actions,
+      code,
+      validation
+    );
+    timing.llmMs += Date.now() - started;
+
+    // The revised actions are a prompt of their own
+    await this.callTool('start_prompt');
+    const results = [...result.results];
+    const executed = [];
+    for (const action of actions) {
+      const actionResult = withoutImageData(await this.executeAction(action));
+      results.push(actionResult);
+      timing.steps.push(stepTiming(action, actionResult));
+      this.emit('actionExecuted', {
+        action,
+        result: actionResult,
+        repair: true,
+      });
+      if (!actionResult.isError) {
+        executed.push(action);
+      }
+    }
+    const repair = {
+      originalActions: result.actions,
+      firstValidation: validation,
+    };
+    if (executed.length === 0) {
+      return withValidation(
+        { ...result, actions, results, timing, repair },
+        { success: false, error: 'None of the revised actions ran' }
+      );
+    }
+    const testResult = await this.generateTestFor(
+      prompt,
+      executed,
+      options,
+      timing
+    );
+    results.push(testResult);
+
+    const repairedCode = generatedTestCode({ results });
+    return withValidation(
+      {
+        ...result,
+        actions,
+        results,
+        dataTable: testResult._meta?.dataTable,
+        timing,
+        repair,
+      },
+      repairedCode
+        ? await this.validateTest(repairedCode, timing)
+        : { success: false, error: testResult.content[0].text }
+    );
+  }
+
+  // validateGeneratedTest for the session: the trace goes with the
+  // session's other artifacts, and a run that cannot start counts as failed
+  async validateTest(code, timing) {
+    let validation;
+    try {
+      validation = await validateGeneratedTest(code, {
+        traceDir: this.artifactsDir || getArtifactsRoot(),
+        timeout: this.validationTimeout,
+      });
+      // The reporter output repeats the errors, which are what callers need
+      delete validation.output;
+    } catch (error) {
+      validation = { success: false, error: error.message, errors: [] };
+    }
+
+    timing.steps.push({
+      name: 'validate_test',
+      durationMs: validation.durationMs ?? null,
+      isError: !validation.success,
+    });
+    return validation;
+  }
+
+  // Revised action list for a prompt whose generated test failed when run
+  // on its own
+  async reviseActions(prompt, actions, code, validation) {
+    const failures = (
+      validation.errors?.length > 0
+        ? validation.errors
+        : [{ title: 'generated spec', error: validation.error }]
+    )
+      .map(({ title, error }) => `${title}:\n${error}`)
+      .join('\n\n');
+
+    return this.callWithRetries(async () => {
+      const actionsText = await this.llm.complete({
+        system: `You are an AI assistant that fixes browser automation actions. The actions below ran in a live browser and were turned into the Playwright test below, but the test failed when run on its own in a fresh headless chromium.
+
+Available actions:
+${AVAILABLE_ACTIONS}
+
+Revise the actions so the generated test passes on its own: wait for elements that appear late, use more specific selectors where one matched several elements or none, start from navigate_to rather than relying on the page the browser happened to be on, and drop or fix assertions that do not hold. The browser is already running; only include launch_browser to change its settings.
+
+Return the complete revised JSON array of actions, each with name and arguments.`,
+        messages: [
+          {
+            role: 'user',
+            content: `Revise the actions for: ${prompt}
+
+Actions:
+${JSON.stringify(actions, null, 2)}
+
+Generated test:
+${code}
+
+Failure:
+${failures}`,
+          },
+        ],
+        temperature: 0.1,
+      });
+
+      const revised = parseJsonReply(actionsText, JSON_ARRAY_BLOCK);
+      if (!Array.isArray(revised)) {
+        throw new Error('AI response is not an array of actions');
+      }
+      return revised;
+    });
+  }
+
+  // Repair mode for a spec in tests/ that failed: report is its run's JSON
+  // report (or reportFile the project-relative path of one), title picks
+  // the failed test when there are several. The test's steps are replayed
+  // from a fresh page up to the failing one, which is retried for the
+  // tools' selector diagnostics, and the page is inspected there. The
+  // model's replacement for the failing statement comes back as a unified
+  // diff; the spec itself is left untouched. A browser it has to launch is
+  // headless unless headless is false.
+  async repairSpec(
+    fileName,
+    { report, reportFile, title, headless = true } = {}
+  ) {
+    const code = readSpec(fileName);
+    const failures = reportFailures(
+      report || readTestReport(reportFile)
+    ).filter((failure) => path.basename(failure.file || '') === fileName);
+    const failure = title
+      ? failures.find((candidate) => candidate.title === title)
+      : failures[0];
+    if (!failure) {
+      throw new Error(
+        title
+          ? `The report has no failure of "${title}" in ${fileName}`
+          : `The report has no failed test in ${fileName}`
+      );
+    }
+
+    const steps = specSteps(code, failure.line);
+    // A timeout of the whole test, for one, has no location in the spec
+    let failing =
+      path.basename(failure.location?.file || '') === fileName
+        ? failingStepIndex(steps, failure.location.line)
+        : -1;
+
+    if (!this.browserLaunched) {
+      const launched = await this.executeAction({
+        name: 'launch_browser',
+        arguments: { headless },
+      });
+      if (launched.isError) {
+        throw new Error(launched.content[0].text);
+      }
+    }
+    const fresh = await this.callTool('fresh_page');
+    if (fresh.isError) {
+      throw new Error(fresh.content[0].text);
+    }
+
+    // Replay up to the failing step, or until a step fails when the report
+    // does not say which one did
+    const replayed = [];
+    let diagnostics = null;
+    const last = failing === -1 ? steps.length - 1 : failing;
+    for (let index = 0; index <= last; index++) {
+      const step = steps[index];
+      if (!step.action) {
+        diagnostics = `Replay stopped at line ${step.line}: ${step.reason}`;
+        break;
+      }
+
+      const result = withoutImageData(await this.executeAction(step.action));
+      replayed.push({
+        line: step.line,
+        action: step.action,
+        isError: !!result.isError,
+      });
+      this.emit('actionExecuted', {
+        action: step.action,
+        result,
+        repair: true,
+      });
+      if (result.isError) {
+        failing = index;
+        diagnostics = this.formatToolResult(result);
+        break;
+      }
+      if (index === failing) {
+        diagnostics = `The step passed when replayed: ${this.formatToolResult(
+          result
+        )}`;
+      }
+    }
+    if (failing === -1) {
+      throw new Error(
+        `Cannot tell which step of "${
+          failure.title
+        }" failed: the report has no error location in ${fileName}. ${
+          diagnostics || 'Every step passed when replayed.'
+        }`
+      );
+    }
+
+    const inspection = await this.callTool('inspect_page', {
+      elementType: 'all',
+    });
+    const step = steps[failing];
+    const started = Date.now();
+    const patch = await this.proposeSpecPatch({
+      fileName,
+      code,
+      failure,
+      step,
+      diagnostics,
+      inspection: this.formatToolResult(inspection),
+    });
+    const llmMs = Date.now() - started;
+
+    const patched = checkSyntax(
+      replaceLines(code, step.line, step.endLine, patch.code)
+    );
+    return {
+      success: true,
+      fileName,
+      failure: { title: failure.title, error: failure.error, line: step.line },
+      replayed,
+      diagnostics,
+      patch: {
+        startLine: step.line,
+        endLine: step.endLine,
+        code: patch.code,
+        explanation: patch.explanation,
+      },
+      diff: unifiedDiff(
+        path
+          .relative(PROJECT_DIR, resolveSpecPath(fileName))
+          .split(path.sep)
+          .join('/'),
+        code,
+        patched
+      ),
+      llmMs,
+    };
+  }
+
+  // { code, explanation } replacing the failing statement of a spec
+  async proposeSpecPatch({
+    fileName,
+    code,
+    failure,
+    step,
+    diagnostics,
+    inspection,
+  }) {
+    const numbered = code
+      .split('\n')
+      .map((line, index) => `${String(index + 1).padStart(4)}  ${line}`)
+      .join('\n');
+
+    return this.callWithRetries(async () => {
+      const patchText = await this.llm.complete({
+        system: `You are an AI assistant that repairs failing Playwright tests. You are given a spec, the failing statement of one of its tests, the error of the failed run, what happened when the statement was replayed in a live browser (for selectors that match nothing, the elements that could have been meant) and an inspection of the page at that point.
+
+Propose a replacement for the failing statement: usually a locator that matches the element the statement meant, preferring getByRole, getByLabel, getByPlaceholder and getByTestId over CSS, or a wait for the element or the navigation it depends on, added before the statement. Keep what the statement does and asserts. The replacement may be several statements and must only use variables the test already has.
+
+Return a JSON object: { "code": "the replacement statements", "explanation": "one sentence on what was wrong" }`,
+        messages: [
+          {
+            role: 'user',
+            content: `Repair the failing step of ${fileName}: ${failure.title}
+
+Spec:
+${numbered}
+
+Failing statement (lines ${step.line}-${step.endLine}):
+${step.code}
+
+Error:
+${failure.error}
+
+Replay:
+${diagnostics}
+
+Page:
+${inspection}`,
+          },
+        ],
+        temperature: 0.1,
+      });
+
+      const patch = parseJsonReply(patchText, JSON_OBJECT_BLOCK);
+      if (typeof patch?.code !== 'string' || !patch.code.trim()) {
+        throw new Error('AI response has no replacement code');
+      }
+      return patch;
+    });
+  }
+
+  // A prompt describing a feature becomes a test.describe() block with a
+  // test per scenario. Every scenario runs live from a fresh page first;
+  // the ones that fail are generated as test.fixme() and listed in the
+  // result.
+  async processSuitePrompt(prompt, options = {}) {
+    const timing = { llmMs: 0, steps: [] };
+    const results = [];
+    const run = async (action, scenario) => {
+      const result = withoutImageData(await this.executeAction(action));
+      results.push(result);
+      timing.steps.push(stepTiming(action, result));
+      this.emit('actionExecuted', { action, result, scenario });
+      return result;
+    };
+
+    try {
+      console.log(`Planning test suite with ${this.llm.name}...`);
+      const analysisStarted = Date.now();
+      const suite = await this.analyzeSuitePrompt(prompt);
+      timing.llmMs = Date.now() - analysisStarted;
+
+      // The browser is launched once for the whole suite, headless unless
+      // the plan launches it itself
+      const plannedActions = suite.scenarios.flatMap(
+        (scenario) => scenario.actions
+      );
+      if (!this.browserLaunched) {
+        const launched = await run(
+          plannedActions.find((action) => action.name === 'launch_browser') || {
+            name: 'launch_browser',
+            arguments: { headless: true },
+          }
+        );
+        if (launched.isError) {
+          throw new Error(launched.content[0].text);
+        }
+      }
+
+      const scenarios = [];
+      for (const scenario of suite.scenarios) {
+        const actions = scenario.actions.filter(
+          (action) => action.name !== 'launch_browser'
+        );
+        const fresh = await run(
+          { name: 'fresh_page', arguments: {} },
+          scenario.name
+        );
+        if (fresh.isError) {
+          throw new Error(fresh.content[0].text);
+        }
+
+        let executed = 0;
+        let error = null;
+        for (const action of actions) {
+          const result = await run(action, scenario.name);
+          if (result.isError) {
+            error = `${action.name} failed: ${result.content[0].text}`;
+            break;
+          }
+          executed++;
+        }
+        scenarios.push({
+          name: scenario.name,
+          actions,
+          executed,
+          ...(error && { error }),
+        });
+      }
+
+      const testResult = await this.callTool('generate_test', {
+        testName: this.extractTestName(prompt),
+        description: prompt,
+        suite: { describe: suite.describe, scenarios },
+        usePageObjects: options.usePageObjects ?? this.usePageObjects,
+      });
+      results.push(testResult);
+      timing.steps.push(stepTiming({ name: 'generate_test' }, testResult));
+      if (testResult.isError) {
+        throw new Error(testResult.content[0].text);
+      }
+
+      const failed = scenarios.filter((scenario) => scenario.error);
+      return {
+        success: failed.length === 0,
+        prompt,
+        testName: this.extractTestName(prompt),
+        mode: 'suite',
+        actions: scenarios.flatMap((scenario) => scenario.actions),
+        scenarios: scenarios.map(({ name, actions, executed, error }) => ({
+          name,
+          success: !error,
+          steps: actions.length,
+          executed,
+          error,
+        })),
+        results,
+        timing,
+        ...(failed.length === 0
+          ? { message: 'All scenarios ran and the test suite was generated' }
+          : {
+              error: `${failed.length} of ${
+                scenarios.length
+              } scenarios failed to run and were generated as test.fixme(): ${failed
+                .map((scenario) => scenario.name)
+                .join(', ')}`,
+            }),
+      };
+    } catch (error) {
+      console.error('Error processing suite prompt:', error);
+      return {
+        success: false,
+        mode: 'suite',
+        error: error.message,
+        errorDetails: error.stack,
+        prompt,
+        results,
+        timing,
+      };
+    }
+  }
+
+  // generate_test for the actions of a prompt. With options.data ({ source,
+  // proposeRows }) the filled values become a data table; proposeRows has
+  // the model add boundary and invalid rows, which takes a first pass to
+  // learn the table's columns.
+  async generateTestFor(prompt, actions, options, timing) {
+    const args = {
+      testName: this.extractTestName(prompt),
+      description: prompt,
+      actions,
+      usePageObjects: options.usePageObjects ?? this.usePageObjects,
+    };
+    const { source, proposeRows } = options.data || {};
+    let rows;
+
+    if (proposeRows) {
+      const preview = await this.callTool('generate_test', {
+        ...args,
+        data: { source: 'inline' },
+      });
+      timing.steps.push(stepTiming({ name: 'generate_test' }, preview));
+      const columns = preview._meta?.dataTable?.columns || [];
+      if (preview.isError || columns.length === 0) {
+        return preview;
+      }
+
+      const started = Date.now();
+      rows = await this.proposeDataRows(prompt, columns);
+      timing.llmMs += Date.now() - started;
+    }
+
+    const testResult = await this.callTool('generate_test', {
+      ...args,
+      ...(options.data && { data: { source, rows } }),
+    });
+    timing.steps.push(stepTiming({ name: 'generate_test' }, testResult));
+    return testResult;
+  }
+
+  // Extra rows for a data-driven test: [{ description, <column>: value }]
+  async proposeDataRows(prompt, columns) {
+    const fields = columns
+      .map(
+        ({ name, field, value, actualValue }) =>
+          `- ${name} (field "${field}"): filled with ${JSON.stringify(value)}${
+            actualValue !== undefined && actualValue !== value
+              ? `, but the field kept ${JSON.stringify(actualValue)}`
+              : ''
+          }`
+      )
+      .join('\n');
+
+    return this.callWithRetries(async () => {
+      const rowsText = await this.llm.complete({
+        system: `You write test data for a data-driven Playwright test. The test fills these fields, each a column of its data table:
+${fields}
+
+Propose additional rows that cover boundary values (empty, minimum and maximum length, whitespace, special and non-ASCII characters) and invalid values (wrong format, out of range) for these fields, as fit the fields and the test described by the user.
+
+Return a JSON array of rows. Each row has a short unique description that says what it checks and whether the input is valid, e.g. "empty email (invalid)", plus a value for every column it changes; columns left out keep the value above. All values are strings.`,
+        messages: [
+          {
+            role: 'user',
+            content: `Propose data rows for: ${prompt}`,
+          },
+        ],
+        temperature: 0.1,
+      });
+
+      const rows = parseJsonReply(rowsText, JSON_ARRAY_BLOCK);
+
+      if (
+        !Array.isArray(rows) ||
+        rows.some((row) => typeof row?.description !== 'string')
+      ) {
+        throw new Error(
+          'AI response is not a list of data rows: expected objects with a description'
+        );
+      }
+      return rows;
+    });
+  }
+
+  // Tracing problems are logged but never fail the prompt
+  async startTrace(prompt) {
+    try {
+      await this.callTool('start_trace', {
+        title: prompt.slice(0, MAX_TRACE_TITLE_LENGTH),
+      });
+    } catch (error) {
+      console.warn(`Could not start trace: ${error.message}`);
+    }
+  }
+
+  // Name of the trace.zip artifact the prompt produced, if any
+  async stopTrace() {
+    try {
+      const result = await this.callTool('stop_trace');
+      return result.isError ? null : result._meta?.artifacts?.[0] || null;
+    } catch (error) {
+      console.warn(`Could not save trace: ${error.message}`);
+      return null;
+    }
+  }
+
+  async processPromptWithAgent(prompt, options = {}) {
+    const maxSteps = Number(options.maxSteps) || this.maxSteps;
+
+    try {
+      console.log(`Running agent loop with ${this.llm.name}...`);
+      const loop = await this.runAgentLoop(prompt, maxSteps);
+
+      // Only the steps that worked make it into the generated test
+      const actions = loop.steps
+        .filter((step) => !step.isError)
+        .map((step) => step.action);
+      const results = loop.steps.map((step) => step.result);
+      const timing = {
+        llmMs: loop.llmMs,
+        steps: loop.steps.map((step) => stepTiming(step.action, step.result)),
+      };
+
+      let dataTable;
+      if (actions.length > 0) {
+        const testResult = await this.generateTestFor(
+          prompt,
+          actions,
+          options,
+          timing
+        );
+        results.push(testResult);
+        dataTable = testResult._meta?.dataTable;
+      }
+
+      const base = {
+        prompt,
+        testName: this.extractTestName(prompt),
+        mode: 'agent',
+        actions,
+        results,
+        dataTable,
+        steps: loop.steps.map(({ action, isError }) => ({ action, isError })),
+        stopReason: loop.stopReason,
+        summary: loop.summary,
+        timing,
+      };
+
+      if (loop.stopReason === 'max_steps') {
+        return {
+          ...base,
+          success: false,
+          error: `Agent stopped after reaching the step budget of ${maxSteps}`,
+        };
+      }
+
+      if (loop.success === false) {
+        return {
+          ...base,
+          success: false,
+          error: `Agent could not complete the task: ${loop.summary}`,
+        };
+      }
+
+      return {
+        ...base,
+        success: true,
+        message: 'Agent completed the task and test generated',
+      };
+    } catch (error) {
+      console.error('Error running agent loop:', error);
+      return {
+        success: false,
+        mode: 'agent',
+        error: error.message,
+        errorDetails: error.stack,
+        prompt,
+      };
+    }
+  }
+
+  // Iterative loop: the model picks one or more tools, we run them through the
+  // MCP server and hand every result (including failure diagnostics) back so it
+  // can choose the next action. Stops when the model calls finish, answers
+  // without calling a tool, or the step budget runs out.
+  async runAgentLoop(prompt, maxSteps) {
+    const tools = [...(await this.getAgentTools()), FINISH_TOOL];
+    const messages = [{ role: 'user', content: prompt }];
+    const steps = [];
+    // Time spent waiting for the model
+    let llmMs = 0;
+
+    while (steps.length < maxSteps) {
+      const requested = Date.now();
+      const reply = await this.callWithRetries(() =>
+        this.llm.chat({
+          system: this.buildAgentSystemPrompt(maxSteps - steps.length),
+          messages,
+          tools,
+          temperature: 0.1,
+        })
+      );
+      llmMs += Date.now() - requested;
+
+      messages.push({
+        role: 'assistant',
+        content: reply.content,
+        toolCalls: reply.toolCalls,
+      });
+
+      if (reply.toolCalls.length === 0) {
+        return {
+          steps,
+          llmMs,
+          stopReason: 'completed',
+          summary: reply.content,
+        };
+      }
+
+      for (const call of reply.toolCalls) {
+        if (call.name === FINISH_TOOL.name) {
+          return {
+            steps,
+            llmMs,
+            stopReason: 'finished',
+            summary: call.arguments.summary || '',
+            success: call.arguments.success !== false,
+          };
+        }
+
+        if (steps.length >= maxSteps) {
+          break;
+        }
+
+        const action = { name: call.name, arguments: call.arguments };
+        let result;
+        try {
+          if (call.error) {
+            throw new Error(call.error);
+          }
+          result = await this.executeAction(action);
+        } catch (error) {
+          result = {
+            content: [{ type: 'text', text: error.message }],
+            isError: true,
+          };
+        }
+
+        const isError = !!result.isError;
+        const images = (result.content || []).filter(
+          (block) => block.type === 'image'
+        );
+        if (images.length > 0) {
+          // Only the latest screenshots go to the model; older ones would
+          // use up the context window
+          messages.forEach((message) => delete message.images);
+        }
+        messages.push({
+          role: 'tool',
+          toolCallId: call.id,
+          name: call.name,
+          content: this.formatToolResult(result),
+          isError,
+          images:
+            images.length > 0
+              ? images.map(({ data, mimeType }) => ({ data, mimeType }))
+              : undefined,
+        });
+
+        result = withoutImageData(result);
+        steps.push({ action, result, isError });
+        this.emit('actionExecuted', { action, result, step: steps.length });
+      }
+    }
+
+    return { steps, llmMs, stopReason: 'max_steps', summary: null };
+  }
+
+  async getAgentTools() {
+    if (!this.toolDefinitions) {
+      const { tools } = await this.listTools();
+      this.toolDefinitions = tools;
+    }
+
+    return this.toolDefinitions.filter(
+      (tool) => !AGENT_EXCLUDED_TOOLS.includes(tool.name)
+    );
+  }
+
+  formatToolResult(result) {
+    const text = (result.content || [])
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('\n');
+
+    if (text.length <= MAX_TOOL_RESULT_LENGTH) {
+      return text || '(no output)';
+    }
+
+    return `${text.slice(0, MAX_TOOL_RESULT_LENGTH)}\n... [truncated ${
+      text.length - MAX_TOOL_RESULT_LENGTH
+    } characters]`;
+  }
+
+  buildAgentSystemPrompt(remainingSteps) {
     const browserStatus = this.browserLaunched
       ? 'Browser is already running.'
       : 'No browser is currently running.';
 
-    // Retry logic for rate limit errors
-    const maxRetries = 3;
+    return `You are an AI assistant that drives a real browser through tools in order to carry out a natural language testing request. The browser actions you perform are recorded and turned into a Playwright test.
+
+Work step by step:
+1. Call one tool at a time and read its result before deciding the next action.
+2. Results that start with "Error executing" mean the action failed. Use the diagnostics in the message (available elements, inputs, form info) or call page_snapshot to find the element, then retry.
+3. After navigating, and before filling or submitting forms, call page_snapshot to see the page. It lists elements with a ref such as "e12"; pass it as ref (sourceRef/targetRef for drag_and_drop) instead of a selector. Refs go stale after navigation, so take a new snapshot then.
+4. For GitHub searches, use github_search instead of clicking and filling manually.
+5. When the request says "verify", "check", "should see" or similar, use the assert_* tools to check each expectation. A failed assertion means the expectation does not hold; inspect the page before deciding whether the selector or the expectation is wrong.
+6. When the task is done, or clearly cannot be done, call finish with a short summary.
+
+Only call launch_browser if no browser is running.
+Prefer refs from page_snapshot over selectors. When you do need a selector, use a specific CSS selector taken from the snapshot or inspect_page rather than a guess.
+
+Current session status: ${browserStatus}
+Remaining step budget: ${remainingSteps}`;
+  }
+
+  // Retries rate-limited (429) LLM calls with exponential backoff
+  async callWithRetries(operation, maxRetries = 3) {
     let lastError = null;
 
     for (let attempt = 0; attempt < maxRetries; attempt++) {
       try {
-        const completion = await this.openai.chat.completions.create({
-          model: process.env.OPENAI_MODEL || 'gpt-4o-mini', // Configurable model, defaults to gpt-4o-mini
-          messages: [
-            {
-              role: 'system',
-              content: `You are an AI assistant that converts natural language prompts into structured browser automation actions.
+        return await operation();
+      } catch (error) {
+        lastError = error;
+
+        // Check if it's a rate limit error (429)
+        if (error.status === 429) {
+          const waitTime = Math.pow(2, attempt) * 1000; // Exponential backoff
+          console.warn(
+            `Rate limit hit (attempt ${
+              attempt + 1
+            }/${maxRetries}). Waiting ${waitTime}ms...`
+          );
+
+          if (attempt < maxRetries - 1) {
+            await new Promise((resolve) => setTimeout(resolve, waitTime));
+            continue;
+          }
+        }
+
+        // For non-rate-limit errors or final retry, stop immediately
+        break;
+      }
+    }
+
+    // If we get here, all retries failed
+    const errorMessage = lastError.message || 'Unknown error';
+    const errorDetails = lastError.response?.data
+      ? JSON.stringify(lastError.response.data)
+      : '';
+    const error = new Error(
+      `${this.llm.name} API error after ${maxRetries} attempts: ${errorMessage}. ${errorDetails}`
+    );
+    error.status = lastError.status;
+    throw error;
+  }
+
+  async analyzePrompt(prompt) {
+    const browserStatus = this.browserLaunched
+      ? 'Browser is already running.'
+      : 'No browser is currently running.';
+
+    return this.callWithRetries(async () => {
+      const actionsText = await this.llm.complete({
+        system: `You are an AI assistant that converts natural language prompts into structured browser automation actions.
 
 Available actions:
-- launch_browser: Launch browser (specify headless: true/false)
-- navigate_to: Navigate to URL
-- inspect_page: Inspect page for forms, inputs, buttons (elementType: "forms", "inputs", "buttons", or "all")
-- github_search: Specialized search for GitHub (use this instead of manual search on GitHub)
-- click_element: Click element by selector
-- fill_input: Fill input field with text
-- wait_for_element: Wait for element to appear
-- take_screenshot: Take a screenshot
+${AVAILABLE_ACTIONS}
 
 Return a JSON array of actions. Each action should have:
 - name: action name
@@ -181,6 +1291,16 @@ For form filling tasks:
 4. Fill inputs using the discovered selectors
 5. Submit the form using the discovered submit button selector
 
+For verification tasks (prompts that say "verify", "check", "should see", "make sure", "confirm" or "expect"):
+- Add an assertion action for every expectation in the prompt, right after the step that should produce it
+- Prefer assert_text, assert_url and assert_title over screenshots when something concrete can be checked
+- Example for "Go to example.com and verify the heading says Example Domain":
+[
+  {"name": "navigate_to", "arguments": {"url": "https://example.com"}},
+  {"name": "assert_title", "arguments": {"title": "Example Domain"}},
+  {"name": "assert_text", "arguments": {"selector": "h1", "text": "Example Domain"}}
+]
+
 For GitHub search tasks:
 1. Navigate to github.com
 2. Use github_search tool with the search query (this handles GitHub's complex search interface automatically)
@@ -188,78 +1308,103 @@ For GitHub search tasks:
 
 IMPORTANT: When working with forms, ALWAYS use inspect_page first to understand the form structure before attempting to fill or submit. This ensures accurate selectors.
 For GitHub searches, ALWAYS use the github_search tool instead of manual clicking and filling - it's specifically designed to handle GitHub's dynamic search interface.
-Only include launch_browser if this is the first action in a session. For subsequent prompts in the same session, assume the browser is already running and start with navigate_to or other actions.
+Only include launch_browser if this is the first action in a session, or to start from a saved login with storageState. For subsequent prompts in the same session, assume the browser is already running and start with navigate_to or other actions.
 Use specific CSS selectors when possible.
 Be practical and realistic about what can be automated.
 
 Current session status: ${browserStatus}`,
-            },
-            {
-              role: 'user',
-              content: prompt,
-            },
-          ],
-          temperature: 0.1,
-        });
+        messages: [
+          {
+            role: 'user',
+            content: prompt,
+          },
+        ],
+        temperature: 0.1,
+      });
 
-        try {
-          const actionsText = completion.choices[0].message.content;
-          // Extract JSON from the response if it's wrapped in markdown
-          const jsonMatch = actionsText.match(
-            /```(?:json)?\s*(\[[\s\S]*?\])\s*```/
-          );
-          const jsonText = jsonMatch ? jsonMatch[1] : actionsText;
-          return JSON.parse(jsonText);
-        } catch (error) {
-          throw new Error(`Failed to parse AI response: ${error.message}`);
-        }
-      } catch (error) {
-        lastError = error;
+      return parseJsonReply(actionsText, JSON_ARRAY_BLOCK);
+    });
+  }
 
-        // Check if it's a rate limit error (429)
-        if (error.status === 429) {
-          const waitTime = Math.pow(2, attempt) * 1000; // Exponential backoff
-          console.warn(
-            `Rate limit hit (attempt ${
-              attempt + 1
-            }/${maxRetries}). Waiting ${waitTime}ms...`
-          );
+  // { describe, scenarios: [{ name, actions }] } for processSuitePrompt
+  async analyzeSuitePrompt(prompt) {
+    const browserStatus = this.browserLaunched
+      ? 'Browser is already running.'
+      : 'No browser is currently running.';
 
-          if (attempt < maxRetries - 1) {
-            await new Promise((resolve) => setTimeout(resolve, waitTime));
-            continue;
-          }
-        }
+    return this.callWithRetries(async () => {
+      const suiteText = await this.llm.complete({
+        system: `You are an AI assistant that turns a natural language description of a feature to test into a suite of test scenarios, each a list of browser automation actions.
 
-        // For non-rate-limit errors or final retry, throw immediately
-        if (attempt === maxRetries - 1 || error.status !== 429) {
-          break;
-        }
-      }
-    }
+Available actions:
+${AVAILABLE_ACTIONS}
 
-    // If we get here, all retries failed
-    const errorMessage = lastError.message || 'Unknown error';
-    const errorDetails = lastError.response?.data
-      ? JSON.stringify(lastError.response.data)
-      : '';
-    throw new Error(
-      `OpenAI API error after ${maxRetries} attempts: ${errorMessage}. ${errorDetails}`
-    );
+Return a JSON object with:
+- describe: short title of the feature under test
+- scenarios: array of scenarios, each with a short name and the actions array of that scenario
+
+Every scenario runs on its own from a fresh page, so each one starts from the beginning, e.g. with navigate_to, and repeats the steps it shares with the others. Shared leading steps become a beforeEach hook of the generated suite. Use the same selectors for the same elements in every scenario, and end each scenario with assertions on what it should show.
+Only put launch_browser in the first scenario, and only if no browser is running. Do not use inspect_page or page_snapshot; use specific CSS selectors.
+
+Example:
+For "Test the newsletter form: valid signup and missing email":
+{
+  "describe": "Newsletter form",
+  "scenarios": [
+    {"name": "valid signup", "actions": [
+      {"name": "navigate_to", "arguments": {"url": "https://example.com/newsletter"}},
+      {"name": "fill_input", "arguments": {"selector": "#email", "text": "jane@example.com"}},
+      {"name": "click_element", "arguments": {"selector": "button[type='submit']"}},
+      {"name": "assert_text", "arguments": {"selector": ".message", "text": "Thanks for signing up"}}
+    ]},
+    {"name": "missing email", "actions": [
+      {"name": "navigate_to", "arguments": {"url": "https://example.com/newsletter"}},
+      {"name": "click_element", "arguments": {"selector": "button[type='submit']"}},
+      {"name": "assert_text", "arguments": {"selector": ".error", "text": "Email is required"}}
+    ]}
+  ]
+}
+
+Current session status: ${browserStatus}`,
+        messages: [
+          {
+            role: 'user',
+            content: prompt,
+          },
+        ],
+        temperature: 0.1,
+      });
+
+      const suite = parseJsonReply(suiteText, JSON_OBJECT_BLOCK);
+
+      if (
+        !Array.isArray(suite?.scenarios) ||
+        suite.scenarios.length === 0 ||
+        suite.scenarios.some(
+          (scenario) => !scenario.name || !Array.isArray(scenario.actions)
+        )
+      ) {
+        throw new Error(
+          'AI response is not a test suite: expected scenarios with a name and actions'
+        );
+      }
+      return {
+        describe: suite.describe || this.extractTestName(prompt),
+        scenarios: suite.scenarios,
+      };
+    });
   }
 
   async executeAction(action) {
     try {
-      const result = await this.sendMCPRequest('tools/call', {
-        name: action.name,
-        arguments: action.arguments,
-      });
+      const result = await this.callTool(action.name, action.arguments);
 
-      // Track browser launch state
-      if (action.name === 'launch_browser') {
+      // Track browser launch state (failed tools leave it unchanged)
+      if (action.name === 'launch_browser' && !result.isError) {
         this.browserLaunched = true;
-      } else if (action.name === 'close_browser') {
+      } else if (action.name === 'close_browser' && !result.isError) {
         this.browserLaunched = false;
+        this.recording = false;
       }
 
       return result;
@@ -270,6 +1415,71 @@ Current session status: ${browserStatus}`,
     }
   }
 
+  // Record-by-demonstration: the user drives the headed browser themselves
+  // and their steps are recorded next to the AI-driven ones
+  async startRecording() {
+    if (!this.browserLaunched) {
+      const launched = await this.executeAction({
+        name: 'launch_browser',
+        arguments: { headless: false },
+      });
+      if (launched.isError) {
+        throw new Error(launched.content[0].text);
+      }
+    }
+
+    const result = await this.callTool('start_recording');
+    if (result.isError) {
+      throw new Error(result.content[0].text);
+    }
+
+    this.recording = true;
+    return { success: true, message: result.content[0].text };
+  }
+
+  // Stops recording and generates a test from every step taken in the
+  // browser so far, demonstrated and AI-driven alike
+  async stopRecording(testName = 'recorded_test') {
+    const stopped = await this.callTool('stop_recording');
+    this.recording = false;
+    if (stopped.isError) {
+      throw new Error(stopped.content[0].text);
+    }
+
+    const testResult = await this.callTool('generate_test', {
+      testName,
+      description: testName.replace(/_/g, ' '),
+      usePageObjects: this.usePageObjects,
+    });
+
+    return {
+      success: !testResult.isError,
+      testName,
+      message: stopped.content[0].text,
+      results: [stopped, testResult],
+      error: testResult.isError ? testResult.content[0].text : undefined,
+    };
+  }
+
+  // Text or simplified HTML of the session's current page, see
+  // get_page_content
+  async getPageContent({ mode, selector, maxLength } = {}) {
+    if (!this.browserLaunched) {
+      throw new Error('No browser is running in this session');
+    }
+
+    const result = await this.callTool('get_page_content', {
+      mode,
+      selector,
+      maxLength,
+    });
+    if (result.isError) {
+      throw new Error(result.content[0].text);
+    }
+
+    return { success: true, content: result.content[0].text };
+  }
+
   extractTestName(prompt) {
     // Extract a meaningful test name from the prompt
     const words = prompt
@@ -284,23 +1494,23 @@ Current session status: ${browserStatus}`,
   }
 
   async cleanup() {
-    if (this.mcpProcess && this.browserLaunched) {
+    if (this.isConnected && this.browserLaunched) {
       try {
-        await this.sendMCPRequest('tools/call', {
-          name: 'close_browser',
-          arguments: {},
-        });
+        await this.callTool('close_browser');
       } catch (error) {
         // Ignore errors during cleanup
         console.warn('Error during browser cleanup:', error.message);
       }
     }
 
-    if (this.mcpProcess) {
-      this.mcpProcess.kill();
-      this.mcpProcess = null;
+    if (this.mcpClient) {
+      const client = this.mcpClient;
+      this.mcpClient = null;
+      this.mcpTransport = null;
       this.isConnected = false;
       this.browserLaunched = false;
+      this.recording = false;
+      await client.close();
     }
   }
 }
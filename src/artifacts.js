@@ -0,0 +1,50 @@
+import { existsSync, mkdirSync } from 'fs';
+import path from 'path';
+import { PROJECT_DIR } from './test-files.js';
+
+// Files produced while a session drives the browser: screenshots and traces.
+// Each session writes into its own directory under the artifacts root, which
+// the web server exposes at /api/artifacts/:session/:file.
+
+// Session ids and artifact names as they may appear in a URL
+const SAFE_NAME = /^[A-Za-z0-9][\w.-]*$/;
+
+export function getArtifactsRoot() {
+  return path.resolve(PROJECT_DIR, process.env.ARTIFACTS_DIR || 'artifacts');
+}
+
+export function sessionArtifactsDir(sessionId) {
+  if (!SAFE_NAME.test(String(sessionId))) {
+    throw new Error(`Invalid session id: ${sessionId}`);
+  }
+  return path.join(getArtifactsRoot(), sessionId);
+}
+
+// A file name in dir that no earlier artifact uses, based on the requested
+// name: "checkout.png" becomes checkout.png, checkout-2.png, checkout-3.png...
+export function uniqueArtifactName(dir, requestedName, extension) {
+  const stem =
+    path
+      .basename(String(requestedName || ''), extension)
+      .replace(/[^\w-]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .slice(0, 60) || 'artifact';
+
+  mkdirSync(dir, { recursive: true });
+  let fileName = `${stem}${extension}`;
+  for (let n = 2; existsSync(path.join(dir, fileName)); n++) {
+    fileName = `${stem}-${n}${extension}`;
+  }
+  return fileName;
+}
+
+// Path of an existing artifact, or null when the names are not valid or the
+// file does not exist
+export function resolveArtifactPath(sessionId, fileName) {
+  if (!SAFE_NAME.test(String(sessionId)) || !SAFE_NAME.test(String(fileName))) {
+    return null;
+  }
+
+  const filePath = path.join(getArtifactsRoot(), sessionId, fileName);
+  return existsSync(filePath) ? filePath : null;
+}
@@ -0,0 +1,183 @@
+import path from 'path';
+import { devices } from 'playwright';
+import { literal } from './code-emitter.js';
+import { PROJECT_DIR, resolveStorageStatePath } from './test-files.js';
+
+// Browser type and emulation settings accepted by launch_browser. The same
+// normalized options configure the live browser context and the test.use()
+// block of the generated spec, so the spec runs the way the session did.
+
+export const BROWSER_TYPES = ['chromium', 'firefox', 'webkit'];
+
+export const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+
+// Context options that change how pages behave, in the order they are
+// emitted into test.use()
+const EMULATION_OPTIONS = [
+  'viewport',
+  'locale',
+  'timezoneId',
+  'colorScheme',
+  'geolocation',
+];
+
+// Validates launch_browser arguments and keeps only the settings that were
+// asked for. browserType is only set when it was given explicitly or implied
+// by the device, so a plain launch does not pin the spec to chromium.
+export function normalizeBrowserOptions(args = {}) {
+  const options = {};
+
+  if (args.device) {
+    if (!devices[args.device]) {
+      throw new Error(
+        `Unknown device: ${args.device}. Use a name from Playwright's device registry, such as "iPhone 12" or "Pixel 5"`
+      );
+    }
+    options.device = args.device;
+  }
+
+  const browserType =
+    args.browserType ||
+    (options.device ? devices[options.device].defaultBrowserType : null);
+  if (browserType) {
+    if (!BROWSER_TYPES.includes(browserType)) {
+      throw new Error(
+        `Unknown browserType: ${browserType}. Expected one of ${BROWSER_TYPES.join(
+          ', '
+        )}`
+      );
+    }
+    options.browserType = browserType;
+  }
+
+  if (args.viewport) {
+    const width = Number(args.viewport.width);
+    const height = Number(args.viewport.height);
+    if (!Number.isInteger(width) || !Number.isInteger(height)) {
+      throw new Error('viewport needs integer width and height');
+    }
+    options.viewport = { width, height };
+  }
+
+  if (args.locale) {
+    options.locale = String(args.locale);
+  }
+
+  if (args.timezoneId) {
+    options.timezoneId = String(args.timezoneId);
+  }
+
+  if (args.colorScheme) {
+    if (!COLOR_SCHEMES.includes(args.colorScheme)) {
+      throw new Error(
+        `Unknown colorScheme: ${
+          args.colorScheme
+        }. Expected one of ${COLOR_SCHEMES.join(', ')}`
+      );
+    }
+    options.colorScheme = args.colorScheme;
+  }
+
+  if (args.geolocation) {
+    const latitude = Number(args.geolocation.latitude);
+    const longitude = Number(args.geolocation.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      throw new Error('geolocation needs numeric latitude and longitude');
+    }
+    options.geolocation = { latitude, longitude };
+    if (args.geolocation.accuracy !== undefined) {
+      options.geolocation.accuracy = Number(args.geolocation.accuracy);
+    }
+  }
+
+  // A name saved with save_storage_state, kept as the path the spec uses
+  if (args.storageState) {
+    options.storageState = resolveStorageStatePath(
+      args.storageState
+    ).relativePath;
+  }
+
+  return options;
+}
+
+// Options for browser.newContext(): the device descriptor, with explicit
+// settings taking precedence over it
+export function contextOptionsFor(options) {
+  const { defaultBrowserType, ...deviceOptions } = options.device
+    ? devices[options.device]
+    : {};
+  const contextOptions = { ...deviceOptions };
+
+  for (const key of EMULATION_OPTIONS) {
+    if (options[key] !== undefined) {
+      contextOptions[key] = options[key];
+    }
+  }
+  if (options.geolocation) {
+    contextOptions.permissions = ['geolocation'];
+  }
+  if (options.storageState) {
+    contextOptions.storageState = path.resolve(
+      PROJECT_DIR,
+      options.storageState
+    );
+  }
+
+  return contextOptions;
+}
+
+// Short description of the options for tool results, e.g.
+// "webkit, iPhone 12, locale de-DE"
+export function describeBrowserOptions(options) {
+  const parts = [options.browserType || 'chromium'];
+  if (options.device) {
+    parts.push(options.device);
+  }
+  if (options.viewport) {
+    parts.push(`${options.viewport.width}x${options.viewport.height}`);
+  }
+  for (const key of ['locale', 'timezoneId', 'colorScheme']) {
+    if (options[key]) {
+      parts.push(`${key} ${options[key]}`);
+    }
+  }
+  if (options.geolocation) {
+    parts.push(
+      `geolocation ${options.geolocation.latitude},${options.geolocation.longitude}`
+    );
+  }
+  if (options.storageState) {
+    parts.push(`storage state ${options.storageState}`);
+  }
+  return parts.join(', ');
+}
+
+// test.use() block reproducing the options in a spec, or null when the
+// session ran with the project defaults
+export function testUseCode(options) {
+  const entries = [];
+
+  if (options.device) {
+    entries.push(`...devices[${literal(options.device)}]`);
+  }
+  if (options.browserType) {
+    entries.push(`browserName: ${literal(options.browserType)}`);
+  }
+  for (const key of EMULATION_OPTIONS) {
+    if (options[key] !== undefined) {
+      entries.push(`${key}: ${literal(options[key])}`);
+    }
+  }
+  if (options.geolocation) {
+    entries.push(`permissions: ${literal(['geolocation'])}`);
+  }
+  if (options.storageState) {
+    entries.push(`storageState: ${literal(options.storageState)}`);
+  }
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  return `test.use({\n${entries.map((entry) => `  ${entry},`).join('\n')}\n});`;
+}
@@ -0,0 +1,127 @@
+import { parse } from 'acorn';
+
+// Helpers for emitting Playwright test code. Every value that comes from a
+// prompt, the page or the model goes through literal() so quotes, newlines
+// and `${` can never break out of the generated string.
+
+const STRING_ESCAPES = {
+  '\\': '\\\\',
+  "'": "\\'",
+  '\n': '\\n',
+  '\r': '\\r',
+  '\t': '\\t',
+  '\u2028': '\\u2028',
+  '\u2029': '\\u2029',
+};
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// Marks a fragment that is already code (a locator expression, a variable)
+// so literal() passes it through untouched
+class RawCode {
+  constructor(code) {
+    this.code = code;
+  }
+}
+
+export function raw(code) {
+  return new RawCode(code);
+}
+
+// Single-quoted JS string literal, matching the style of the generated specs
+export function stringLiteral(value) {
+  const escaped = String(value).replace(
+    /[\\'\n\r\t\u2028\u2029\x00-\x1f]/g,
+    (char) =>
+      STRING_ESCAPES[char] ||
+      `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`
+  );
+  return `'${escaped}'`;
+}
+
+// Escapes a string for use inside a regular expression
+export function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// Serializes a value as JS source: strings, numbers, booleans, null,
+// regular expressions, arrays, plain objects and raw() fragments
+export function literal(value) {
+  if (value instanceof RawCode) {
+    return value.code;
+  }
+
+  if (value === null || value === undefined) {
+    return String(value);
+  }
+
+  if (value instanceof RegExp) {
+    // RegExp#source already escapes slashes and line terminators
+    return `/${value.source}/${value.flags}`;
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(literal).join(', ')}]`;
+  }
+
+  switch (typeof value) {
+    case 'string':
+      return stringLiteral(value);
+    case 'number':
+      if (!Number.isFinite(value)) {
+        throw new Error(`Cannot emit non-finite number: ${value}`);
+      }
+      return String(value);
+    case 'boolean':
+      return String(value);
+    case 'object': {
+      const entries = Object.entries(value)
+        .filter(([, entryValue]) => entryValue !== undefined)
+        .map(
+          ([key, entryValue]) =>
+            `${IDENTIFIER.test(key) ? key : stringLiteral(key)}: ${literal(
+              entryValue
+            )}`
+        );
+      return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+    }
+    default:
+      throw new Error(`Cannot emit value of type ${typeof value}`);
+  }
+}
+
+// callee(arg1, arg2, ...) with every argument serialized by literal()
+export function call(callee, ...args) {
+  return `${callee}(${args.map(literal).join(', ')})`;
+}
+
+// Template literal of text parts and raw() expressions, e.g.
+// templateLiteral('Login: ', raw('row.user')) -> `Login: ${row.user}`
+export function templateLiteral(...parts) {
+  const body = parts
+    .map((part) =>
+      part instanceof RawCode
+        ? `\${${part.code}}`
+        : String(part)
+            .replace(/[\\`]|\$\{/g, (match) => `\\${match}`)
+            .replace(/[\n\r\t\u2028\u2029]/g, (char) => STRING_ESCAPES[char])
+    )
+    .join('');
+  return `\`${body}\``;
+}
+
+// Single-line comment; line breaks in the text would end the comment early
+export function comment(text) {
+  return `// ${String(text).replace(/[\r\n\u2028\u2029]+/g, ' ')}`;
+}
+
+// Parses generated code as an ES module and throws if it is not valid
+// JavaScript, so a broken spec is never handed back to the caller
+export function checkSyntax(code) {
+  try {
+    parse(code, { ecmaVersion: 'latest', sourceType: 'module' });
+  } catch (error) {
+    throw new Error(`Generated code has a syntax error: ${error.message}`);
+  }
+  return code;
+}
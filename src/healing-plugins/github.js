@@ -0,0 +1,32 @@
+// github.com: the search box is a button that opens the query builder, with
+// the actual input only rendered afterwards
+export default {
+  name: 'github',
+  hosts: ['github.com'],
+  selectors: [
+    {
+      kind: 'fill',
+      selector: '[data-target="query-builder.input"]',
+      keywords: ['search', 'query', 'q'],
+      description: 'query builder search input',
+    },
+    {
+      kind: 'fill',
+      selector: '#query-builder-test',
+      keywords: ['search', 'query', 'q'],
+      description: 'query builder search input',
+    },
+    {
+      kind: 'click',
+      selector: '[data-target="qbsearch-input.inputButton"]',
+      keywords: ['search', 'query'],
+      description: 'search box button',
+    },
+    {
+      kind: 'click',
+      selector: '[data-testid="search-button"]',
+      keywords: ['search'],
+      description: 'search button',
+    },
+  ],
+};
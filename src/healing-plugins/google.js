@@ -0,0 +1,20 @@
+// google.com: the search field is a textarea on most layouts and an input
+// on some older ones
+export default {
+  name: 'google',
+  hosts: ['google.com'],
+  selectors: [
+    {
+      kind: 'fill',
+      selector: 'textarea[name="q"]',
+      keywords: ['search', 'query', 'q'],
+      description: 'search field',
+    },
+    {
+      kind: 'fill',
+      selector: 'input[name="q"]',
+      keywords: ['search', 'query', 'q'],
+      description: 'search field',
+    },
+  ],
+};
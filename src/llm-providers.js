@@ -0,0 +1,403 @@
+import OpenAI from 'openai';
+import Anthropic from '@anthropic-ai/sdk';
+import { readFileSync } from 'fs';
+
+// Every provider exposes the same surface to AIPlaywrightIntegration:
+//   - name: short identifier used in logs and error messages
+//   - complete({ system, messages, temperature }): resolves to the reply text
+//   - chat({ system, messages, tools, temperature }): native function calling,
+//     resolves to { content, toolCalls: [{ id, name, arguments, error }] },
+//     where error says why a call's arguments could not be read
+// messages use a provider-neutral transcript:
+//   { role: 'user', content }
+//   { role: 'assistant', content, toolCalls }
+//   { role: 'tool', toolCallId, name, content, isError, images }
+// images are { data, mimeType } screenshots from the tool result; providers
+// whose model cannot take images leave them out.
+// tools are MCP tool definitions ({ name, description, inputSchema }).
+
+export class OpenAIProvider {
+  constructor({ apiKey, model, baseURL } = {}) {
+    this.name = 'openai';
+    this.model = model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    this.client = new OpenAI({ apiKey, baseURL });
+    this.supportsImages = true;
+  }
+
+  async complete({ system, messages, temperature = 0.1 }) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [{ role: 'system', content: system }, ...messages],
+      temperature,
+    });
+
+    return completion.choices[0].message.content;
+  }
+
+  async chat({ system, messages, tools = [], temperature = 0.1 }) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        ...toOpenAIMessages(messages, this.supportsImages),
+      ],
+      tools: tools.map((tool) => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.inputSchema,
+        },
+      })),
+      temperature,
+    });
+
+    const message = completion.choices[0].message;
+    return {
+      content: message.content,
+      toolCalls: (message.tool_calls || []).map((call) => ({
+        id: call.id,
+        name: call.function.name,
+        ...parseToolArguments(call.function.arguments),
+      })),
+    };
+  }
+}
+
+// Models, local ones especially, sometimes send arguments that are not JSON;
+// the error goes back to the model as the result of its call
+function parseToolArguments(json) {
+  try {
+    return { arguments: JSON.parse(json || '{}') };
+  } catch (error) {
+    return {
+      arguments: {},
+      error: `The arguments are not valid JSON (${error.message}): ${json}`,
+    };
+  }
+}
+
+// Tool messages only take text, so screenshots follow the tool results of a
+// turn as a user message
+function toOpenAIMessages(messages, supportsImages) {
+  const converted = [];
+  let pendingImages = [];
+
+  const flushImages = () => {
+    if (pendingImages.length > 0) {
+      converted.push({
+        role: 'user',
+        content: [
+          { type: 'text', text: 'Screenshots from the tool results above:' },
+          ...pendingImages.map((image) => ({
+            type: 'image_url',
+            image_url: { url: `data:${image.mimeType};base64,${image.data}` },
+          })),
+        ],
+      });
+      pendingImages = [];
+    }
+  };
+
+  for (const message of messages) {
+    if (message.role !== 'tool') {
+      flushImages();
+    } else if (supportsImages && message.images) {
+      pendingImages.push(...message.images);
+    }
+    converted.push(toOpenAIMessage(message));
+  }
+  flushImages();
+
+  return converted;
+}
+
+function toOpenAIMessage(message) {
+  if (message.role === 'tool') {
+    return {
+      role: 'tool',
+      tool_call_id: message.toolCallId,
+      content: message.content,
+    };
+  }
+
+  if (message.role === 'assistant' && message.toolCalls?.length) {
+    return {
+      role: 'assistant',
+      content: message.content || null,
+      tool_calls: message.toolCalls.map((call) => ({
+        id: call.id,
+        type: 'function',
+        function: {
+          name: call.name,
+          arguments: JSON.stringify(call.arguments),
+        },
+      })),
+    };
+  }
+
+  return { role: message.role, content: message.content };
+}
+
+// Any server that speaks the OpenAI chat completions API (Ollama, llama.cpp,
+// LM Studio, vLLM...). Local servers usually ignore the API key, but the
+// OpenAI client insists on one being set.
+export class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor({ apiKey, model, baseURL } = {}) {
+    const resolvedBaseURL =
+      baseURL || process.env.LLM_BASE_URL || 'http://localhost:11434/v1';
+
+    super({
+      apiKey: apiKey || process.env.LLM_API_KEY || 'not-needed',
+      model: model || process.env.LLM_MODEL || 'llama3.1',
+      baseURL: resolvedBaseURL,
+    });
+
+    this.name = 'openai-compatible';
+    this.baseURL = resolvedBaseURL;
+    // Most local models are text-only and reject image content
+    this.supportsImages = false;
+  }
+}
+
+export class AnthropicProvider {
+  constructor({ apiKey, model } = {}) {
+    this.name = 'anthropic';
+    this.model =
+      model || process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest';
+    this.client = new Anthropic({ apiKey });
+  }
+
+  async complete({ system, messages, temperature = 0.1 }) {
+    const response = await this.client.messages.create({
+      model: this.model,
+      max_tokens: 4096,
+      system,
+      messages,
+      temperature,
+    });
+
+    return response.content
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('');
+  }
+
+  async chat({ system, messages, tools = [], temperature = 0.1 }) {
+    const response = await this.client.messages.create({
+      model: this.model,
+      max_tokens: 4096,
+      system,
+      messages: toAnthropicMessages(messages),
+      tools: tools.map((tool) => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.inputSchema,
+      })),
+      temperature,
+    });
+
+    return {
+      content:
+        response.content
+          .filter((block) => block.type === 'text')
+          .map((block) => block.text)
+          .join('') || null,
+      toolCalls: response.content
+        .filter((block) => block.type === 'tool_use')
+        .map((block) => ({
+          id: block.id,
+          name: block.name,
+          arguments: block.input || {},
+        })),
+    };
+  }
+}
+
+// Anthropic expects tool results as tool_result blocks inside a user turn, and
+// all results for one assistant turn must share that single user message.
+function toAnthropicMessages(messages) {
+  const converted = [];
+
+  for (const message of messages) {
+    if (message.role === 'tool') {
+      const block = {
+        type: 'tool_result',
+        tool_use_id: message.toolCallId,
+        content: message.images
+          ? [
+              { type: 'text', text: message.content },
+              ...message.images.map((image) => ({
+                type: 'image',
+                source: {
+                  type: 'base64',
+                  media_type: image.mimeType,
+                  data: image.data,
+                },
+              })),
+            ]
+          : message.content,
+        is_error: !!message.isError,
+      };
+      const previous = converted[converted.length - 1];
+      if (previous?.role === 'user' && previous.toolResults) {
+        previous.content.push(block);
+      } else {
+        converted.push({ role: 'user', content: [block], toolResults: true });
+      }
+    } else if (message.role === 'assistant' && message.toolCalls?.length) {
+      converted.push({
+        role: 'assistant',
+        content: [
+          ...(message.content ? [{ type: 'text', text: message.content }] : []),
+          ...message.toolCalls.map((call) => ({
+            type: 'tool_use',
+            id: call.id,
+            name: call.name,
+            input: call.arguments,
+          })),
+        ],
+      });
+    } else {
+      converted.push({ role: message.role, content: message.content });
+    }
+  }
+
+  return converted.map(({ role, content }) => ({ role, content }));
+}
+
+// Deterministic provider for CI and offline development. The script is either
+// a plain array of actions (returned for every prompt) or an object:
+//   {
+//     "responses": [{ "match": "example.com", "actions": [...] }],
+//     "default": [...]
+//   }
+// "match" is a case-insensitive regular expression tested against the latest
+// user message. Replies are serialized to JSON so the normal parsing path in
+// analyzePrompt is exercised as well. In agent mode the same actions are
+// replayed as one tool call per turn, followed by a plain-text final answer.
+export class ScriptedProvider {
+  constructor({ script, scriptFile } = {}) {
+    this.name = 'scripted';
+    this.model = 'scripted';
+
+    const file = scriptFile || process.env.SCRIPTED_ACTIONS_FILE;
+    if (script) {
+      this.script = script;
+    } else if (file) {
+      this.script = JSON.parse(readFileSync(file, 'utf8'));
+    } else {
+      throw new Error(
+        'Scripted provider requires a script or SCRIPTED_ACTIONS_FILE'
+      );
+    }
+  }
+
+  async complete({ messages }) {
+    const lastUserMessage = messages.findLast(
+      (message) => message.role === 'user'
+    );
+    const prompt = lastUserMessage ? String(lastUserMessage.content) : '';
+
+    return JSON.stringify(this.resolveActions(prompt));
+  }
+
+  async chat({ messages }) {
+    const lastUserIndex = messages.findLastIndex(
+      (message) => message.role === 'user'
+    );
+    const prompt =
+      lastUserIndex >= 0 ? String(messages[lastUserIndex].content) : '';
+    const step = messages
+      .slice(lastUserIndex + 1)
+      .filter((message) => message.role === 'tool').length;
+    const action = this.resolveActions(prompt)[step];
+
+    if (!action) {
+      return { content: 'Scripted actions complete.', toolCalls: [] };
+    }
+
+    return {
+      content: null,
+      toolCalls: [
+        {
+          id: `scripted-${step}`,
+          name: action.name,
+          arguments: action.arguments || {},
+        },
+      ],
+    };
+  }
+
+  resolveActions(prompt) {
+    if (Array.isArray(this.script)) {
+      return this.script;
+    }
+
+    const responses = this.script.responses || [];
+    const entry = responses.find((response) =>
+      new RegExp(response.match, 'i').test(prompt)
+    );
+
+    if (entry) {
+      return entry.actions;
+    }
+
+    if (this.script.default) {
+      return this.script.default;
+    }
+
+    throw new Error(`No scripted response matches prompt: ${prompt}`);
+  }
+}
+
+const providers = {
+  openai: OpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  anthropic: AnthropicProvider,
+  scripted: ScriptedProvider,
+};
+
+export const providerNames = Object.keys(providers);
+
+export function resolveProviderName(name) {
+  return (name || process.env.LLM_PROVIDER || 'openai').toLowerCase();
+}
+
+// Whether the provider cannot work without an API key, so callers can reject
+// a session up front instead of failing on the first prompt.
+export function providerRequiresApiKey(name) {
+  const resolved = resolveProviderName(name);
+  return resolved === 'openai' || resolved === 'anthropic';
+}
+
+export function defaultApiKey(name) {
+  switch (resolveProviderName(name)) {
+    case 'openai':
+      return process.env.OPENAI_API_KEY;
+    case 'anthropic':
+      return process.env.ANTHROPIC_API_KEY;
+    case 'openai-compatible':
+      return process.env.LLM_API_KEY;
+    default:
+      return undefined;
+  }
+}
+
+export function createLLMProvider(options = {}) {
+  const name = resolveProviderName(options.provider);
+  const Provider = providers[name];
+
+  if (!Provider) {
+    throw new Error(
+      `Unknown LLM provider: ${name}. Available providers: ${providerNames.join(
+        ', '
+      )}`
+    );
+  }
+
+  return new Provider({
+    ...options,
+    apiKey: options.apiKey || defaultApiKey(name),
+  });
+}
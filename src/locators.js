@@ -0,0 +1,237 @@
+import { call } from './code-emitter.js';
+
+// Picks the most user-facing Playwright locator for an element, following
+// https://playwright.dev/docs/locators#quick-guide: role + accessible name
+// first, then label, placeholder and test id, with CSS only as the fallback.
+
+export const LOCATOR_STRATEGIES = [
+  'role',
+  'label',
+  'placeholder',
+  'testid',
+  'css',
+];
+
+export const DEFAULT_LOCATOR_PREFERENCE = LOCATOR_STRATEGIES;
+
+// Accepts an array or a comma separated string such as "testid,role,css".
+// Unknown strategies are dropped and css is always kept as the last resort.
+export function parseLocatorPreference(value) {
+  const requested = Array.isArray(value)
+    ? value
+    : String(value || '')
+        .split(',')
+        .map((strategy) => strategy.trim());
+
+  const preference = requested
+    .map((strategy) => strategy.toLowerCase())
+    .filter((strategy) => LOCATOR_STRATEGIES.includes(strategy));
+
+  if (preference.length === 0) {
+    return DEFAULT_LOCATOR_PREFERENCE;
+  }
+
+  return preference.includes('css') ? preference : [...preference, 'css'];
+}
+
+// Runs in the browser: collects what the locator strategies need to know
+// about an element. The role and name computation is a simplified version
+// of the ARIA rules; every candidate is verified with Playwright afterwards.
+function describeElement(el) {
+  const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+  const tag = el.tagName.toLowerCase();
+  const type = (el.getAttribute('type') || '').toLowerCase();
+
+  const implicitRole = () => {
+    const explicit = el.getAttribute('role');
+    if (explicit) {
+      return explicit.split(' ')[0];
+    }
+
+    switch (tag) {
+      case 'a':
+      case 'area':
+        return el.hasAttribute('href') ? 'link' : null;
+      case 'button':
+        return 'button';
+      case 'input':
+        if (['button', 'submit', 'reset', 'image'].includes(type)) {
+          return 'button';
+        }
+        if (type === 'checkbox' || type === 'radio') {
+          return type;
+        }
+        if (type === 'range') {
+          return 'slider';
+        }
+        if (type === 'number') {
+          return 'spinbutton';
+        }
+        if (type === 'search') {
+          return el.hasAttribute('list') ? 'combobox' : 'searchbox';
+        }
+        if (['', 'text', 'email', 'tel', 'url'].includes(type)) {
+          return el.hasAttribute('list') ? 'combobox' : 'textbox';
+        }
+        return null;
+      case 'textarea':
+        return 'textbox';
+      case 'select':
+        return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        return 'heading';
+      case 'img':
+        return el.getAttribute('alt') ? 'img' : null;
+      case 'option':
+        return 'option';
+      default:
+        return null;
+    }
+  };
+
+  const labelText = () => {
+    const labels = el.labels ? Array.from(el.labels) : [];
+    return normalize(labels.map((label) => label.textContent).join(' '));
+  };
+
+  const accessibleName = () => {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy
+        .split(/\s+/)
+        .map((id) => document.getElementById(id)?.textContent || '')
+        .join(' ');
+      if (normalize(text)) {
+        return normalize(text);
+      }
+    }
+
+    const ariaLabel = normalize(el.getAttribute('aria-label'));
+    if (ariaLabel) {
+      return ariaLabel;
+    }
+
+    if (tag === 'input' && ['button', 'submit', 'reset'].includes(type)) {
+      return normalize(el.value) || (type === 'submit' ? 'Submit' : '');
+    }
+
+    if (['input', 'textarea', 'select'].includes(tag)) {
+      return labelText() || normalize(el.getAttribute('title'));
+    }
+
+    if (tag === 'img' || type === 'image') {
+      return normalize(el.getAttribute('alt'));
+    }
+
+    return normalize(el.textContent) || normalize(el.getAttribute('title'));
+  };
+
+  return {
+    role: implicitRole(),
+    name: accessibleName(),
+    label: labelText() || normalize(el.getAttribute('aria-label')),
+    placeholder: el.getAttribute('placeholder') || '',
+    testId: el.getAttribute('data-testid') || '',
+  };
+}
+
+// A candidate is a page method call; the same description produces both the
+// live locator and the code that goes into the generated test
+function candidate(method, ...args) {
+  return {
+    method,
+    args,
+    code: call(`page.${method}`, ...args),
+  };
+}
+
+function candidatesFor(strategy, info) {
+  switch (strategy) {
+    case 'role':
+      if (!info.role || !info.name || info.name.length > 80) {
+        return [];
+      }
+      return [
+        candidate('getByRole', info.role, { name: info.name }),
+        candidate('getByRole', info.role, { name: info.name, exact: true }),
+      ];
+    case 'label':
+      return info.label
+        ? [
+            candidate('getByLabel', info.label),
+            candidate('getByLabel', info.label, { exact: true }),
+          ]
+        : [];
+    case 'placeholder':
+      return info.placeholder
+        ? [
+            candidate('getByPlaceholder', info.placeholder),
+            candidate('getByPlaceholder', info.placeholder, { exact: true }),
+          ]
+        : [];
+    case 'testid':
+      return info.testId ? [candidate('getByTestId', info.testId)] : [];
+    default:
+      return [];
+  }
+}
+
+// A candidate is only usable if it matches exactly one element, and that
+// element is the one the action actually targeted
+async function resolvesTo(locator, handle) {
+  try {
+    if ((await locator.count()) !== 1) {
+      return false;
+    }
+    return await locator.evaluate((el, target) => el === target, handle);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Returns { strategy, code } where code is a locator expression such as
+// page.getByRole('button', { name: 'Submit' }). Must be called before the
+// action runs, since clicks can navigate away from the element.
+export async function resolveBestLocator(
+  page,
+  selector,
+  preference = DEFAULT_LOCATOR_PREFERENCE
+) {
+  const fallback = {
+    strategy: 'css',
+    code: call('page.locator', selector),
+  };
+  let handle = null;
+
+  try {
+    handle = await page.locator(selector).first().elementHandle();
+    if (!handle) {
+      return fallback;
+    }
+
+    const info = await handle.evaluate(describeElement);
+
+    for (const strategy of preference) {
+      if (strategy === 'css') {
+        return fallback;
+      }
+
+      for (const { method, args, code } of candidatesFor(strategy, info)) {
+        if (await resolvesTo(page[method](...args), handle)) {
+          return { strategy, code };
+        }
+      }
+    }
+
+    return fallback;
+  } catch (error) {
+    return fallback;
+  } finally {
+    await handle?.dispose().catch(() => {});
+  }
+}
@@ -4,7 +4,351 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import { chromium } from 'playwright';
+import { mkdirSync, readFileSync } from 'fs';
+import path from 'path';
+import { chromium, firefox, webkit } from 'playwright';
+import { expect } from '@playwright/test';
+import {
+  LOCATOR_STRATEGIES,
+  parseLocatorPreference,
+  resolveBestLocator,
+} from './locators.js';
+import {
+  call,
+  checkSyntax,
+  comment,
+  escapeRegExp,
+  literal,
+  raw,
+  templateLiteral,
+} from './code-emitter.js';
+import {
+  PAGE_OBJECT_DIR,
+  buildMembers,
+  generatePageObjectCode,
+  pageObjectCallFor,
+  pageObjectDeclaration,
+  pageObjectImportPath,
+  toClassName,
+} from './page-objects.js';
+import {
+  resolveFixturePath,
+  resolveHarPath,
+  resolveStorageStatePath,
+  savePageObject,
+  saveTestData,
+} from './test-files.js';
+import { getArtifactsRoot, uniqueArtifactName } from './artifacts.js';
+import { describeCode, sharedStepCount, testBlockCode } from './test-code.js';
+import {
+  DATA_FILE_EXTENSIONS,
+  DATA_SOURCES,
+  DESCRIPTION_COLUMN,
+  dataColumns,
+  dataRows,
+  dataTableCode,
+  normalizeDataSource,
+  rowValue,
+  toCsv,
+} from './test-data.js';
+import {
+  HAR_NOT_FOUND,
+  MAX_NETWORK_LOG,
+  NETWORK_WAITS,
+  ROUTE_ACTIONS,
+  harReplayCode,
+  harReplayOptions,
+  matchesNetworkEntry,
+  networkEntry,
+  networkWaitCode,
+  normalizeRoute,
+  recordedHarCode,
+  routeCode,
+  routeHandler,
+} from './network.js';
+import { DEFAULT_HEALING_THRESHOLD, healSelector } from './self-healing.js';
+import {
+  BROWSER_TYPES,
+  COLOR_SCHEMES,
+  contextOptionsFor,
+  describeBrowserOptions,
+  normalizeBrowserOptions,
+  testUseCode,
+} from './browser-options.js';
+import {
+  CodeScope,
+  adoptPageCode,
+  newTabCode,
+  popupCode,
+} from './page-scope.js';
+import {
+  RECORDER_BINDING,
+  installRecorder,
+  recordedAction,
+} from './recorder.js';
+import {
+  DEFAULT_SNAPSHOT_LENGTH,
+  findRefElement,
+  takeSnapshot,
+  uniqueSelector,
+} from './snapshot.js';
+import {
+  CONTENT_MODES,
+  DEFAULT_CONTENT_LENGTH,
+  MAX_CONTENT_LENGTH,
+  extractPageContent,
+  normalizeContentOptions,
+  truncateContent,
+} from './page-content.js';
+
+// Selector arguments that can be given as a page_snapshot ref instead, and
+// the argument carrying the ref
+const REF_ARGUMENTS = {
+  selector: 'ref',
+  source: 'sourceRef',
+  target: 'targetRef',
+};
+
+const KEY_MODIFIERS = ['Alt', 'Control', 'ControlOrMeta', 'Meta', 'Shift'];
+
+// Interaction tools handled by interact(): the action type they record, the
+// kind of element listed when they fail (see DIAGNOSTIC_SELECTORS), the
+// element state they wait for and the arguments that tell their records
+// apart (see RECORDED_ACTION_MATCHERS)
+const INTERACTIONS = {
+  select_option: {
+    type: 'select',
+    kind: 'select',
+    match: ['selector', 'value'],
+  },
+  check: { type: 'check', kind: 'checkable', match: ['selector'] },
+  uncheck: { type: 'uncheck', kind: 'checkable', match: ['selector'] },
+  hover: { type: 'hover', kind: 'interactive', match: ['selector'] },
+  dblclick: { type: 'dblclick', kind: 'interactive', match: ['selector'] },
+  right_click: {
+    type: 'right_click',
+    kind: 'interactive',
+    match: ['selector'],
+  },
+  press_key: {
+    type: 'press',
+    kind: 'input',
+    match: ['selector', 'key', 'modifiers'],
+  },
+  type_text: { type: 'type', kind: 'input', match: ['selector', 'text'] },
+  drag_and_drop: {
+    type: 'drag',
+    kind: 'interactive',
+    match: ['source', 'target'],
+  },
+  upload_file: {
+    type: 'upload',
+    kind: 'file',
+    state: 'attached',
+    match: ['selector', 'files'],
+  },
+  scroll: {
+    type: 'scroll',
+    kind: 'interactive',
+    state: 'attached',
+    match: ['selector', 'deltaX', 'deltaY'],
+  },
+};
+
+const DIAGNOSTIC_SELECTORS = {
+  select: 'select, [role="combobox"], [role="listbox"]',
+  checkable:
+    'input[type="checkbox"], input[type="radio"], [role="checkbox"], [role="radio"], [role="switch"]',
+  input: 'input, textarea, [contenteditable="true"], [role="textbox"]',
+  file: 'input[type="file"]',
+  interactive:
+    'a, button, input, select, textarea, [role="button"], [role="link"], [role="menuitem"], [onclick], [draggable="true"]',
+};
+
+// Longest tool arguments written to the tool call log
+const MAX_LOGGED_ARGS_LENGTH = 200;
+
+// Keeps generated page objects readable on very large pages
+const MAX_PAGE_OBJECT_MEMBERS = 40;
+
+const BROWSER_LAUNCHERS = { chromium, firefox, webkit };
+
+// Selector used to find a form's submit button in generated code
+const SUBMIT_BUTTON_SELECTOR =
+  'button[type="submit"], input[type="submit"], button:not([type])';
+
+// Buttons submit_form tries in order before pressing Enter on the form. The
+// generated code clicks the button of the strategy that worked.
+const SUBMIT_STRATEGIES = [
+  {
+    name: 'form-submit-button',
+    description: 'submit button',
+    selector: 'button[type="submit"], input[type="submit"]',
+  },
+  {
+    // Buttons without a type submit their form
+    name: 'form-default-button',
+    description: 'default button',
+    selector: 'button:not([type])',
+  },
+  {
+    name: 'form-text-button',
+    description: 'button with submit text',
+    selector:
+      'button:has-text("Submit"), button:has-text("Send"), button:has-text("Go")',
+  },
+  {
+    name: 'form-any-button',
+    description: 'button',
+    selector: 'button',
+  },
+];
+
+// How the record of an AI-format action is recognised in this.actions, for
+// the tools whose recorded code can differ from converting the arguments
+const RECORDED_ACTION_MATCHERS = {
+  click_element: (record, args) =>
+    record.type === 'click' && record.requestedSelector === args.selector,
+  fill_input: (record, args) =>
+    record.type === 'fill' &&
+    record.requestedSelector === args.selector &&
+    record.text === args.text,
+  submit_form: (record, args) =>
+    record.type === 'submit_form' &&
+    record.formSelector === (args.formSelector || 'form:first'),
+  github_search: (record, args) =>
+    record.type === 'github_search' && record.query === args.query,
+  assert_visible: (record, args) =>
+    record.type === 'assert' &&
+    record.assertion === 'visible' &&
+    record.selector === args.selector &&
+    record.expected === (args.visible !== false),
+  assert_text: (record, args) =>
+    record.type === 'assert' &&
+    record.assertion === 'text' &&
+    record.selector === args.selector &&
+    record.expected === args.text &&
+    record.exact === Boolean(args.exact),
+  assert_value: (record, args) =>
+    record.type === 'assert' &&
+    record.assertion === 'value' &&
+    record.selector === args.selector &&
+    record.expected === args.value,
+  take_screenshot: (record, args) =>
+    record.type === 'screenshot' &&
+    record.filename === (args.filename || 'screenshot.png') &&
+    record.selector === (args.selector || null),
+  ...Object.fromEntries(
+    Object.entries(INTERACTIONS).map(([name, { type, match }]) => [
+      name,
+      (record, args) =>
+        record.type === type &&
+        match.every(
+          (key) => JSON.stringify(record[key]) === JSON.stringify(args[key])
+        ),
+    ])
+  ),
+};
+
+// Locator of GitHub's main search input in generated code, when the one
+// the live search typed into is not known
+const GITHUB_SEARCH_INPUT = call('page.getByRole', 'combobox', {
+  name: 'Search',
+});
+
+// Adds ref alternatives to a tool's selector arguments, which then stop
+// being required (see resolveRefs)
+function withRefArguments(tool) {
+  const { properties = {}, required = [] } = tool.inputSchema;
+  const refs = Object.entries(REF_ARGUMENTS).filter(
+    ([selectorArg]) => properties[selectorArg]
+  );
+  if (refs.length === 0) {
+    return tool;
+  }
+
+  const refProperties = {};
+  for (const [selectorArg, refArg] of refs) {
+    refProperties[refArg] = {
+      type: 'string',
+      description: `Element ref from page_snapshot (e.g. "e12"), instead of ${selectorArg}`,
+    };
+  }
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: { ...properties, ...refProperties },
+      required: required.filter((arg) => !REF_ARGUMENTS[arg]),
+    },
+  };
+}
+
+// Suffix for tool results of actions that ran on a healed selector
+function healingNote(healed) {
+  return healed
+    ? ` (healed from ${healed.from} to ${
+        healed.element
+      }, confidence ${healed.confidence.toFixed(2)}: ${healed.reasons.join(
+        ', '
+      )})`
+    : '';
+}
+
+// page.screenshot() or locator.screenshot() in generated code
+function screenshotCode(target, filename, fullPage = false) {
+  const options = fullPage ? { path: filename, fullPage } : { path: filename };
+  return `await ${call(`${target}.screenshot`, options)};`;
+}
+
+// Saves the context's cookies and local storage, the last step of a setup
+// project file
+function storageStateCode(relativePath, scope) {
+  return `await ${scope.page(
+    call('page.context().storageState', { path: relativePath })
+  )};`;
+}
+
+// "Control+Shift+A" style key names for press()
+function keyCombination(key, modifiers = []) {
+  if (!key) {
+    throw new Error('key is required');
+  }
+  for (const modifier of modifiers) {
+    if (!KEY_MODIFIERS.includes(modifier)) {
+      throw new Error(
+        `Unknown modifier: ${modifier}. Expected one of ${KEY_MODIFIERS.join(
+          ', '
+        )}`
+      );
+    }
+  }
+  return [...modifiers, key].join('+');
+}
+
+// Fill step of a data-driven test, filling the value of the current row.
+// record is the fill that ran, if any.
+function withRowValue(action, record, columnName) {
+  const value = rowValue(columnName);
+  const filled = action.arguments
+    ? { ...action, arguments: { ...action.arguments, text: value } }
+    : { ...action, text: value };
+  const locator = (record || action).locator;
+
+  return action.code && locator
+    ? { ...filled, code: `await ${call(`${locator}.fill`, value)};` }
+    : filled;
+}
+
+// Locator code resolved for selector when record's step ran, if any
+function recordedLocator(record, selector) {
+  if (record.locators) {
+    return record.locators[selector];
+  }
+  return selector === record.selector || selector === record.requestedSelector
+    ? record.locator
+    : undefined;
+}
 
 class PlaywrightMCPServer {
   constructor() {
@@ -21,8 +365,68 @@ class PlaywrightMCPServer {
     );
 
     this.browser = null;
+    this.context = null;
     this.page = null;
+    // Normalized launch_browser options of the current browser, see
+    // browser-options.js
+    this.browserOptions = {};
+    // Frame that element tools run against, null for the page's main frame
+    this.frame = null;
+    // Page variable and frame chain generated code is currently written
+    // against, see page-scope.js
+    this.scope = new CodeScope();
+    // Variable name of every open page ('page', 'page1', ...) and the ones
+    // generated code has declared so far
+    this.pageVariables = new Map();
+    this.declaredPages = new Set();
+    this.nextPageNumber = 1;
+    // frameLocator selector each switch_to_frame call resolved to, and the
+    // page variable each new_tab/wait_for_popup call opened, so AI-format
+    // actions convert to the same code as the recorded ones
+    this.resolvedFrames = new Map();
+    this.openedPages = new Map();
     this.actions = [];
+    // Index of the first record of the current prompt in this.actions, see
+    // start_prompt
+    this.promptStart = 0;
+    this.locatorPreference = parseLocatorPreference(
+      process.env.LOCATOR_PREFERENCE
+    );
+    // Page objects generated in this session, by class name
+    this.pageObjects = new Map();
+    // Selector each page_snapshot ref resolved to, so AI-format actions that
+    // used refs convert to the same code as the recorded ones
+    this.refSelectors = new Map();
+    this.nextRef = 1;
+    this.headless = false;
+    // Record-by-demonstration state, see startRecording
+    this.recording = false;
+    // Pages the recorder's binding and init script were added to
+    this.recorderPages = new WeakSet();
+    this.recordingStart = 0;
+    this.recordingQueue = Promise.resolve();
+    this.lastDemonstrationAt = 0;
+    // Tool calls in flight; navigations during a tool call belong to the tool
+    this.pendingToolCalls = 0;
+    // Minimum confidence for self-healing a failed selector, and the centre
+    // of the element the last click or fill used (see self-healing.js)
+    this.healingThreshold =
+      Number(process.env.HEALING_THRESHOLD) || DEFAULT_HEALING_THRESHOLD;
+    this.lastActionPoint = null;
+    // Where screenshots are stored; the AI integration points this at the
+    // session's directory (see artifacts.js)
+    this.artifactsDir = process.env.MCP_ARTIFACTS_DIR || getArtifactsRoot();
+    // Playwright tracing of the browser context, unless TRACING=false. The
+    // trace records from launch_browser or start_trace until stop_trace;
+    // closing the browser saves it early (see closeBrowser).
+    this.tracingEnabled = process.env.TRACING !== 'false';
+    this.tracing = false;
+    this.savedTrace = null;
+    // Recent requests and responses of every page, see waitForNetwork.
+    // Waits only match entries after networkCursor.
+    this.networkLog = [];
+    this.networkSeq = 0;
+    this.networkCursor = 0;
     this.setupToolHandlers();
   }
 
@@ -31,7 +435,8 @@ class PlaywrightMCPServer {
       tools: [
         {
           name: 'launch_browser',
-          description: 'Launch a new browser instance',
+          description:
+            'Launch a new browser instance, optionally with another browser engine or an emulated device. The settings are carried over into the generated test.',
           inputSchema: {
             type: 'object',
             properties: {
@@ -40,6 +445,64 @@ class PlaywrightMCPServer {
                 description: 'Whether to run browser in headless mode',
                 default: false,
               },
+              browserType: {
+                type: 'string',
+                enum: BROWSER_TYPES,
+                description:
+                  'Browser engine (default: chromium, or the default of the device)',
+              },
+              device: {
+                type: 'string',
+                description:
+                  'Device to emulate from Playwright\'s device registry, e.g. "iPhone 12" or "Pixel 5"',
+              },
+              viewport: {
+                type: 'object',
+                properties: {
+                  width: { type: 'number' },
+                  height: { type: 'number' },
+                },
+                required: ['width', 'height'],
+                description: 'Viewport size, overrides the device viewport',
+              },
+              locale: {
+                type: 'string',
+                description: 'Locale such as "de-DE"',
+              },
+              timezoneId: {
+                type: 'string',
+                description: 'Time zone such as "Europe/Berlin"',
+              },
+              colorScheme: {
+                type: 'string',
+                enum: COLOR_SCHEMES,
+                description: 'Emulated prefers-color-scheme',
+              },
+              geolocation: {
+                type: 'object',
+                properties: {
+                  latitude: { type: 'number' },
+                  longitude: { type: 'number' },
+                  accuracy: { type: 'number' },
+                },
+                required: ['latitude', 'longitude'],
+                description:
+                  'Emulated position; the geolocation permission is granted',
+              },
+              storageState: {
+                type: 'string',
+                description:
+                  'Name of a storage state saved with save_storage_state, e.g. "user", to start logged in. A browser running with another state is relaunched.',
+              },
+              locatorPreference: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                  enum: LOCATOR_STRATEGIES,
+                },
+                description:
+                  'Order in which locator strategies are tried when generating test code (default: role, label, placeholder, testid, css)',
+              },
             },
           },
         },
@@ -114,98 +577,149 @@ class PlaywrightMCPServer {
           },
         },
         {
-          name: 'take_screenshot',
-          description: 'Take a screenshot of the current page',
+          name: 'select_option',
+          description:
+            'Select one or more options in a <select> element, by option value or label',
           inputSchema: {
             type: 'object',
             properties: {
-              filename: {
+              selector: {
                 type: 'string',
-                description: 'Filename for the screenshot',
-                default: 'screenshot.png',
+                description: 'CSS selector of the select element',
+              },
+              value: {
+                oneOf: [
+                  { type: 'string' },
+                  { type: 'array', items: { type: 'string' } },
+                ],
+                description:
+                  'Value or label of the option to select, or an array for multi-selects',
+              },
+              timeout: {
+                type: 'number',
+                description: 'Timeout in milliseconds',
+                default: 30000,
               },
             },
+            required: ['selector', 'value'],
           },
         },
         {
-          name: 'get_page_content',
-          description: 'Get the current page content and structure',
+          name: 'check',
+          description: 'Check a checkbox or radio button',
           inputSchema: {
             type: 'object',
-            properties: {},
+            properties: {
+              selector: {
+                type: 'string',
+                description: 'CSS selector of the checkbox or radio button',
+              },
+              timeout: {
+                type: 'number',
+                description: 'Timeout in milliseconds',
+                default: 30000,
+              },
+            },
+            required: ['selector'],
           },
         },
         {
-          name: 'github_search',
-          description:
-            'Specialized search function for GitHub that handles the dynamic search interface',
+          name: 'uncheck',
+          description: 'Uncheck a checkbox',
           inputSchema: {
             type: 'object',
             properties: {
-              query: {
+              selector: {
                 type: 'string',
-                description: 'The search query to enter',
+                description: 'CSS selector of the checkbox',
+              },
+              timeout: {
+                type: 'number',
+                description: 'Timeout in milliseconds',
+                default: 30000,
               },
             },
-            required: ['query'],
+            required: ['selector'],
           },
         },
         {
-          name: 'inspect_page',
-          description:
-            'Inspect the current page for forms, inputs, and interactive elements',
+          name: 'hover',
+          description: 'Move the mouse over an element, e.g. to open a menu',
           inputSchema: {
             type: 'object',
             properties: {
-              elementType: {
+              selector: {
                 type: 'string',
-                description:
-                  'Type of elements to inspect: "forms", "inputs", "buttons", or "all"',
-                default: 'all',
+                description: 'CSS selector of the element',
+              },
+              timeout: {
+                type: 'number',
+                description: 'Timeout in milliseconds',
+                default: 30000,
               },
             },
+            required: ['selector'],
           },
         },
         {
-          name: 'generate_test',
-          description: 'Generate a Playwright test from recorded actions',
+          name: 'dblclick',
+          description: 'Double-click an element',
           inputSchema: {
             type: 'object',
             properties: {
-              testName: {
+              selector: {
                 type: 'string',
-                description: 'Name for the generated test',
+                description: 'CSS selector of the element',
               },
-              description: {
+              timeout: {
+                type: 'number',
+                description: 'Timeout in milliseconds',
+                default: 30000,
+              },
+            },
+            required: ['selector'],
+          },
+        },
+        {
+          name: 'right_click',
+          description: 'Right-click an element, e.g. to open a context menu',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              selector: {
                 type: 'string',
-                description: 'Description of what the test does',
+                description: 'CSS selector of the element',
               },
-              actions: {
-                type: 'array',
-                description: 'Array of actions that were executed',
-                items: {
-                  type: 'object',
-                  properties: {
-                    name: { type: 'string' },
-                    arguments: { type: 'object' },
-                  },
-                },
+              timeout: {
+                type: 'number',
+                description: 'Timeout in milliseconds',
+                default: 30000,
               },
             },
-            required: ['testName'],
+            required: ['selector'],
           },
         },
         {
-          name: 'submit_form',
+          name: 'press_key',
           description:
-            'Submit a form by finding and clicking its submit button',
+            'Press a key or key combination, on an element or on the page',
           inputSchema: {
             type: 'object',
             properties: {
-              formSelector: {
+              key: {
                 type: 'string',
                 description:
-                  'CSS selector for the form (optional - will find first form if not specified)',
+                  'Key name such as "Enter", "Escape", "ArrowDown", "Tab" or "a"',
+              },
+              modifiers: {
+                type: 'array',
+                items: { type: 'string', enum: KEY_MODIFIERS },
+                description: 'Modifier keys held while pressing the key',
+              },
+              selector: {
+                type: 'string',
+                description:
+                  'CSS selector of the element to focus first (optional, default: the focused element)',
               },
               timeout: {
                 type: 'number',
@@ -213,971 +727,4067 @@ class PlaywrightMCPServer {
                 default: 30000,
               },
             },
+            required: ['key'],
           },
         },
         {
-          name: 'close_browser',
-          description: 'Close the browser instance',
+          name: 'type_text',
+          description:
+            'Type text one key at a time, for autocomplete and other widgets that react to individual key presses. Use fill_input for plain fields.',
           inputSchema: {
             type: 'object',
-            properties: {},
+            properties: {
+              selector: {
+                type: 'string',
+                description: 'CSS selector of the input',
+              },
+              text: {
+                type: 'string',
+                description: 'Text to type',
+              },
+              delay: {
+                type: 'number',
+                description: 'Delay between key presses in milliseconds',
+                default: 50,
+              },
+              clear: {
+                type: 'boolean',
+                description: 'Clear the field before typing',
+                default: false,
+              },
+              timeout: {
+                type: 'number',
+                description: 'Timeout in milliseconds',
+                default: 30000,
+              },
+            },
+            required: ['selector', 'text'],
           },
         },
-      ],
-    }));
-
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-
-      try {
-        switch (name) {
-          case 'launch_browser':
-            return await this.launchBrowser(args?.headless ?? false);
-
-          case 'navigate_to':
-            return await this.navigateTo(args.url);
-
-          case 'click_element':
-            return await this.clickElement(args.selector, args.timeout);
-
-          case 'fill_input':
-            return await this.fillInput(args.selector, args.text);
-
-          case 'wait_for_element':
-            return await this.waitForElement(args.selector, args.timeout);
-
-          case 'take_screenshot':
-            return await this.takeScreenshot(args?.filename);
-
-          case 'github_search':
-            return await this.githubSearch(args.query);
-
-          case 'inspect_page':
-            return await this.inspectPage(args?.elementType || 'all');
-
-          case 'get_page_content':
-            return await this.getPageContent();
-
-          case 'generate_test':
-            return await this.generateTest(
-              args.testName,
-              args.description,
-              args.actions
-            );
-
-          case 'submit_form':
-            return await this.submitForm(args?.formSelector, args?.timeout);
-
-          case 'close_browser':
-            return await this.closeBrowser();
-
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
-      } catch (error) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error executing ${name}: ${error.message}`,
+        {
+          name: 'drag_and_drop',
+          description: 'Drag an element and drop it onto another one',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              source: {
+                type: 'string',
+                description: 'CSS selector of the element to drag',
+              },
+              target: {
+                type: 'string',
+                description: 'CSS selector of the element to drop onto',
+              },
+              timeout: {
+                type: 'number',
+                description: 'Timeout in milliseconds',
+                default: 30000,
+              },
             },
-          ],
-        };
-      }
-    });
-  }
-
-  async launchBrowser(headless = false) {
-    // If browser is already running, don't launch a new one
-    if (this.browser) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Browser already running in ${
-              headless ? 'headless' : 'headed'
-            } mode`,
+            required: ['source', 'target'],
           },
-        ],
-      };
-    }
-
-    this.browser = await chromium.launch({ headless });
-    this.page = await this.browser.newPage();
-    this.actions = [];
-
-    return {
-      content: [
+        },
+        {
+          name: 'upload_file',
+          description:
+            'Set the files of a file input. Files are taken from the upload fixtures directory (tests/fixtures by default).',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              selector: {
+                type: 'string',
+                description: 'CSS selector of the file input',
+              },
+              files: {
+                oneOf: [
+                  { type: 'string' },
+                  { type: 'array', items: { type: 'string' } },
+                ],
+                description:
+                  'File name (or names) relative to the fixtures directory',
+              },
+              timeout: {
+                type: 'number',
+                description: 'Timeout in milliseconds',
+                default: 30000,
+              },
+            },
+            required: ['selector', 'files'],
+          },
+        },
+        {
+          name: 'scroll',
+          description:
+            'Scroll an element into view, or scroll the page by a number of pixels',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              selector: {
+                type: 'string',
+                description:
+                  'CSS selector of the element to scroll into view (optional)',
+              },
+              deltaX: {
+                type: 'number',
+                description: 'Horizontal scroll distance in pixels',
+                default: 0,
+              },
+              deltaY: {
+                type: 'number',
+                description:
+                  'Vertical scroll distance in pixels (negative scrolls up)',
+                default: 500,
+              },
+              timeout: {
+                type: 'number',
+                description: 'Timeout in milliseconds',
+                default: 30000,
+              },
+            },
+            required: [],
+          },
+        },
+        {
+          name: 'route_request',
+          description:
+            'Mock requests whose URL matches a glob pattern: fulfill them with a stub response or abort them. The generated test sets up the same route.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'URL glob pattern, e.g. "**/api/items*"',
+              },
+              action: {
+                type: 'string',
+                enum: ROUTE_ACTIONS,
+                description: 'Fulfill with a stub response or abort',
+                default: 'fulfill',
+              },
+              status: {
+                type: 'number',
+                description: 'Status of the stub response',
+                default: 200,
+              },
+              body: {
+                type: 'string',
+                description: 'Body of the stub response',
+              },
+              json: {
+                description:
+                  'JSON body of the stub response, sent instead of body',
+              },
+              contentType: {
+                type: 'string',
+                description: 'Content-Type of the stub response',
+              },
+              headers: {
+                type: 'object',
+                description: 'Headers of the stub response',
+              },
+            },
+            required: ['url'],
+          },
+        },
+        {
+          name: 'record_har',
+          description:
+            'Record the network traffic of the active page into a HAR file in the HAR directory (tests/har by default). The file is written when the browser closes; tests generated before then keep the routeFromHAR replay commented out.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filename: {
+                type: 'string',
+                description: 'HAR file name, e.g. "items.har"',
+              },
+              url: {
+                type: 'string',
+                description:
+                  'Only record requests whose URL matches this glob pattern',
+              },
+            },
+            required: ['filename'],
+          },
+        },
+        {
+          name: 'replay_har',
+          description:
+            'Answer requests of the active page from a HAR file recorded earlier (routeFromHAR)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filename: {
+                type: 'string',
+                description: 'HAR file name in the HAR directory',
+              },
+              url: {
+                type: 'string',
+                description:
+                  'Only answer requests whose URL matches this glob pattern',
+              },
+              notFound: {
+                type: 'string',
+                enum: HAR_NOT_FOUND,
+                description:
+                  'What to do with requests that are not in the HAR (default: abort)',
+              },
+            },
+            required: ['filename'],
+          },
+        },
+        {
+          name: 'wait_for_request',
+          description:
+            'Wait until the active page sends a request whose URL contains a string. A matching request sent since the previous wait counts, so call it right after the step that triggers the request.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'Part of the request URL, e.g. "/api/items"',
+              },
+              method: {
+                type: 'string',
+                description: 'HTTP method the request must use',
+              },
+              timeout: {
+                type: 'number',
+                description: 'Timeout in milliseconds',
+                default: 30000,
+              },
+            },
+            required: ['url'],
+          },
+        },
+        {
+          name: 'wait_for_response',
+          description:
+            'Wait until the active page receives a response whose URL contains a string, and optionally assert its status. A matching response received since the previous wait counts, so call it right after the step that triggers the request.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'Part of the response URL, e.g. "/api/items"',
+              },
+              method: {
+                type: 'string',
+                description: 'HTTP method of the request',
+              },
+              status: {
+                type: 'number',
+                description: 'Expected response status',
+              },
+              timeout: {
+                type: 'number',
+                description: 'Timeout in milliseconds',
+                default: 30000,
+              },
+            },
+            required: ['url'],
+          },
+        },
+        {
+          name: 'take_screenshot',
+          description:
+            'Take a screenshot of the current page or of one element. The image is returned to you and stored with the session.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filename: {
+                type: 'string',
+                description:
+                  'Filename for the screenshot; a number is added if the session already has one with that name',
+                default: 'screenshot.png',
+              },
+              selector: {
+                type: 'string',
+                description: 'CSS selector of an element to capture on its own',
+              },
+              fullPage: {
+                type: 'boolean',
+                description:
+                  'Capture the whole scrollable page instead of the viewport',
+                default: false,
+              },
+            },
+          },
+        },
+        {
+          name: 'get_page_content',
+          description:
+            'Get the content of the current page or frame as readable text or simplified HTML, taken from its main content or a CSS-scoped part of it',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              mode: {
+                type: 'string',
+                enum: CONTENT_MODES,
+                description:
+                  '"text" for the readable text, "html" for markup without scripts, styles and most attributes',
+                default: 'text',
+              },
+              selector: {
+                type: 'string',
+                description:
+                  'CSS selector of the part of the page to return (default: the main content, or the whole body)',
+              },
+              maxLength: {
+                type: 'number',
+                description: `Maximum length in characters (default: ${DEFAULT_CONTENT_LENGTH}, at most ${MAX_CONTENT_LENGTH}); longer content is truncated`,
+              },
+            },
+          },
+        },
+        {
+          name: 'github_search',
+          description:
+            'Specialized search function for GitHub that handles the dynamic search interface',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              query: {
+                type: 'string',
+                description: 'The search query to enter',
+              },
+            },
+            required: ['query'],
+          },
+        },
+        {
+          name: 'inspect_page',
+          description:
+            'Inspect the current page for forms, inputs, and interactive elements',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              elementType: {
+                type: 'string',
+                description:
+                  'Type of elements to inspect: "forms", "inputs", "buttons", or "all"',
+                default: 'all',
+              },
+            },
+          },
+        },
+        {
+          name: 'page_snapshot',
+          description:
+            'Accessibility snapshot of the current page or frame: one line per element with its role, accessible name, state and a ref. Pass the ref (e.g. ref: "e12") to click_element, fill_input, assertions and the other element tools instead of guessing a selector.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              selector: {
+                type: 'string',
+                description:
+                  'CSS selector of the part of the page to snapshot (default: the whole page)',
+              },
+              interactiveOnly: {
+                type: 'boolean',
+                description:
+                  'Only list links, buttons, fields and other controls',
+                default: false,
+              },
+              maxLength: {
+                type: 'number',
+                description: `Maximum snapshot length in characters (default: ${DEFAULT_SNAPSHOT_LENGTH})`,
+              },
+            },
+          },
+        },
+        {
+          name: 'generate_test',
+          description: 'Generate a Playwright test from recorded actions',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              testName: {
+                type: 'string',
+                description: 'Name for the generated test',
+              },
+              description: {
+                type: 'string',
+                description: 'Description of what the test does',
+              },
+              actions: {
+                type: 'array',
+                description: 'Array of actions that were executed',
+                items: {
+                  type: 'object',
+                  properties: {
+                    name: { type: 'string' },
+                    arguments: { type: 'object' },
+                  },
+                },
+              },
+              usePageObjects: {
+                type: 'boolean',
+                description:
+                  'Use the page objects created with generate_page_object instead of inline selectors where possible',
+                default: false,
+              },
+              suite: {
+                type: 'object',
+                description:
+                  'Generate a test.describe() block with one test per scenario instead of a single test. Steps all scenarios start with go into test.beforeEach(), and scenarios with an error become test.fixme().',
+                properties: {
+                  describe: {
+                    type: 'string',
+                    description: 'Title of the describe block',
+                  },
+                  scenarios: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        name: { type: 'string' },
+                        actions: { type: 'array', items: { type: 'object' } },
+                        executed: {
+                          type: 'number',
+                          description:
+                            'Number of leading actions that ran, each scenario from a fresh page (see fresh_page)',
+                        },
+                        error: {
+                          type: 'string',
+                          description: 'Why the scenario failed to run',
+                        },
+                      },
+                      required: ['name', 'actions'],
+                    },
+                  },
+                },
+                required: ['describe', 'scenarios'],
+              },
+              data: {
+                type: 'object',
+                description:
+                  'Make the test data-driven: the values of the fill_input steps become a data table and the test runs once per row. The result names the columns in _meta.dataTable.',
+                properties: {
+                  source: {
+                    type: 'string',
+                    enum: DATA_SOURCES,
+                    description:
+                      'Where the table lives: inline in the spec, or a JSON or CSV file in the test data directory',
+                    default: 'inline',
+                  },
+                  rows: {
+                    type: 'array',
+                    description:
+                      'Rows after the recorded one, each with a description and the column values it changes, e.g. {"description": "empty email", "email": ""}',
+                    items: { type: 'object' },
+                  },
+                },
+              },
+            },
+            required: ['testName'],
+          },
+        },
+        {
+          name: 'generate_page_object',
+          description:
+            'Inspect the current page and generate a Page Object Model class with named locators and methods such as fillCustomerName(value) and submit()',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              className: {
+                type: 'string',
+                description:
+                  'Name of the page object class (defaults to one derived from the page title)',
+              },
+              formSelector: {
+                type: 'string',
+                description:
+                  'CSS selector of a form to limit the page object to (optional)',
+              },
+              save: {
+                type: 'boolean',
+                description: `Write the class to ${PAGE_OBJECT_DIR}/<ClassName>.js inside the Playwright test directory`,
+                default: false,
+              },
+              overwrite: {
+                type: 'boolean',
+                description: 'Replace an existing page object file when saving',
+                default: false,
+              },
+            },
+          },
+        },
+        {
+          name: 'submit_form',
+          description:
+            'Submit a form by finding and clicking its submit button',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              formSelector: {
+                type: 'string',
+                description:
+                  'CSS selector for the form (optional - will find first form if not specified)',
+              },
+              timeout: {
+                type: 'number',
+                description: 'Timeout in milliseconds',
+                default: 30000,
+              },
+            },
+          },
+        },
+        {
+          name: 'assert_visible',
+          description:
+            'Assert that an element is visible (or hidden) on the current page',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              selector: {
+                type: 'string',
+                description: 'CSS selector for the element',
+              },
+              visible: {
+                type: 'boolean',
+                description: 'Whether the element should be visible',
+                default: true,
+              },
+              timeout: {
+                type: 'number',
+                description: 'Timeout in milliseconds',
+                default: 5000,
+              },
+            },
+            required: ['selector'],
+          },
+        },
+        {
+          name: 'assert_text',
+          description:
+            'Assert that an element contains (or exactly has) a text',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              selector: {
+                type: 'string',
+                description: 'CSS selector for the element',
+              },
+              text: {
+                type: 'string',
+                description: 'Expected text',
+              },
+              exact: {
+                type: 'boolean',
+                description:
+                  'Whether the whole text must match instead of just containing it',
+                default: false,
+              },
+              timeout: {
+                type: 'number',
+                description: 'Timeout in milliseconds',
+                default: 5000,
+              },
+            },
+            required: ['selector', 'text'],
+          },
+        },
+        {
+          name: 'assert_url',
+          description: 'Assert the URL of the current page',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'Expected URL, or part of it when exact is false',
+              },
+              exact: {
+                type: 'boolean',
+                description: 'Whether the URL must match exactly',
+                default: false,
+              },
+              timeout: {
+                type: 'number',
+                description: 'Timeout in milliseconds',
+                default: 5000,
+              },
+            },
+            required: ['url'],
+          },
+        },
+        {
+          name: 'assert_title',
+          description: 'Assert the title of the current page',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              title: {
+                type: 'string',
+                description:
+                  'Expected title, or part of it when exact is false',
+              },
+              exact: {
+                type: 'boolean',
+                description: 'Whether the title must match exactly',
+                default: false,
+              },
+              timeout: {
+                type: 'number',
+                description: 'Timeout in milliseconds',
+                default: 5000,
+              },
+            },
+            required: ['title'],
+          },
+        },
+        {
+          name: 'assert_value',
+          description:
+            'Assert the current value of an input, textarea or select',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              selector: {
+                type: 'string',
+                description: 'CSS selector for the input field',
+              },
+              value: {
+                type: 'string',
+                description: 'Expected value',
+              },
+              timeout: {
+                type: 'number',
+                description: 'Timeout in milliseconds',
+                default: 5000,
+              },
+            },
+            required: ['selector', 'value'],
+          },
+        },
+        {
+          name: 'assert_count',
+          description: 'Assert how many elements match a selector',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              selector: {
+                type: 'string',
+                description: 'CSS selector for the elements',
+              },
+              count: {
+                type: 'number',
+                description: 'Expected number of matching elements',
+              },
+              timeout: {
+                type: 'number',
+                description: 'Timeout in milliseconds',
+                default: 5000,
+              },
+            },
+            required: ['selector', 'count'],
+          },
+        },
+        {
+          name: 'list_pages',
+          description:
+            'List the open pages (tabs and popups) with the id used by switch_page and close_tab',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+        {
+          name: 'switch_page',
+          description:
+            'Make another open page the active one; later tools run against it',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              pageId: {
+                type: 'string',
+                description: 'Page id from list_pages, e.g. "page1"',
+              },
+            },
+            required: ['pageId'],
+          },
+        },
+        {
+          name: 'new_tab',
+          description: 'Open a new tab, optionally at a URL, and switch to it',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'URL to open in the new tab (optional)',
+              },
+            },
+          },
+        },
+        {
+          name: 'close_tab',
+          description:
+            'Close a page (default: the active one). If it was active, the first remaining page becomes active.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              pageId: {
+                type: 'string',
+                description: 'Page id from list_pages (optional)',
+              },
+            },
+          },
+        },
+        {
+          name: 'wait_for_popup',
+          description:
+            'Click an element that opens a new tab or popup (e.g. a target=_blank link), wait for it and switch to it',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              selector: {
+                type: 'string',
+                description: 'CSS selector of the element to click',
+              },
+              timeout: {
+                type: 'number',
+                description: 'Timeout in milliseconds for the popup to open',
+                default: 30000,
+              },
+            },
+            required: ['selector'],
+          },
+        },
+        {
+          name: 'switch_to_frame',
+          description:
+            'Run later element tools (click_element, fill_input, assertions, ...) inside an iframe of the current page or frame. Identify it by selector, name or part of its URL.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              selector: {
+                type: 'string',
+                description: 'CSS selector of the iframe element',
+              },
+              name: {
+                type: 'string',
+                description: 'Name attribute of the frame',
+              },
+              url: {
+                type: 'string',
+                description: 'Part of the frame URL',
+              },
+            },
+          },
+        },
+        {
+          name: 'switch_to_main_frame',
+          description:
+            'Leave all iframes and run later tools against the page itself',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+        {
+          name: 'start_recording',
+          description:
+            'Start recording the clicks, typing, selects and navigations a person makes in the headed browser window. The recorded steps are added to the session actions used by generate_test.',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+        {
+          name: 'stop_recording',
+          description:
+            'Stop recording manual interactions and return the captured steps',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+        {
+          name: 'start_prompt',
+          description:
+            'Mark the start of a new prompt. generate_test pairs the actions it is given only with the steps recorded since, so a step that failed in this prompt never borrows the record of an earlier one.',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+        {
+          name: 'start_trace',
+          description:
+            'Start a new Playwright trace of the browser context, discarding what was traced since the last stop_trace. The trace starts with the browser when it is not running yet.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              title: {
+                type: 'string',
+                description: 'Title shown in the trace viewer',
+              },
+            },
+          },
+        },
+        {
+          name: 'stop_trace',
+          description:
+            "Stop the current trace and save it as a trace.zip artifact for Playwright's trace viewer",
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+        {
+          name: 'save_storage_state',
+          description:
+            'Save the cookies and local storage of the browser context under a name, e.g. after logging in. launch_browser can start from it later, and the generated test becomes a setup project file that saves the same state.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Name of the state, e.g. "user" or "admin"',
+              },
+            },
+            required: ['name'],
+          },
+        },
+        {
+          name: 'fresh_page',
+          description:
+            'Close every page and continue in a new one, with the cookies reset to those the browser was launched with, the way each Playwright test starts. Used to run the scenarios of a suite one after another.',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+        {
+          name: 'close_browser',
+          description: 'Close the browser instance',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+      ].map(withRefArguments),
+    }));
+
+    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name, arguments: requestedArgs } = request.params;
+      const started = Date.now();
+      let result;
+
+      this.pendingToolCalls++;
+      try {
+        const args = await this.resolveRefs(requestedArgs);
+        result = await this.callTool(name, args);
+      } catch (error) {
+        result = {
+          content: [
+            {
+              type: 'text',
+              text: `Error executing ${name}: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      } finally {
+        this.pendingToolCalls--;
+      }
+
+      return this.withTiming(name, requestedArgs, result, Date.now() - started);
+    });
+  }
+
+  async callTool(name, args) {
+    switch (name) {
+      case 'launch_browser':
+        return await this.launchBrowser(args ?? {});
+
+      case 'navigate_to':
+        return await this.navigateTo(args.url);
+
+      case 'click_element':
+        return await this.clickElement(args.selector, args.timeout);
+
+      case 'fill_input':
+        return await this.fillInput(args.selector, args.text);
+
+      case 'wait_for_element':
+        return await this.waitForElement(args.selector, args.timeout);
+
+      case 'select_option':
+      case 'check':
+      case 'uncheck':
+      case 'hover':
+      case 'dblclick':
+      case 'right_click':
+      case 'press_key':
+      case 'type_text':
+      case 'drag_and_drop':
+      case 'upload_file':
+      case 'scroll':
+        return await this.interact(name, args ?? {});
+
+      case 'take_screenshot':
+        return await this.takeScreenshot(args ?? {});
+
+      case 'route_request':
+        return await this.routeRequest(args ?? {});
+
+      case 'record_har':
+        return await this.recordHar(args ?? {});
+
+      case 'replay_har':
+        return await this.replayHar(args ?? {});
+
+      case 'wait_for_request':
+      case 'wait_for_response':
+        return await this.waitForNetwork(name, args ?? {});
+
+      case 'github_search':
+        return await this.githubSearch(args.query);
+
+      case 'inspect_page':
+        return await this.inspectPage(args?.elementType || 'all');
+
+      case 'page_snapshot':
+        return await this.pageSnapshot(args ?? {});
+
+      case 'get_page_content':
+        return await this.getPageContent(args ?? {});
+
+      case 'generate_test':
+        return await this.generateTest(
+          args.testName,
+          args.description,
+          args.actions,
+          {
+            usePageObjects: args.usePageObjects ?? false,
+            suite: args.suite,
+            data: args.data,
+          }
+        );
+
+      case 'generate_page_object':
+        return await this.generatePageObject(args ?? {});
+
+      case 'submit_form':
+        return await this.submitForm(args?.formSelector, args?.timeout);
+
+      case 'assert_visible':
+        return await this.assertVisible(
+          args.selector,
+          args.visible ?? true,
+          args.timeout
+        );
+
+      case 'assert_text':
+        return await this.assertText(
+          args.selector,
+          args.text,
+          args.exact ?? false,
+          args.timeout
+        );
+
+      case 'assert_url':
+        return await this.assertUrl(
+          args.url,
+          args.exact ?? false,
+          args.timeout
+        );
+
+      case 'assert_title':
+        return await this.assertTitle(
+          args.title,
+          args.exact ?? false,
+          args.timeout
+        );
+
+      case 'assert_value':
+        return await this.assertValue(args.selector, args.value, args.timeout);
+
+      case 'assert_count':
+        return await this.assertCount(args.selector, args.count, args.timeout);
+
+      case 'list_pages':
+        return await this.listPages();
+
+      case 'switch_page':
+        return await this.switchPage(args.pageId);
+
+      case 'new_tab':
+        return await this.newTab(args?.url);
+
+      case 'close_tab':
+        return await this.closeTab(args?.pageId);
+
+      case 'wait_for_popup':
+        return await this.waitForPopup(args.selector, args.timeout);
+
+      case 'switch_to_frame':
+        return await this.switchToFrame(args ?? {});
+
+      case 'switch_to_main_frame':
+        return await this.switchToMainFrame();
+
+      case 'start_recording':
+        return await this.startRecording();
+
+      case 'stop_recording':
+        return await this.stopRecording();
+
+      case 'start_prompt':
+        return this.startPrompt();
+
+      case 'start_trace':
+        return await this.startTrace(args?.title);
+
+      case 'stop_trace':
+        return await this.stopTrace();
+
+      case 'save_storage_state':
+        return await this.saveStorageState(args?.name);
+
+      case 'fresh_page':
+        return await this.freshPage();
+
+      case 'close_browser':
+        return await this.closeBrowser();
+
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
+  // Logs every tool call with its arguments, outcome and duration to stderr
+  // (stdout carries the MCP protocol) and hands the duration to the client
+  withTiming(name, args, result, durationMs) {
+    const argsText = JSON.stringify(args ?? {});
+    const outcome = result.isError
+      ? `failed: ${result.content[0].text.split('\n')[0]}`
+      : 'ok';
+    console.error(
+      `[tool] ${name} ${
+        argsText.length > MAX_LOGGED_ARGS_LENGTH
+          ? `${argsText.slice(0, MAX_LOGGED_ARGS_LENGTH)}...`
+          : argsText
+      } ${outcome} in ${durationMs}ms`
+    );
+
+    return { ...result, _meta: { ...result._meta, durationMs } };
+  }
+
+  async launchBrowser(args = {}) {
+    const { headless = false, locatorPreference = null } = args;
+
+    if (locatorPreference) {
+      this.locatorPreference = parseLocatorPreference(locatorPreference);
+    }
+
+    const options = normalizeBrowserOptions(args);
+
+    // If browser is already running, don't launch a new one, unless it has
+    // to start from another storage state
+    if (this.browser) {
+      if (
+        !options.storageState ||
+        options.storageState === this.browserOptions.storageState
+      ) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Browser already running in ${
+                headless ? 'headless' : 'headed'
+              } mode`,
+            },
+          ],
+        };
+      }
+      await this.closeBrowser();
+    }
+
+    const launcher = BROWSER_LAUNCHERS[options.browserType || 'chromium'];
+    const browser = await launcher.launch({ headless });
+    try {
+      this.context = await browser.newContext(contextOptionsFor(options));
+      this.page = await this.context.newPage();
+    } catch (error) {
+      // e.g. a mobile device on firefox, which does not support isMobile
+      await browser.close();
+      this.context = null;
+      throw error;
+    }
+    this.browser = browser;
+    this.headless = headless;
+    this.browserOptions = options;
+    if (this.tracingEnabled) {
+      await this.context.tracing.start({ screenshots: true, snapshots: true });
+      this.tracing = true;
+    }
+    this.resetPageState();
+    this.registerPage(this.page, 'page');
+    this.declaredPages.add('page');
+    // Popups and target=_blank links land here, see list_pages
+    this.context.on('page', (page) => {
+      this.registerPage(page);
+      if (this.recording) {
+        this.installRecorderOn(page).catch((error) =>
+          console.error('Error installing recorder:', error)
+        );
+      }
+    });
+    // No code of its own; generatePlaywrightTest turns it into test.use()
+    this.actions.push({ type: 'launch_browser', options });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Browser launched in ${
+            headless ? 'headless' : 'headed'
+          } mode (${describeBrowserOptions(options)})`,
+        },
+      ],
+    };
+  }
+
+  // Forgets everything recorded against the previous browser
+  resetPageState() {
+    this.actions = [];
+    this.promptStart = 0;
+    this.pageObjects.clear();
+    this.refSelectors.clear();
+    this.nextRef = 1;
+    this.lastActionPoint = null;
+    this.recording = false;
+    this.recorderPages = new WeakSet();
+    this.frame = null;
+    this.scope = new CodeScope();
+    this.pageVariables.clear();
+    this.declaredPages.clear();
+    this.nextPageNumber = 1;
+    this.resolvedFrames.clear();
+    this.openedPages.clear();
+    this.networkLog = [];
+    this.networkCursor = this.networkSeq;
+  }
+
+  // Element tools run against the active frame, or the active page
+  activeTarget() {
+    return this.frame || this.page;
+  }
+
+  registerPage(page, variable = null) {
+    if (this.pageVariables.has(page)) {
+      return this.pageVariables.get(page);
+    }
+
+    const pageVariable = variable || `page${this.nextPageNumber++}`;
+    this.pageVariables.set(page, pageVariable);
+    page.on('close', () => this.handlePageClosed(page));
+    for (const kind of Object.values(NETWORK_WAITS)) {
+      page.on(kind, (message) => this.logNetwork(page, kind, message));
+    }
+    return pageVariable;
+  }
+
+  logNetwork(page, kind, message) {
+    this.networkLog.push({
+      ...networkEntry(kind, message),
+      page,
+      seq: ++this.networkSeq,
+    });
+    if (this.networkLog.length > MAX_NETWORK_LOG) {
+      this.networkLog.shift();
+    }
+  }
+
+  handlePageClosed(page) {
+    this.pageVariables.delete(page);
+    if (page === this.page) {
+      const [next] = this.pageVariables.keys();
+      this.activatePage(next || null);
+    }
+  }
+
+  activatePage(page) {
+    this.page = page;
+    this.frame = null;
+    this.scope = new CodeScope(page ? this.pageVariables.get(page) : 'page');
+  }
+
+  findPage(pageId) {
+    for (const [page, variable] of this.pageVariables) {
+      if (variable === pageId) {
+        return page;
+      }
+    }
+    throw new Error(
+      `Unknown page: ${pageId}. Open pages: ${[
+        ...this.pageVariables.values(),
+      ].join(', ')}`
+    );
+  }
+
+  async navigateTo(url) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
+    }
+
+    await this.page.goto(url);
+    // The frames of the previous document are gone
+    this.frame = null;
+    this.lastActionPoint = null;
+    this.scope = this.scope.mainFrame();
+    this.actions.push({
+      type: 'navigate',
+      url: url,
+      code: `await ${this.scope.page(call('page.goto', url))};`,
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Navigated to ${url}`,
+        },
+      ],
+    };
+  }
+
+  async clickElement(selector, timeout = 30000) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
+    }
+
+    try {
+      const target = await this.findActionTarget(
+        'click',
+        selector,
+        Math.min(timeout, 5000)
+      );
+
+      const element = this.activeTarget().locator(target.selector);
+      if (!(await element.isEnabled())) {
+        throw new Error(`Element ${target.selector} is not enabled/clickable`);
+      }
+
+      // Scroll element into view if needed
+      await element.scrollIntoViewIfNeeded();
+
+      // Resolve the locator before clicking, the click may navigate away
+      const locator = await this.resolveLocator(target.selector);
+      await this.rememberActionPoint(element);
+
+      // Click the element
+      await element.click({ timeout });
+
+      this.actions.push({
+        type: 'click',
+        selector: target.selector,
+        requestedSelector: selector,
+        healed: target.healed,
+        locator: locator.code,
+        locatorStrategy: locator.strategy,
+        code: `await ${call(`${locator.code}.click`)};`,
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Successfully clicked element: ${
+              target.selector
+            }${healingNote(target.healed)}`,
+          },
+        ],
+      };
+    } catch (error) {
+      // Provide detailed error information
+      let clickableElements;
+      try {
+        clickableElements = await this.activeTarget().$$eval(
+          'button, input[type="submit"], input[type="button"], input[type="reset"], a, [onclick], [data-target], [role="button"]',
+          (elements) =>
+            elements.map((el) => ({
+              tag: el.tagName,
+              type: el.type || '',
+              text: el.textContent?.trim()?.substring(0, 50) || '',
+              value: el.value || '',
+              id: el.id || '',
+              class: el.className || '',
+              name: el.name || '',
+              'data-target': el.getAttribute('data-target') || '',
+              'aria-label': el.getAttribute('aria-label') || '',
+              role: el.getAttribute('role') || '',
+              form: el.form ? 'in-form' : 'no-form',
+              disabled: el.disabled ? 'disabled' : 'enabled',
+              visible: el.offsetParent !== null ? 'visible' : 'hidden',
+            }))
+        );
+      } catch (evalError) {
+        throw new Error(
+          `Failed to click element ${selector}: ${error.message}. Could not inspect available elements: ${evalError.message}`
+        );
+      }
+
+      throw new Error(
+        `Failed to click element ${selector}: ${
+          error.message
+        }. Available clickable elements: ${JSON.stringify(clickableElements)}`
+      );
+    }
+  }
+
+  async fillInput(selector, text) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
+    }
+
+    try {
+      const target = await this.findActionTarget('fill', selector, 5000);
+
+      const locator = await this.resolveLocator(target.selector);
+      await this.rememberActionPoint(
+        this.activeTarget().locator(target.selector)
+      );
+
+      // Clear the field first, then fill it
+      await this.activeTarget().fill(target.selector, '');
+      await this.activeTarget().fill(target.selector, text);
+
+      // Verify the text was actually filled
+      const filledValue = await this.activeTarget().inputValue(target.selector);
+
+      this.actions.push({
+        type: 'fill',
+        selector: target.selector,
+        requestedSelector: selector,
+        healed: target.healed,
+        text: text,
+        actualValue: filledValue,
+        locator: locator.code,
+        locatorStrategy: locator.strategy,
+        code: `await ${call(`${locator.code}.fill`, text)};`,
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Successfully filled input ${
+              target.selector
+            } with: ${text} (actual value: ${filledValue})${healingNote(
+              target.healed
+            )}`,
+          },
+        ],
+      };
+    } catch (error) {
+      // Provide detailed error information
+      let inputs;
+      try {
+        inputs = await this.activeTarget().$$eval(
+          'input, textarea, select',
+          (elements) =>
+            elements.map((el) => ({
+              tag: el.tagName,
+              type: el.type || 'text',
+              name: el.name || '',
+              id: el.id || '',
+              placeholder: el.placeholder || '',
+              'data-target': el.getAttribute('data-target') || '',
+              'aria-label': el.getAttribute('aria-label') || '',
+              required: el.required || false,
+            }))
+        );
+      } catch (evalError) {
+        throw new Error(
+          `Failed to fill input ${selector}: ${error.message}. Could not inspect available inputs: ${evalError.message}`
+        );
+      }
+
+      throw new Error(
+        `Failed to fill input ${selector}: ${
+          error.message
+        }. Available inputs: ${JSON.stringify(inputs)}`
+      );
+    }
+  }
+
+  // Waits for selector to become visible in the active frame. If it never
+  // does, the healing engine looks for the element it was meant to match.
+  // Returns { selector, healed } where healed describes the substitution.
+  async findActionTarget(kind, selector, timeout) {
+    try {
+      await this.activeTarget().waitForSelector(selector, {
+        timeout,
+        state: 'visible',
+      });
+      return { selector, healed: null };
+    } catch (error) {
+      let healing;
+      try {
+        healing = await healSelector(this.activeTarget(), kind, selector, {
+          url: this.page.url(),
+          anchor: this.lastActionPoint,
+          threshold: this.healingThreshold,
+        });
+      } catch (healingError) {
+        throw new Error(
+          `${error.message}. Self-healing failed: ${healingError.message}`
+        );
+      }
+
+      if (!healing.selector) {
+        const closest = healing.best
+          ? ` (closest: ${
+              healing.best.description
+            }, confidence ${healing.best.confidence.toFixed(2)}${
+              healing.ambiguous ? ', ambiguous' : ''
+            })`
+          : '';
+        throw new Error(
+          `${error.message}. Self-healing found no confident match${closest}`
+        );
+      }
+
+      return {
+        selector: healing.selector,
+        healed: {
+          from: selector,
+          to: healing.selector,
+          element: healing.description,
+          confidence: healing.confidence,
+          reasons: healing.reasons,
+        },
+      };
+    }
+  }
+
+  // Centre of the element an action is about to use, for the proximity
+  // signal of the next healing
+  async rememberActionPoint(element) {
+    const box = await element.boundingBox().catch(() => null);
+    this.lastActionPoint = box
+      ? { x: box.x + box.width / 2, y: box.y + box.height / 2 }
+      : null;
+  }
+
+  // Finds the best locator for the element selector matches. code is
+  // rebased onto the active page and frame; pageCode is relative to `page`.
+  // The record of the step keeps it: the same selector can match another
+  // element on another page or later on.
+  async resolveLocator(selector) {
+    const locator = await resolveBestLocator(
+      this.activeTarget(),
+      selector,
+      this.locatorPreference
+    );
+    const code = this.scope.locator(locator.code);
+    return { ...locator, code, pageCode: locator.code };
+  }
+
+  // locators maps the selectors of a step that ran to the locator code
+  // resolved for them; any other selector stays CSS
+  locatorCodeFor(selector, scope = this.scope, locators = {}) {
+    return locators[selector] || scope.locator(call('page.locator', selector));
+  }
+
+  // Frames have no waitForSelector in generated code, so inside a frame the
+  // locator's waitFor() is used instead
+  waitCode(selector, scope = this.scope) {
+    return scope.inFrame
+      ? `await ${scope.locator(call('page.locator', selector))}.waitFor();`
+      : `await ${scope.page(call('page.waitForSelector', selector))};`;
+  }
+
+  // Runs one of the INTERACTIONS tools. Every selector in args is waited for
+  // in the active frame and resolved to a locator before the action runs;
+  // failures list the elements that are available, like clickElement does.
+  async interact(name, args) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
+    }
+
+    const { type, kind, state = 'visible' } = INTERACTIONS[name];
+    const timeout = args.timeout ?? 30000;
+    const target = this.activeTarget();
+    const selectors = ['selector', 'source', 'target']
+      .map((key) => args[key])
+      .filter(Boolean);
+    // Fixtures are checked before anything happens on the page
+    const files =
+      name === 'upload_file'
+        ? [].concat(args.files).map((file) => resolveFixturePath(file))
+        : [];
+
+    let message;
+    const locators = {};
+    try {
+      for (const selector of selectors) {
+        await target.waitForSelector(selector, {
+          timeout: Math.min(timeout, 5000),
+          state,
+        });
+        // Resolve before acting, the action may change or remove the element
+        locators[selector] = (await this.resolveLocator(selector)).code;
+      }
+
+      const element = args.selector ? target.locator(args.selector) : null;
+      message = await this.performInteraction(name, args, {
+        element,
+        files,
+        timeout,
+      });
+    } catch (error) {
+      const available = await this.availableElements(kind).catch(
+        (evalError) => `could not be inspected: ${evalError.message}`
+      );
+      throw new Error(
+        `Failed to ${name} ${selectors.join(' -> ')}: ${
+          error.message
+        }. Available ${kind} elements: ${
+          typeof available === 'string' ? available : JSON.stringify(available)
+        }`
+      );
+    }
+
+    this.actions.push({
+      type,
+      ...args,
+      locator: args.selector ? locators[args.selector] : undefined,
+      locators,
+      code: this.interactionCode(
+        { name, arguments: args },
+        this.scope,
+        locators
+      ),
+    });
+
+    return {
+      content: [{ type: 'text', text: message }],
+    };
+  }
+
+  async performInteraction(name, args, { element, files, timeout }) {
+    switch (name) {
+      case 'select_option': {
+        const selected = await element.selectOption(args.value, { timeout });
+        return `Selected ${selected.join(', ')} in ${args.selector}`;
+      }
+
+      case 'check':
+        await element.check({ timeout });
+        return `Checked ${args.selector}`;
+
+      case 'uncheck':
+        await element.uncheck({ timeout });
+        return `Unchecked ${args.selector}`;
+
+      case 'hover':
+        await element.hover({ timeout });
+        return `Hovered over ${args.selector}`;
+
+      case 'dblclick':
+        await element.dblclick({ timeout });
+        return `Double-clicked ${args.selector}`;
+
+      case 'right_click':
+        await element.click({ button: 'right', timeout });
+        return `Right-clicked ${args.selector}`;
+
+      case 'press_key': {
+        const combo = keyCombination(args.key, args.modifiers);
+        if (element) {
+          await element.press(combo, { timeout });
+        } else {
+          await this.page.keyboard.press(combo);
+        }
+        return `Pressed ${combo}${element ? ` on ${args.selector}` : ''}`;
+      }
+
+      case 'type_text':
+        if (args.clear) {
+          await element.clear({ timeout });
+        }
+        await element.pressSequentially(args.text, {
+          delay: args.delay ?? 50,
+          timeout,
+        });
+        return `Typed "${args.text}" into ${
+          args.selector
+        } (value: ${await element.inputValue()})`;
+
+      case 'drag_and_drop':
+        await this.activeTarget()
+          .locator(args.source)
+          .dragTo(this.activeTarget().locator(args.target), { timeout });
+        return `Dragged ${args.source} onto ${args.target}`;
+
+      case 'upload_file':
+        await element.setInputFiles(
+          files.map((file) => file.filePath),
+          { timeout }
+        );
+        return `Uploaded ${files
+          .map((file) => file.relativePath)
+          .join(', ')} to ${args.selector}`;
+
+      case 'scroll':
+        if (element) {
+          await element.scrollIntoViewIfNeeded({ timeout });
+          return `Scrolled ${args.selector} into view`;
+        }
+        await this.page.mouse.wheel(args.deltaX ?? 0, args.deltaY ?? 500);
+        return `Scrolled the page by ${args.deltaX ?? 0}, ${
+          args.deltaY ?? 500
+        }`;
+
+      default:
+        throw new Error(`Unknown interaction: ${name}`);
+    }
+  }
+
+  // Playwright code for an interaction action, shared by interact() and by
+  // convertActionToPlaywrightCode. locators are those interact() resolved.
+  interactionCode(action, scope = this.scope, locators = {}) {
+    const args = action.arguments;
+    const target = () => this.locatorCodeFor(args.selector, scope, locators);
+
+    switch (action.name) {
+      case 'select_option':
+        return `await ${call(`${target()}.selectOption`, args.value)};`;
+
+      case 'check':
+      case 'uncheck':
+      case 'hover':
+      case 'dblclick':
+        return `await ${call(`${target()}.${action.name}`)};`;
+
+      case 'right_click':
+        return `await ${call(`${target()}.click`, { button: 'right' })};`;
+
+      case 'press_key': {
+        const combo = keyCombination(args.key, args.modifiers);
+        return args.selector
+          ? `await ${call(`${target()}.press`, combo)};`
+          : `await ${scope.page(call('page.keyboard.press', combo))};`;
+      }
+
+      case 'type_text': {
+        const typeCode = `await ${call(
+          `${target()}.pressSequentially`,
+          args.text,
+          { delay: args.delay ?? 50 }
+        )};`;
+        return args.clear
+          ? `await ${call(`${target()}.clear`)};\n  ${typeCode}`
+          : typeCode;
+      }
+
+      case 'drag_and_drop':
+        return `await ${call(
+          `${this.locatorCodeFor(args.source, scope, locators)}.dragTo`,
+          raw(this.locatorCodeFor(args.target, scope, locators))
+        )};`;
+
+      case 'upload_file': {
+        let paths;
+        try {
+          paths = []
+            .concat(args.files)
+            .map((file) => resolveFixturePath(file).relativePath);
+        } catch (error) {
+          // A failed upload in the model's plan should not break the spec
+          return comment(`upload_file skipped: ${error.message}`);
+        }
+        return `await ${call(
+          `${target()}.setInputFiles`,
+          paths.length === 1 ? paths[0] : paths
+        )};`;
+      }
+
+      case 'scroll':
+        return args.selector
+          ? `await ${call(`${target()}.scrollIntoViewIfNeeded`)};`
+          : `await ${scope.page(
+              call('page.mouse.wheel', args.deltaX ?? 0, args.deltaY ?? 500)
+            )};`;
+
+      default:
+        return null;
+    }
+  }
+
+  // Summary of the elements an interaction of the given kind could target,
+  // for error messages
+  async availableElements(kind) {
+    return this.activeTarget().$$eval(DIAGNOSTIC_SELECTORS[kind], (elements) =>
+      elements.slice(0, 50).map((el) => ({
+        tag: el.tagName,
+        type: el.type || '',
+        id: el.id || '',
+        name: el.getAttribute('name') || '',
+        text: el.textContent?.trim()?.substring(0, 50) || '',
+        role: el.getAttribute('role') || '',
+        'aria-label': el.getAttribute('aria-label') || '',
+        visible: el.offsetParent !== null ? 'visible' : 'hidden',
+      }))
+    );
+  }
+
+  async waitForElement(selector, timeout = 30000) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
+    }
+
+    await this.activeTarget().waitForSelector(selector, { timeout });
+    this.actions.push({
+      type: 'wait',
+      selector: selector,
+      code: this.waitCode(selector),
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Element found: ${selector}`,
+        },
+      ],
+    };
+  }
+
+  // Stores the screenshot under a unique name in the artifacts directory
+  // and returns it as image content, so the model can look at it. The name
+  // is listed in _meta.artifacts for clients that link to the file.
+  async takeScreenshot({
+    filename = 'screenshot.png',
+    selector = null,
+    fullPage = false,
+  }) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
+    }
+
+    const fileName = uniqueArtifactName(this.artifactsDir, filename, '.png');
+    const filePath = path.join(this.artifactsDir, fileName);
+
+    let image;
+    let target;
+    if (selector) {
+      const element = this.activeTarget().locator(selector);
+      await element.waitFor({ state: 'visible', timeout: 10000 });
+      image = await element.screenshot({ path: filePath });
+      target = (await this.resolveLocator(selector)).code;
+    } else {
+      image = await this.page.screenshot({ path: filePath, fullPage });
+      target = this.scope.pageVariable;
+    }
+
+    this.actions.push({
+      type: 'screenshot',
+      filename,
+      selector,
+      code: screenshotCode(target, filename, !selector && fullPage),
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Screenshot saved as ${fileName}${
+            selector ? ` (element ${selector})` : fullPage ? ' (full page)' : ''
+          }`,
+        },
+        {
+          type: 'image',
+          data: image.toString('base64'),
+          mimeType: 'image/png',
+        },
+      ],
+      _meta: { artifacts: [fileName] },
+    };
+  }
+
+  async githubSearch(query) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
+    }
+
+    try {
+      // Locator of the input strategy 1 typed into
+      let searchLocator = null;
+
+      // Multiple strategies for GitHub search
+      const searchStrategies = [
+        // Strategy 1: Use the main search input
+        async () => {
+          const searchSelectors = [
+            '[data-target="query-builder.input"]',
+            'input[name="q"]',
+            '#query-builder-test',
+            'input[placeholder*="Search"]',
+            'input[aria-label*="Search"]',
+            '.js-site-search-focus',
+          ];
+
+          for (const selector of searchSelectors) {
+            try {
+              await this.page.waitForSelector(selector, {
+                timeout: 3000,
+                state: 'visible',
+              });
+              const element = await this.page.locator(selector);
+
+              if (await element.isVisible()) {
+                // Resolved first, Enter navigates away from the input
+                searchLocator = (
+                  await resolveBestLocator(
+                    this.page,
+                    selector,
+                    this.locatorPreference
+                  )
+                ).code;
+                await element.click();
+                await element.fill(query);
+                await element.press('Enter');
+                return selector;
+              }
+            } catch (e) {
+              continue;
+            }
+          }
+          throw new Error('No search input found');
+        },
+
+        // Strategy 2: Use keyboard shortcut to open search
+        async () => {
+          await this.page.keyboard.press('s'); // GitHub's search shortcut
+          await this.page.waitForTimeout(500);
+          await this.page.keyboard.type(query);
+          await this.page.keyboard.press('Enter');
+          return 'keyboard-shortcut';
+        },
+
+        // Strategy 3: Navigate directly to search URL
+        async () => {
+          const searchUrl = `https://github.com/search?q=${encodeURIComponent(
+            query
+          )}`;
+          await this.page.goto(searchUrl);
+          return 'direct-url';
+        },
+      ];
+
+      let usedStrategy = null;
+      let lastError = null;
+
+      for (let i = 0; i < searchStrategies.length; i++) {
+        try {
+          usedStrategy = await searchStrategies[i]();
+          break;
+        } catch (error) {
+          lastError = error;
+          continue;
+        }
+      }
+
+      if (!usedStrategy) {
+        throw new Error(
+          `All GitHub search strategies failed. Last error: ${lastError.message}`
+        );
+      }
+
+      // Wait for search results to load
+      try {
+        await this.page.waitForSelector(
+          '[data-testid="results-list"], .repo-list, .search-results',
+          { timeout: 10000 }
+        );
+      } catch (e) {
+        // Sometimes results load without these specific selectors
+        await this.page.waitForTimeout(2000);
+      }
+
+      this.actions.push({
+        type: 'github_search',
+        query: query,
+        strategy: usedStrategy,
+        code: this.githubSearchCode(
+          query,
+          usedStrategy,
+          this.scope,
+          searchLocator
+        ),
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Successfully performed GitHub search for "${query}" using strategy: ${usedStrategy}`,
+          },
+        ],
+      };
+    } catch (error) {
+      // Provide debug information
+      const currentUrl = await this.page.url();
+      const pageTitle = await this.page.title();
+
+      throw new Error(
+        `GitHub search failed: ${error.message}. Current URL: ${currentUrl}, Page title: ${pageTitle}`
+      );
+    }
+  }
+
+  async inspectPage(elementType = 'all') {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
+    }
+
+    const inspection = await this.collectInspection(elementType);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Page inspection complete. Found ${
+            inspection.forms.length
+          } forms, ${inspection.inputs.length} inputs, ${
+            inspection.buttons.length
+          } buttons.\n\nDetailed inspection:\n${JSON.stringify(
+            inspection,
+            null,
+            2
+          )}`,
+        },
+      ],
+    };
+  }
+
+  async pageSnapshot({ selector, interactiveOnly = false, maxLength }) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
+    }
+
+    const target = this.activeTarget();
+    const snapshot = await target.evaluate(takeSnapshot, {
+      rootSelector: selector || null,
+      maxLength: maxLength || DEFAULT_SNAPSHOT_LENGTH,
+      interactiveOnly,
+      nextRef: this.nextRef,
+    });
+    this.nextRef = snapshot.nextRef;
+
+    const header = [`Page: ${await this.page.title()} (${this.page.url()})`];
+    if (this.frame) {
+      header.push(`Frame: ${this.frame.url()}`);
+    }
+    const lines = [...header, '', ...snapshot.lines];
+    if (snapshot.truncated) {
+      lines.push(
+        `... ${
+          snapshot.total - snapshot.lines.length
+        } more elements not shown. Call page_snapshot with a selector or interactiveOnly to narrow it down.`
+      );
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: lines.join('\n'),
+        },
+      ],
+    };
+  }
+
+  // Replaces ref arguments (see REF_ARGUMENTS) with a CSS selector for the
+  // element the ref points at, so every tool keeps working with selectors
+  async resolveRefs(args) {
+    if (!args) {
+      return args;
+    }
+
+    const resolved = { ...args };
+    for (const [selectorArg, refArg] of Object.entries(REF_ARGUMENTS)) {
+      if (args[refArg] && !args[selectorArg]) {
+        resolved[selectorArg] = await this.selectorForRef(args[refArg]);
+      }
+    }
+    return resolved;
+  }
+
+  async selectorForRef(ref) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
+    }
+
+    const handle = await this.activeTarget().evaluateHandle(
+      findRefElement,
+      ref
+    );
+    const element = handle.asElement();
+    if (!element) {
+      await handle.dispose();
+      throw new Error(
+        `Unknown or stale ref: ${ref}. Call page_snapshot again to get current refs.`
+      );
+    }
+
+    try {
+      const selector = await element.evaluate(uniqueSelector);
+      this.refSelectors.set(ref, selector);
+      return selector;
+    } finally {
+      await element.dispose();
+    }
+  }
+
+  // Same as resolveRefs for AI-format actions, using the selectors the refs
+  // resolved to when the tools ran
+  argumentsWithRefs(args) {
+    const resolved = { ...args };
+    for (const [selectorArg, refArg] of Object.entries(REF_ARGUMENTS)) {
+      if (args[refArg] && !args[selectorArg]) {
+        resolved[selectorArg] = this.refSelectors.get(args[refArg]);
+      }
+    }
+    return resolved;
+  }
+
+  // First ref in converted arguments that no tool call resolved, if any
+  unresolvedRef(args) {
+    if (!args) {
+      return null;
+    }
+
+    const entry = Object.entries(REF_ARGUMENTS).find(
+      ([selectorArg, refArg]) => args[refArg] && !args[selectorArg]
+    );
+    return entry ? args[entry[1]] : null;
+  }
+
+  async generatePageObject({ className, formSelector, save, overwrite }) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
+    }
+
+    const inspection = await this.collectInspection('all');
+    const scope = formSelector
+      ? await this.activeTarget().locator(formSelector).first().elementHandle({
+          timeout: 5000,
+        })
+      : null;
+
+    // Only visible elements (inside the requested form) become members, each
+    // with a locator verified against the live page
+    const withLocators = async (elements) => {
+      const resolved = [];
+      for (const element of elements) {
+        const selector = await this.firstUniqueSelector(element.selectors);
+        if (!selector) {
+          continue;
+        }
+
+        const locator = this.activeTarget().locator(selector);
+        if (!(await locator.isVisible())) {
+          continue;
+        }
+        if (
+          scope &&
+          !(await locator.evaluate((el, form) => form.contains(el), scope))
+        ) {
+          continue;
+        }
+
+        // Page objects are built from `page`, whichever page is active
+        const best = await this.resolveLocator(selector);
+        resolved.push({
+          ...element,
+          locator: new CodeScope('page', this.scope.frameSelectors).locator(
+            best.pageCode
+          ),
+        });
+      }
+      return resolved;
+    };
+
+    const inputs = await withLocators(
+      inspection.inputs.filter(
+        (input) =>
+          !['hidden', 'submit', 'button', 'reset', 'image'].includes(input.type)
+      )
+    );
+    const buttons = await withLocators(inspection.buttons);
+
+    const name = toClassName(className || inspection.title || 'Generated');
+    const pageObject = {
+      className: name,
+      fileName: `${name}.js`,
+      url: inspection.url,
+      // The page the recorded steps reach it on, see actionLines
+      pageVariable: this.scope.pageVariable,
+      members: buildMembers(inputs, buttons).slice(0, MAX_PAGE_OBJECT_MEMBERS),
+    };
+    pageObject.code = generatePageObjectCode(pageObject);
+    this.pageObjects.set(name, pageObject);
+
+    let savedMessage = '';
+    if (save) {
+      const saved = savePageObject(pageObject.fileName, pageObject.code, {
+        overwrite,
+      });
+      savedMessage = `\nSaved to ${saved.relativePath}`;
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Generated page object ${name} with ${pageObject.members.length} members.${savedMessage}\n\n${pageObject.code}`,
+        },
+      ],
+    };
+  }
+
+  async firstUniqueSelector(selectors) {
+    for (const selector of selectors) {
+      try {
+        if ((await this.activeTarget().locator(selector).count()) === 1) {
+          return selector;
+        }
+      } catch (error) {
+        // Invalid selector, try the next one
+      }
+    }
+    return null;
+  }
+
+  // Collects forms, inputs and buttons on the current page, each with a list
+  // of candidate selectors
+  async collectInspection(elementType = 'all') {
+    return this.activeTarget().evaluate((type) => {
+      const result = {
+        url: window.location.href,
+        title: document.title,
+        forms: [],
+        inputs: [],
+        buttons: [],
+        links: [],
+      };
+
+      if (type === 'all' || type === 'forms') {
+        const forms = document.querySelectorAll('form');
+        forms.forEach((form, index) => {
+          const formData = {
+            index,
+            id: form.id || '',
+            action: form.action || '',
+            method: form.method || 'GET',
+            selectors: [
+              `form:nth-of-type(${index + 1})`,
+              form.id ? `#${form.id}` : '',
+            ].filter(Boolean),
+          };
+          result.forms.push(formData);
+        });
+      }
+
+      if (type === 'all' || type === 'inputs') {
+        const inputs = document.querySelectorAll('input, textarea, select');
+        inputs.forEach((input, index) => {
+          // Find associated label
+          let labelText = '';
+          const label = input.id
+            ? document.querySelector(`label[for="${input.id}"]`)
+            : null;
+          if (label) {
+            labelText = label.textContent?.trim() || '';
+          } else {
+            // Check if input is inside a label
+            const parentLabel = input.closest('label');
+            if (parentLabel) {
+              labelText =
+                parentLabel.textContent
+                  ?.replace(input.value || '', '')
+                  .trim() || '';
+            }
+          }
+
+          const inputData = {
+            index,
+            tag: input.tagName.toLowerCase(),
+            type: input.type || 'text',
+            name: input.name || '',
+            id: input.id || '',
+            placeholder: input.placeholder || '',
+            label: labelText,
+            required: input.required || false,
+            value: input.value || '',
+            selectors: [
+              input.id ? `#${input.id}` : '',
+              input.name ? `[name="${input.name}"]` : '',
+              input.placeholder ? `[placeholder="${input.placeholder}"]` : '',
+              labelText && input.type !== 'hidden'
+                ? `label:has-text("${labelText}") >> input`
+                : '',
+              `${input.tagName.toLowerCase()}:nth-of-type(${index + 1})`,
+            ].filter(Boolean),
+          };
+          result.inputs.push(inputData);
+        });
+      }
+
+      if (type === 'all' || type === 'buttons') {
+        const buttons = document.querySelectorAll(
+          'button, input[type="submit"], input[type="button"], input[type="reset"]'
+        );
+        buttons.forEach((button, index) => {
+          const buttonData = {
+            index,
+            tag: button.tagName.toLowerCase(),
+            type: button.type || '',
+            text: button.textContent?.trim() || button.value || '',
+            id: button.id || '',
+            name: button.name || '',
+            disabled: button.disabled || false,
+            selectors: [
+              button.id ? `#${button.id}` : '',
+              button.name ? `[name="${button.name}"]` : '',
+              button.textContent?.trim()
+                ? `text="${button.textContent.trim()}"`
+                : '',
+              `${button.tagName.toLowerCase()}:nth-of-type(${index + 1})`,
+            ].filter(Boolean),
+          };
+          result.buttons.push(buttonData);
+        });
+      }
+
+      return result;
+    }, elementType);
+  }
+
+  async getPageContent(args = {}) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
+    }
+
+    const { mode, rootSelector, maxLength } = normalizeContentOptions(args);
+    const title = await this.page.title();
+    const url = this.page.url();
+    const { content, root } = await this.activeTarget().evaluate(
+      extractPageContent,
+      { mode, rootSelector }
+    );
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Page Title: ${title}\nURL: ${url}\nContent (${mode} of ${root}, ${
+            content.length
+          } characters):\n\n${truncateContent(content, maxLength)}`,
+        },
+      ],
+    };
+  }
+
+  async generateTest(
+    testName,
+    description = '',
+    providedActions = null,
+    options = {}
+  ) {
+    // Use provided actions if available, otherwise fall back to internal actions
+    const actionsToUse = providedActions || this.actions;
+
+    // Never hand back a spec that would not even parse
+    let testCode;
+    let dataTable;
+    if (options.suite) {
+      testCode = this.generatePlaywrightSuite(options.suite, options);
+    } else if (options.data) {
+      ({ code: testCode, dataTable } = this.generateDataDrivenTest(
+        testName,
+        description,
+        actionsToUse,
+        options
+      ));
+    } else {
+      testCode = this.generatePlaywrightTest(
+        testName,
+        description,
+        actionsToUse,
+        options
+      );
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: checkSyntax(testCode),
+        },
+      ],
+      ...(dataTable && { _meta: { dataTable } }),
+    };
+  }
+
+  generatePlaywrightTest(testName, description, actions, options = {}) {
+    const state = this.codeState(options);
+    const resolvedActions = this.resolveActions(actions || []);
+    const lines = this.actionLines(
+      resolvedActions,
+      this.recordedActionsFor(resolvedActions),
+      state
+    );
+
+    // Steps that save a storage state make a setup project file (see
+    // playwright.config.js), which declares setup() instead of test()
+    const isSetup = (actions || []).some(
+      (action) =>
+        action.type === 'save_storage_state' ||
+        action.name === 'save_storage_state'
+    );
+    const testFunction = isSetup ? 'setup' : 'test';
+
+    return `${this.specHeader(
+      actions,
+      state.usedPageObjects,
+      testFunction
+    )}\n${testBlockCode(testFunction, description || testName, lines)}\n`;
+  }
+
+  // Like generatePlaywrightTest, with the filled values lifted into a data
+  // table (options.data: { source, rows }) and the test in a loop over its
+  // rows. dataTable describes the table for the caller, e.g. to have the
+  // model propose more rows; without fill steps the test is a plain one.
+  generateDataDrivenTest(testName, description, actions, options) {
+    const source = normalizeDataSource(options.data.source);
+    const resolvedActions = this.resolveActions(actions || []);
+    const recordedActions = this.recordedActionsFor(resolvedActions);
+    const fills = resolvedActions.filter(
+      (action) => action.name === 'fill_input' || action.type === 'fill'
+    );
+    if (fills.length === 0) {
+      return {
+        code: this.generatePlaywrightTest(
+          testName,
+          description,
+          actions,
+          options
+        ),
+        dataTable: { source, columns: [], rows: 0 },
+      };
+    }
+    if (
+      resolvedActions.some(
+        (action) =>
+          action.type === 'save_storage_state' ||
+          action.name === 'save_storage_state'
+      )
+    ) {
+      throw new Error(
+        'Setup files that save a storage state cannot be data-driven'
+      );
+    }
+
+    const columns = dataColumns(
+      fills.map((action) => {
+        const record =
+          recordedActions.get(action) || (action.type === 'fill' && action);
+        return {
+          locator: record?.locator,
+          selector: record?.selector || action.arguments?.selector,
+          text: record ? record.text : action.arguments?.text,
+          actualValue: record?.actualValue,
+        };
+      })
+    );
+    const rows = dataRows(columns, options.data.rows);
+    let file;
+    if (source !== 'inline') {
+      const content =
+        source === 'json'
+          ? `${JSON.stringify(rows, null, 2)}\n`
+          : toCsv(
+              [DESCRIPTION_COLUMN, ...columns.map((column) => column.name)],
+              rows
+            );
+      file = saveTestData(
+        testName,
+        DATA_FILE_EXTENSIONS[source],
+        content
+      ).relativePath;
+    }
+
+    const state = this.codeState(options);
+    state.dataColumns = new Map(
+      fills.map((action, index) => [action, columns[index].name])
+    );
+    const lines = this.actionLines(resolvedActions, recordedActions, state);
+    const table = dataTableCode(source, rows, file);
+    const title = templateLiteral(
+      `${description || testName}: `,
+      rowValue(DESCRIPTION_COLUMN)
+    );
+
+    return {
+      code: `${this.specHeader(
+        actions,
+        state.usedPageObjects,
+        'test',
+        table.imports
+      )}\n${table.code}\n\nfor (const row of data) {\n${testBlockCode(
+        'test',
+        raw(title),
+        lines,
+        '  '
+      )}\n}\n`,
+      dataTable: { source, file, columns, rows: rows.length },
+    };
+  }
+
+  // A test.describe() block with one test per scenario of a suite. Steps
+  // every scenario starts with go into test.beforeEach(), and scenarios
+  // that failed in the live run become test.fixme() with the error above.
+  generatePlaywrightSuite({ describe, scenarios }, options = {}) {
+    const state = this.codeState(options);
+    const resolvedScenarios = scenarios.map((scenario) => ({
+      ...scenario,
+      actions: this.resolveActions(scenario.actions || []),
+    }));
+    // Only the steps that ran left records behind, and each scenario ran
+    // from a fresh page in turn
+    const recordedActions = this.recordedActionsFor(
+      resolvedScenarios.flatMap(({ actions, executed }) =>
+        actions.slice(0, executed ?? actions.length)
+      )
+    );
+    const shared = sharedStepCount(
+      resolvedScenarios.map(({ actions }) => actions)
+    );
+
+    const blocks = [];
+    if (shared > 0) {
+      blocks.push(
+        testBlockCode(
+          'test.beforeEach',
+          null,
+          this.actionLines(
+            resolvedScenarios[0].actions.slice(0, shared),
+            recordedActions,
+            state
+          ),
+          '  '
+        )
+      );
+    }
+    for (const { name, actions, error } of resolvedScenarios) {
+      const lines = this.actionLines(actions.slice(shared), recordedActions, {
+        ...state,
+        declaredPages: new Set(state.declaredPages),
+      });
+      blocks.push(
+        error
+          ? `  ${comment(
+              `Failed during the live run: ${error}`
+            )}\n${testBlockCode('test.fixme', name, lines, '  ')}`
+          : testBlockCode('test', name, lines, '  ')
+      );
+    }
+
+    return `${this.specHeader(
+      resolvedScenarios.flatMap(({ actions }) => actions),
+      state.usedPageObjects,
+      'test'
+    )}\n${describeCode(describe, blocks)}\n`;
+  }
+
+  // What carries over from one block of a spec to the next: the page
+  // objects available and used, and the page and frame the steps run in
+  codeState(options) {
+    return {
+      pageObjects: options.usePageObjects ? [...this.pageObjects.values()] : [],
+      usedPageObjects: new Set(),
+      scope: new CodeScope(),
+      declaredPages: new Set(['page']),
+    };
+  }
+
+  resolveActions(actions) {
+    return actions.map((entry) =>
+      entry.arguments
+        ? {
+            ...entry,
+            arguments: this.argumentsWithRefs(entry.arguments),
+          }
+        : entry
+    );
+  }
+
+  // Statements of a test body for the actions, starting with the page
+  // objects they use
+  actionLines(actions, recordedActions, state) {
+    const lines = [];
+    // Page object -> the page variable its instance is built on
+    const usedPageObjects = new Map();
+    // Line of the last step a request/response wait can be started before,
+    // and the number of waits of each kind so far
+    let triggerIndex = null;
+    const waitCounts = { request: 0, response: 0 };
+
+    actions.forEach((resolved) => {
+      // What actually ran in the browser wins over the arguments the
+      // model asked for, e.g. a healed selector or a submit strategy
+      const recorded = recordedActions.get(resolved);
+      let action = recorded
+        ? {
+            ...resolved,
+            arguments: {
+              ...resolved.arguments,
+              ...(recorded.selector && { selector: recorded.selector }),
+            },
+            code: recorded.code,
+          }
+        : resolved;
+      const column = state.dataColumns?.get(resolved);
+      if (column) {
+        action = withRowValue(action, recorded, column);
+      }
+      const unresolvedRef = this.unresolvedRef(action.arguments);
+      if (unresolvedRef) {
+        lines.push(
+          comment(`${action.name} skipped: unknown ref ${unresolvedRef}`)
+        );
+        return;
+      }
+
+      const networkWait = this.networkWaitFor(action, state.scope);
+      if (networkWait) {
+        const { kind, args, scope: waitScope } = networkWait;
+        const count = ++waitCounts[kind];
+        const { setup, code } = networkWaitCode(
+          kind,
+          args,
+          waitScope,
+          count === 1 ? `${kind}Promise` : `${kind}Promise${count}`
+        );
+        // Unless the triggering step opens the page the wait is on
+        const trigger = lines[triggerIndex];
+        if (
+          trigger === undefined ||
+          trigger.includes(`const ${waitScope.pageVariable} `)
+        ) {
+          lines.push(setup);
+        } else {
+          lines.splice(triggerIndex, 0, setup);
+          triggerIndex++;
+        }
+        lines.push(code);
+        return;
+      }
+
+      const linesBefore = lines.length;
+      const pageObjectCall =
+        state.pageObjects.length > 0
+          ? pageObjectCallFor(action, state.pageObjects, (selector) =>
+              recordedLocator(recorded || action, selector)
+            )
+          : null;
+
+      if (pageObjectCall) {
+        const { pageObject } = pageObjectCall;
+        if (!usedPageObjects.has(pageObject)) {
+          // Built on the page the step runs in; one other than `page`, e.g.
+          // a popup's page1, only exists from the step that opened it on
+          const pageVariable = action.name
+            ? state.scope.pageVariable
+            : pageObject.pageVariable;
+          usedPageObjects.set(pageObject, pageVariable);
+          if (pageVariable !== 'page') {
+            lines.push(pageObjectDeclaration(pageObject, pageVariable));
+          }
+        }
+        lines.push(pageObjectCall.code);
+      } else if (action.type === 'record_har') {
+        lines.push(
+          recordedHarCode(
+            action.filePath,
+            action.file,
+            action.options,
+            action.scope
+          )
+        );
+      } else if (action.code) {
+        // Handle both internal MCP actions (with .code) and AI integration actions (with .name and .arguments)
+        // Internal MCP action format
+        lines.push(action.code);
+      } else if (action.name && action.arguments) {
+        // AI integration action format - convert to Playwright code
+        const playwrightCode = this.convertActionToPlaywrightCode(
+          action,
+          state.scope,
+          state.declaredPages
+        );
+        if (playwrightCode) {
+          lines.push(playwrightCode);
+        }
+        state.scope = this.scopeAfter(action, state.scope, state.declaredPages);
+      }
+      if (lines.length > linesBefore) {
+        triggerIndex = linesBefore;
+      }
+    });
+
+    for (const pageObject of usedPageObjects.keys()) {
+      state.usedPageObjects.add(pageObject);
+    }
+    return [
+      ...[...usedPageObjects]
+        .filter(([, pageVariable]) => pageVariable === 'page')
+        .map(([pageObject]) => pageObjectDeclaration(pageObject, 'page')),
+      ...lines,
+    ];
+  }
+
+  // Imports and test.use() of a generated spec. testFunction is 'setup' for
+  // setup project files.
+  specHeader(actions, usedPageObjects, testFunction, imports = []) {
+    const testUse = testUseCode(this.browserOptionsFor(actions))?.replace(
+      /^test\./,
+      `${testFunction}.`
+    );
+
+    const testImport = testFunction === 'setup' ? 'test as setup' : 'test';
+    let header = testUse?.includes('devices[')
+      ? `import { ${testImport}, expect, devices } from '@playwright/test';\n`
+      : `import { ${testImport}, expect } from '@playwright/test';\n`;
+    for (const line of imports) {
+      header += `${line}\n`;
+    }
+    for (const pageObject of usedPageObjects) {
+      header += `import { ${pageObject.className} } from ${literal(
+        pageObjectImportPath(pageObject)
+      )};\n`;
+    }
+    if (testUse) {
+      header += `\n${testUse}\n`;
+    }
+    return header;
+  }
+
+  startPrompt() {
+    this.promptStart = this.actions.length;
+    return {
+      content: [
         {
           type: 'text',
-          text: `Browser launched in ${headless ? 'headless' : 'headed'} mode`,
+          text: `Prompt started after ${this.promptStart} recorded steps`,
         },
       ],
     };
   }
 
-  async navigateTo(url) {
+  // Pairs AI-format actions with the records of the tool calls that ran
+  // them in the current prompt. Matching runs from the end, as the actions
+  // of the prompt are the last ones recorded.
+  recordedActionsFor(actions) {
+    const recorded = new Map();
+    let cursor = this.actions.length;
+
+    for (const action of [...actions].reverse()) {
+      const matches = RECORDED_ACTION_MATCHERS[action.name];
+      if (!matches || !action.arguments) {
+        continue;
+      }
+
+      for (let index = cursor - 1; index >= this.promptStart; index--) {
+        if (matches(this.actions[index], action.arguments)) {
+          recorded.set(action, this.actions[index]);
+          cursor = index;
+          break;
+        }
+      }
+    }
+    return recorded;
+  }
+
+  // Browser settings the actions ran under: those of their launch_browser
+  // step, or of the running browser when a later prompt reuses it
+  browserOptionsFor(actions) {
+    const launch = [...(actions || [])]
+      .reverse()
+      .find(
+        (action) =>
+          action.type === 'launch_browser' || action.name === 'launch_browser'
+      );
+
+    if (!launch) {
+      return this.browserOptions;
+    }
+    return launch.options || normalizeBrowserOptions(launch.arguments);
+  }
+
+  // scope is the page and frame the action runs in; declaredPages holds the
+  // page variables the generated test has declared so far
+  convertActionToPlaywrightCode(
+    action,
+    scope = new CodeScope(),
+    declaredPages = new Set(['page'])
+  ) {
+    switch (action.name) {
+      case 'launch_browser':
+        // Browser launch is handled by Playwright test framework, not needed in test code
+        return null;
+
+      case 'navigate_to':
+        return `await ${scope.page(call('page.goto', action.arguments.url))};`;
+
+      case 'click_element':
+        return `await ${call(
+          `${this.locatorCodeFor(action.arguments.selector, scope)}.click`
+        )};`;
+
+      case 'fill_input':
+        return `await ${call(
+          `${this.locatorCodeFor(action.arguments.selector, scope)}.fill`,
+          action.arguments.text
+        )};`;
+
+      case 'wait_for_element':
+        return this.waitCode(action.arguments.selector, scope);
+
+      case 'take_screenshot': {
+        const {
+          filename = 'screenshot.png',
+          selector,
+          fullPage,
+        } = action.arguments;
+        return selector
+          ? screenshotCode(this.locatorCodeFor(selector, scope), filename)
+          : screenshotCode(scope.pageVariable, filename, fullPage);
+      }
+
+      case 'github_search':
+        return this.githubSearchCode(action.arguments.query, null, scope);
+
+      case 'new_tab':
+      case 'wait_for_popup': {
+        const pageVariable = this.openedPageFor(action);
+        if (!pageVariable) {
+          return comment(`${action.name} did not open a page`);
+        }
+        declaredPages.add(pageVariable);
+        if (action.name === 'new_tab') {
+          return newTabCode(pageVariable, action.arguments.url);
+        }
+        // Clicks the locator resolved when the popup opened
+        const opened = this.actions.find(
+          (record) => record.type === 'popup' && record.pageId === pageVariable
+        );
+        return (
+          opened?.code ||
+          popupCode(
+            pageVariable,
+            call(
+              `${this.locatorCodeFor(action.arguments.selector, scope)}.click`
+            )
+          )
+        );
+      }
+
+      case 'switch_page': {
+        const { pageId } = action.arguments;
+        if (declaredPages.has(pageId)) {
+          return null;
+        }
+        const page = [...this.pageVariables].find(
+          ([, variable]) => variable === pageId
+        )?.[0];
+        if (!page) {
+          return comment(`Page ${pageId} is no longer open`);
+        }
+        declaredPages.add(pageId);
+        return adoptPageCode(pageId, this.context.pages().indexOf(page));
+      }
+
+      case 'close_tab': {
+        const pageId = action.arguments.pageId || scope.pageVariable;
+        return declaredPages.has(pageId) ? `await ${pageId}.close();` : null;
+      }
+
+      case 'list_pages':
+      case 'switch_to_frame':
+      case 'switch_to_main_frame':
+        // Only change where the following actions run, see scopeAfter
+        return null;
+
+      case 'inspect_page':
+      case 'page_snapshot':
+        // Inspection actions don't translate to test code
+        return null;
+
+      case 'get_page_content':
+        // Content retrieval doesn't translate to test code
+        return null;
+
+      case 'submit_form':
+        return this.submitFormCode(action.arguments.formSelector, scope);
+
+      case 'route_request':
+      case 'record_har':
+      case 'replay_har':
+        return this.networkCode(action, scope);
+
+      case 'save_storage_state':
+        try {
+          return storageStateCode(
+            resolveStorageStatePath(action.arguments.name, {
+              mustExist: false,
+            }).relativePath,
+            scope
+          );
+        } catch (error) {
+          return comment(`save_storage_state skipped: ${error.message}`);
+        }
+
+      case 'select_option':
+      case 'check':
+      case 'uncheck':
+      case 'hover':
+      case 'dblclick':
+      case 'right_click':
+      case 'press_key':
+      case 'type_text':
+      case 'drag_and_drop':
+      case 'upload_file':
+      case 'scroll':
+        return this.interactionCode(action, scope);
+
+      case 'close_browser':
+        // Browser closing is handled by Playwright test framework
+        return null;
+
+      case 'assert_visible':
+      case 'assert_text':
+      case 'assert_url':
+      case 'assert_title':
+      case 'assert_value':
+      case 'assert_count':
+        return this.assertionCode(action, scope);
+
+      default:
+        return comment(`Unsupported action: ${action.name}`);
+    }
+  }
+
+  // Page and frame the actions after an AI-format action run in, following
+  // what the live tool did
+  scopeAfter(action, scope, declaredPages) {
+    const args = action.arguments;
+
+    switch (action.name) {
+      case 'navigate_to':
+      case 'switch_to_main_frame':
+        return scope.mainFrame();
+
+      case 'switch_page':
+        return scope.withPage(args.pageId);
+
+      case 'new_tab':
+      case 'wait_for_popup': {
+        const pageVariable = this.openedPageFor(action);
+        return pageVariable ? scope.withPage(pageVariable) : scope;
+      }
+
+      case 'close_tab': {
+        const closed = args.pageId || scope.pageVariable;
+        if (closed !== scope.pageVariable) {
+          return scope;
+        }
+        declaredPages.delete(closed);
+        const [next = 'page'] = declaredPages;
+        return scope.withPage(next);
+      }
+
+      case 'switch_to_frame': {
+        const frameSelector =
+          this.resolvedFrames.get(
+            JSON.stringify([args.selector, args.name, args.url])
+          ) || args.selector;
+        return frameSelector ? scope.withFrame(frameSelector) : scope;
+      }
+
+      default:
+        return scope;
+    }
+  }
+
+  openedPageFor(action) {
+    return action.name === 'new_tab'
+      ? this.openedPages.get(`new_tab:${action.arguments.url || ''}`)
+      : this.openedPages.get(`wait_for_popup:${action.arguments.selector}`);
+  }
+
+  async submitForm(formSelector = null, timeout = 30000) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
+    }
+
+    try {
+      // First, find the form
+      let form;
+      if (formSelector) {
+        form = await this.activeTarget().locator(formSelector);
+      } else {
+        // Find the first form on the page
+        form = await this.activeTarget().locator('form').first();
+      }
+
+      // Check if form exists
+      const formExists = (await form.count()) > 0;
+      if (!formExists) {
+        throw new Error(
+          `No form found${
+            formSelector ? ` with selector: ${formSelector}` : ''
+          }`
+        );
+      }
+
+      // Click the first button the strategies find, or press Enter on the
+      // form when there is none
+      let usedStrategy = null;
+      let lastError = null;
+
+      for (const strategy of SUBMIT_STRATEGIES) {
+        try {
+          const button = form.locator(strategy.selector).first();
+          if ((await button.count()) === 0) {
+            throw new Error(`No ${strategy.description} found in form`);
+          }
+          await button.click();
+          usedStrategy = strategy.name;
+          break;
+        } catch (error) {
+          lastError = error;
+        }
+      }
+
+      if (!usedStrategy) {
+        try {
+          await form.press('Enter');
+          usedStrategy = 'form-enter-key';
+        } catch (error) {
+          lastError = error;
+        }
+      }
+
+      if (!usedStrategy) {
+        // Get detailed form information for debugging
+        const formInfo = await this.activeTarget().evaluate((selector) => {
+          const formElement = selector
+            ? document.querySelector(selector)
+            : document.querySelector('form');
+          if (!formElement) return null;
+
+          return {
+            action: formElement.action || '',
+            method: formElement.method || 'GET',
+            buttons: Array.from(
+              formElement.querySelectorAll(
+                'button, input[type="button"], input[type="submit"]'
+              )
+            ).map((btn) => ({
+              tag: btn.tagName,
+              type: btn.type || '',
+              text: btn.textContent?.trim() || btn.value || '',
+              id: btn.id || '',
+              name: btn.name || '',
+            })),
+            inputs: Array.from(
+              formElement.querySelectorAll('input, textarea, select')
+            ).length,
+          };
+        }, formSelector);
+
+        throw new Error(
+          `Failed to submit form using any strategy. Last error: ${
+            lastError.message
+          }. Form info: ${JSON.stringify(formInfo)}`
+        );
+      }
+
+      this.actions.push({
+        type: 'submit_form',
+        formSelector: formSelector || 'form:first',
+        strategy: usedStrategy,
+        code: this.submitFormCode(formSelector, this.scope, usedStrategy),
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Successfully submitted form using strategy: ${usedStrategy}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Form submission failed: ${error.message}`);
+    }
+  }
+
+  // Assertions run live with Playwright's own expect, so a passing tool call
+  // means the generated `await expect(...)` line passes too
+  async assertVisible(selector, visible = true, timeout = 5000) {
     if (!this.page) {
       throw new Error('Browser not launched. Call launch_browser first.');
     }
 
-    await this.page.goto(url);
-    this.actions.push({
-      type: 'navigate',
-      url: url,
-      code: `await page.goto('${url}');`,
+    const locator = this.activeTarget().locator(selector);
+    if (visible) {
+      await expect(locator).toBeVisible({ timeout });
+    } else {
+      await expect(locator).toBeHidden({ timeout });
+    }
+    // A hidden element may not exist, so it has no locator to resolve
+    const locators = visible ? await this.assertionLocators(selector) : {};
+
+    return this.recordAssertion({
+      assertion: 'visible',
+      selector,
+      expected: visible,
+      locator: locators[selector],
+      locators,
+      code: this.assertionCode(
+        {
+          name: 'assert_visible',
+          arguments: { selector, visible },
+        },
+        this.scope,
+        locators
+      ),
+      message: `Element ${selector} is ${visible ? 'visible' : 'hidden'}`,
     });
+  }
 
-    return {
-      content: [
+  async assertText(selector, text, exact = false, timeout = 5000) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
+    }
+
+    const locator = this.activeTarget().locator(selector);
+    if (exact) {
+      await expect(locator).toHaveText(text, { timeout });
+    } else {
+      await expect(locator).toContainText(text, { timeout });
+    }
+    const locators = await this.assertionLocators(selector);
+
+    return this.recordAssertion({
+      assertion: 'text',
+      selector,
+      expected: text,
+      exact,
+      locator: locators[selector],
+      locators,
+      code: this.assertionCode(
         {
-          type: 'text',
-          text: `Navigated to ${url}`,
+          name: 'assert_text',
+          arguments: { selector, text, exact },
         },
-      ],
-    };
+        this.scope,
+        locators
+      ),
+      message: `Element ${selector} ${
+        exact ? 'has' : 'contains'
+      } text: ${text}`,
+    });
   }
 
-  async clickElement(selector, timeout = 30000) {
+  async assertUrl(url, exact = false, timeout = 5000) {
     if (!this.page) {
       throw new Error('Browser not launched. Call launch_browser first.');
     }
 
-    // Common alternative selectors for popular sites and general form elements
-    const alternativeSelectors = {
-      github: [
-        '[data-target="query-builder.input"]',
-        'input[name="q"]',
-        '#query-builder-test',
-        'input[placeholder*="Search"]',
-        'input[aria-label*="Search"]',
-        'button[type="submit"]',
-        '[data-testid="search-button"]',
-      ],
-      // General submit button selectors for any form
-      submit: [
-        'button[type="submit"]',
-        'input[type="submit"]',
-        'button:not([type])', // buttons without type attribute default to submit in forms
-        'button[form]', // buttons with form attribute
-        'input[type="button"][value*="submit" i]',
-        'input[type="button"][value*="send" i]',
-        'input[type="button"][value*="go" i]',
-        'button:has-text("Submit")',
-        'button:has-text("Send")',
-        'button:has-text("Go")',
-        'button:has-text("Search")',
-        '[role="button"][type="submit"]',
-        '[role="button"]:has-text("Submit")',
-      ],
-    };
+    await expect(this.page).toHaveURL(
+      exact ? url : new RegExp(escapeRegExp(url)),
+      { timeout }
+    );
 
-    // Determine site type and get alternative selectors
-    const url = await this.page.url();
-    let selectorsToTry = [selector];
+    return this.recordAssertion({
+      assertion: 'url',
+      expected: url,
+      code: this.assertionCode({
+        name: 'assert_url',
+        arguments: { url, exact },
+      }),
+      message: `Page URL ${exact ? 'is' : 'contains'}: ${url}`,
+    });
+  }
 
-    if (url.includes('github.com')) {
-      selectorsToTry = [...alternativeSelectors.github, selector];
+  async assertTitle(title, exact = false, timeout = 5000) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
     }
 
-    // If the original selector looks like a submit button selector, add general submit alternatives
-    if (
-      selector.includes('submit') ||
-      selector.includes('Submit') ||
-      selector.includes('input[type="submit"]') ||
-      selector.includes('button[type="submit"]')
-    ) {
-      selectorsToTry = [selector, ...alternativeSelectors.submit];
+    await expect(this.page).toHaveTitle(
+      exact ? title : new RegExp(escapeRegExp(title)),
+      { timeout }
+    );
+
+    return this.recordAssertion({
+      assertion: 'title',
+      expected: title,
+      code: this.assertionCode({
+        name: 'assert_title',
+        arguments: { title, exact },
+      }),
+      message: `Page title ${exact ? 'is' : 'contains'}: ${title}`,
+    });
+  }
+
+  async assertValue(selector, value, timeout = 5000) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
     }
 
-    // Also check if we're in a form context and the selector might be for submission
-    try {
-      const isInForm = await this.page.evaluate(() => {
-        return document.querySelector('form') !== null;
-      });
+    await expect(this.activeTarget().locator(selector)).toHaveValue(value, {
+      timeout,
+    });
+    const locators = await this.assertionLocators(selector);
 
-      if (
-        isInForm &&
-        (selector.includes('submit') ||
-          selector.includes('button') ||
-          selector.includes('input'))
-      ) {
-        // Add submit alternatives if we're in a form context
-        selectorsToTry = [...selectorsToTry, ...alternativeSelectors.submit];
-      }
-    } catch (e) {
-      // If evaluation fails, continue with current selectors
+    return this.recordAssertion({
+      assertion: 'value',
+      selector,
+      expected: value,
+      locator: locators[selector],
+      locators,
+      code: this.assertionCode(
+        {
+          name: 'assert_value',
+          arguments: { selector, value },
+        },
+        this.scope,
+        locators
+      ),
+      message: `Element ${selector} has value: ${value}`,
+    });
+  }
+
+  async assertCount(selector, count, timeout = 5000) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
     }
 
-    let lastError = null;
+    await expect(this.activeTarget().locator(selector)).toHaveCount(count, {
+      timeout,
+    });
 
-    for (const currentSelector of selectorsToTry) {
-      try {
-        // Wait for element to be visible and clickable
-        await this.page.waitForSelector(currentSelector, {
-          timeout: Math.min(timeout, 5000),
-          state: 'visible',
-        });
+    return this.recordAssertion({
+      assertion: 'count',
+      selector,
+      expected: count,
+      code: this.assertionCode({
+        name: 'assert_count',
+        arguments: { selector, count },
+      }),
+      message: `Found ${count} elements matching ${selector}`,
+    });
+  }
 
-        const element = await this.page.locator(currentSelector);
-        const isVisible = await element.isVisible();
-        const isEnabled = await element.isEnabled();
+  // Locator of the single element an assertion just passed on, the way
+  // interact() resolves them. Counts stay on the selector: it may match any
+  // number of elements, or none.
+  async assertionLocators(selector) {
+    return { [selector]: (await this.resolveLocator(selector)).code };
+  }
 
-        if (!isVisible) {
-          throw new Error(`Element ${currentSelector} is not visible`);
-        }
+  recordAssertion({ message, ...action }) {
+    this.actions.push({ type: 'assert', ...action });
 
-        if (!isEnabled) {
-          throw new Error(
-            `Element ${currentSelector} is not enabled/clickable`
-          );
-        }
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Assertion passed: ${message}`,
+        },
+      ],
+    };
+  }
 
-        // Scroll element into view if needed
-        await element.scrollIntoViewIfNeeded();
+  // Playwright code for an assertion action, shared by the live tools and by
+  // convertActionToPlaywrightCode. locators are those the tool resolved.
+  assertionCode(action, scope = this.scope, locators = {}) {
+    const args = action.arguments;
+    const expectLocator = () =>
+      call('expect', raw(this.locatorCodeFor(args.selector, scope, locators)));
 
-        // Click the element
-        await element.click();
+    switch (action.name) {
+      case 'assert_visible':
+        return args.visible === false
+          ? `await ${expectLocator()}.toBeHidden();`
+          : `await ${expectLocator()}.toBeVisible();`;
 
-        this.actions.push({
-          type: 'click',
-          selector: currentSelector,
-          code: `await page.click('${currentSelector}');`,
-        });
+      case 'assert_text':
+        return args.exact
+          ? `await ${expectLocator()}.${call('toHaveText', args.text)};`
+          : `await ${expectLocator()}.${call('toContainText', args.text)};`;
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Successfully clicked element: ${currentSelector}`,
-            },
-          ],
-        };
-      } catch (error) {
-        lastError = error;
-        continue; // Try next selector
-      }
+      case 'assert_url':
+        return `await expect(${scope.pageVariable}).${call(
+          'toHaveURL',
+          args.exact ? args.url : new RegExp(escapeRegExp(args.url))
+        )};`;
+
+      case 'assert_title':
+        return `await expect(${scope.pageVariable}).${call(
+          'toHaveTitle',
+          args.exact ? args.title : new RegExp(escapeRegExp(args.title))
+        )};`;
+
+      case 'assert_value':
+        return `await ${expectLocator()}.${call('toHaveValue', args.value)};`;
+
+      case 'assert_count':
+        return `await ${expectLocator()}.${call(
+          'toHaveCount',
+          Number(args.count)
+        )};`;
+
+      default:
+        return null;
     }
+  }
 
-    // If all selectors failed, provide detailed error information
-    try {
-      const clickableElements = await this.page.$$eval(
-        'button, input[type="submit"], input[type="button"], input[type="reset"], a, [onclick], [data-target], [role="button"]',
-        (elements) =>
-          elements.map((el) => ({
-            tag: el.tagName,
-            type: el.type || '',
-            text: el.textContent?.trim()?.substring(0, 50) || '',
-            value: el.value || '',
-            id: el.id || '',
-            class: el.className || '',
-            name: el.name || '',
-            'data-target': el.getAttribute('data-target') || '',
-            'aria-label': el.getAttribute('aria-label') || '',
-            role: el.getAttribute('role') || '',
-            form: el.form ? 'in-form' : 'no-form',
-            disabled: el.disabled ? 'disabled' : 'enabled',
-            visible: el.offsetParent !== null ? 'visible' : 'hidden',
-          }))
-      );
+  // The steps of a GitHub search. strategy is the one githubSearch used: the
+  // selector of the search input it typed into, 'keyboard-shortcut' or
+  // 'direct-url'. locator is the input's locator code against `page`;
+  // without one the main search input is used.
+  githubSearchCode(query, strategy = null, scope = this.scope, locator = null) {
+    if (strategy === 'direct-url') {
+      return `await ${scope.page(
+        call(
+          'page.goto',
+          `https://github.com/search?q=${encodeURIComponent(query)}`
+        )
+      )};`;
+    }
 
-      throw new Error(
-        `Failed to click element with any selector: ${selectorsToTry.join(
-          ', '
-        )}. Last error: ${
-          lastError.message
-        }. Available clickable elements: ${JSON.stringify(clickableElements)}`
-      );
-    } catch (evalError) {
-      throw new Error(
-        `Failed to click element ${selector}: ${lastError.message}. Could not inspect available elements: ${evalError.message}`
-      );
+    const steps =
+      strategy === 'keyboard-shortcut'
+        ? [
+            call('page.keyboard.press', 's'),
+            call('page.keyboard.type', query),
+            call('page.keyboard.press', 'Enter'),
+          ]
+        : [
+            call(`${locator || GITHUB_SEARCH_INPUT}.fill`, query),
+            call(`${locator || GITHUB_SEARCH_INPUT}.press`, 'Enter'),
+          ];
+    return steps.map((step) => `await ${scope.page(step)};`).join('\n  ');
+  }
+
+  // strategy is the one submitForm used, when the form was submitted live
+  submitFormCode(formSelector, scope = this.scope, strategy = null) {
+    const form = formSelector
+      ? scope.locator(call('page.locator', formSelector))
+      : `${scope.locator(call('page.locator', 'form'))}.first()`;
+    if (strategy === 'form-enter-key') {
+      return `await ${form}.press('Enter');`;
     }
+
+    const button =
+      SUBMIT_STRATEGIES.find(({ name }) => name === strategy)?.selector ||
+      SUBMIT_BUTTON_SELECTOR;
+    return `await ${form}.${call('locator', button)}.first().click();`;
   }
-  async fillInput(selector, text) {
+
+  async listPages() {
     if (!this.page) {
       throw new Error('Browser not launched. Call launch_browser first.');
     }
 
-    // Common alternative selectors for popular sites
-    const alternativeSelectors = {
-      github: [
-        '[data-target="query-builder.input"]',
-        'input[name="q"]',
-        '#query-builder-test',
-        'input[placeholder*="Search"]',
-        'input[aria-label*="Search"]',
-      ],
-      google: [
-        'input[name="q"]',
-        'textarea[name="q"]',
-        'input[title="Search"]',
-      ],
-    };
+    const lines = [];
+    for (const [page, variable] of this.pageVariables) {
+      const title = await page.title().catch(() => '');
+      const active = page === this.page ? ' (active)' : '';
+      lines.push(
+        `${variable}${active}: ${page.url()} ${title ? `- ${title}` : ''}`
+      );
+    }
+    if (this.scope.inFrame) {
+      lines.push(`Active frame: ${this.scope.frameSelectors.join(' > ')}`);
+    }
 
-    // Determine site type
-    const url = await this.page.url();
-    let selectorsToTry = [selector];
+    return {
+      content: [{ type: 'text', text: lines.join('\n') }],
+    };
+  }
 
-    if (url.includes('github.com')) {
-      selectorsToTry = [...alternativeSelectors.github, selector];
-    } else if (url.includes('google.com')) {
-      selectorsToTry = [...alternativeSelectors.google, selector];
+  // Declaration for a page generated code has not seen yet, e.g. a popup
+  // opened by a plain click_element
+  declarePageCode(page) {
+    const pageVariable = this.pageVariables.get(page);
+    if (this.declaredPages.has(pageVariable)) {
+      return null;
     }
 
-    let lastError = null;
-    let successfulSelector = null;
+    this.declaredPages.add(pageVariable);
+    return adoptPageCode(pageVariable, this.context.pages().indexOf(page));
+  }
 
-    for (const currentSelector of selectorsToTry) {
-      try {
-        // First, try to wait for the element to be visible
-        await this.page.waitForSelector(currentSelector, {
-          timeout: 5000,
-          state: 'visible',
-        });
+  async switchPage(pageId) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
+    }
 
-        // Check if element exists and is visible
-        const element = await this.page.locator(currentSelector);
-        const isVisible = await element.isVisible();
+    const page = this.findPage(pageId);
+    await page.bringToFront();
+    const code = this.declarePageCode(page);
+    this.activatePage(page);
+    this.actions.push({ type: 'switch_page', pageId, code });
 
-        if (!isVisible) {
-          throw new Error(`Element ${currentSelector} is not visible`);
-        }
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Switched to ${pageId}: ${page.url()}`,
+        },
+      ],
+    };
+  }
 
-        // Clear the field first, then fill it
-        await this.page.fill(currentSelector, '');
-        await this.page.fill(currentSelector, text);
+  async newTab(url) {
+    if (!this.context) {
+      throw new Error('Browser not launched. Call launch_browser first.');
+    }
 
-        // Verify the text was actually filled
-        const filledValue = await this.page.inputValue(currentSelector);
+    const page = await this.context.newPage();
+    const pageVariable = this.registerPage(page);
+    this.declaredPages.add(pageVariable);
+    this.openedPages.set(`new_tab:${url || ''}`, pageVariable);
+    if (url) {
+      await page.goto(url);
+    }
+    this.activatePage(page);
+    this.actions.push({
+      type: 'new_tab',
+      pageId: pageVariable,
+      url,
+      code: newTabCode(pageVariable, url),
+    });
 
-        successfulSelector = currentSelector;
-        this.actions.push({
-          type: 'fill',
-          selector: currentSelector,
-          text: text,
-          actualValue: filledValue,
-          code: `await page.fill('${currentSelector}', '${text}');`,
-        });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Opened ${pageVariable}${url ? ` at ${url}` : ''}`,
+        },
+      ],
+    };
+  }
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Successfully filled input ${currentSelector} with: ${text} (actual value: ${filledValue})`,
-            },
-          ],
-        };
-      } catch (error) {
-        lastError = error;
-        continue; // Try next selector
-      }
+  async closeTab(pageId) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
     }
 
-    // If all selectors failed, provide detailed error information
-    try {
-      const inputs = await this.page.$$eval(
-        'input, textarea, select',
-        (elements) =>
-          elements.map((el) => ({
-            tag: el.tagName,
-            type: el.type || 'text',
-            name: el.name || '',
-            id: el.id || '',
-            placeholder: el.placeholder || '',
-            'data-target': el.getAttribute('data-target') || '',
-            'aria-label': el.getAttribute('aria-label') || '',
-            required: el.required || false,
-          }))
-      );
-
-      throw new Error(
-        `Failed to fill input with any selector: ${selectorsToTry.join(
-          ', '
-        )}. Last error: ${
-          lastError.message
-        }. Available inputs: ${JSON.stringify(inputs)}`
-      );
-    } catch (evalError) {
+    const page = pageId ? this.findPage(pageId) : this.page;
+    if (this.pageVariables.size === 1) {
       throw new Error(
-        `Failed to fill input ${selector}: ${lastError.message}. Could not inspect available inputs: ${evalError.message}`
+        'Cannot close the last open page. Use close_browser instead.'
       );
     }
+
+    const pageVariable = this.pageVariables.get(page);
+    await page.close();
+    this.actions.push({
+      type: 'close_tab',
+      pageId: pageVariable,
+      code: this.declaredPages.has(pageVariable)
+        ? `await ${pageVariable}.close();`
+        : null,
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Closed ${pageVariable}. Active page: ${this.scope.pageVariable}`,
+        },
+      ],
+    };
+  }
+
+  async waitForPopup(selector, timeout = 30000) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
+    }
+
+    const element = this.activeTarget().locator(selector).first();
+    const locator = await this.resolveLocator(selector);
+    const [popup] = await Promise.all([
+      this.context.waitForEvent('page', { timeout }),
+      element.click({ timeout }),
+    ]);
+    await popup.waitForLoadState();
+
+    const pageVariable = this.registerPage(popup);
+    this.declaredPages.add(pageVariable);
+    this.openedPages.set(`wait_for_popup:${selector}`, pageVariable);
+    this.actions.push({
+      type: 'popup',
+      selector,
+      pageId: pageVariable,
+      locator: locator.code,
+      locatorStrategy: locator.strategy,
+      code: popupCode(pageVariable, call(`${locator.code}.click`)),
+    });
+    this.activatePage(popup);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Popup opened as ${pageVariable}: ${popup.url()}`,
+        },
+      ],
+    };
   }
 
-  async waitForElement(selector, timeout = 30000) {
+  async switchToFrame({ selector, name, url }) {
     if (!this.page) {
       throw new Error('Browser not launched. Call launch_browser first.');
     }
+    if (!selector && !name && !url) {
+      throw new Error('switch_to_frame needs a selector, name or url');
+    }
+
+    let frame;
+    let frameSelector = selector;
+    if (selector) {
+      const handle = await this.activeTarget()
+        .locator(selector)
+        .first()
+        .elementHandle({ timeout: 5000 });
+      frame = await handle.contentFrame();
+      await handle.dispose();
+      if (!frame) {
+        throw new Error(`${selector} is not an iframe`);
+      }
+    } else {
+      // frameLocator chains go one level at a time, so only direct children
+      // of the current frame are considered
+      const parent = this.frame || this.page.mainFrame();
+      const children = parent.childFrames();
+      frame = children.find((child) =>
+        name ? child.name() === name : child.url().includes(url)
+      );
+      if (!frame) {
+        throw new Error(
+          `No frame with ${
+            name ? `name ${name}` : `url ${url}`
+          }. Frames: ${JSON.stringify(
+            children.map((child) => ({ name: child.name(), url: child.url() }))
+          )}`
+        );
+      }
+      frameSelector = await this.frameElementSelector(frame);
+    }
 
-    await this.page.waitForSelector(selector, { timeout });
-    this.actions.push({
-      type: 'wait',
-      selector: selector,
-      code: `await page.waitForSelector('${selector}');`,
-    });
+    this.frame = frame;
+    this.scope = this.scope.withFrame(frameSelector);
+    this.resolvedFrames.set(
+      JSON.stringify([selector, name, url]),
+      frameSelector
+    );
+    this.actions.push({ type: 'switch_to_frame', frameSelector });
 
     return {
       content: [
         {
           type: 'text',
-          text: `Element found: ${selector}`,
+          text: `Switched to frame ${frameSelector} (${frame.url()})`,
         },
       ],
     };
   }
 
-  async takeScreenshot(filename = 'screenshot.png') {
+  // Selector of the iframe element that hosts a frame, for frameLocator()
+  async frameElementSelector(frame) {
+    const element = await frame.frameElement();
+    try {
+      return await element.evaluate((el) => {
+        const quote = (value) => JSON.stringify(value);
+        const tag = el.tagName.toLowerCase();
+        if (el.id) {
+          return `#${CSS.escape(el.id)}`;
+        }
+        if (el.getAttribute('name')) {
+          return `${tag}[name=${quote(el.getAttribute('name'))}]`;
+        }
+        if (el.getAttribute('src')) {
+          return `${tag}[src=${quote(el.getAttribute('src'))}]`;
+        }
+        const frames = Array.from(
+          el.ownerDocument.querySelectorAll('iframe, frame')
+        );
+        return `${tag} >> nth=${frames.indexOf(el)}`;
+      });
+    } finally {
+      await element.dispose();
+    }
+  }
+
+  async switchToMainFrame() {
     if (!this.page) {
       throw new Error('Browser not launched. Call launch_browser first.');
     }
 
-    await this.page.screenshot({ path: filename });
-    this.actions.push({
-      type: 'screenshot',
-      filename: filename,
-      code: `await page.screenshot({ path: '${filename}' });`,
-    });
+    this.frame = null;
+    this.scope = this.scope.mainFrame();
+    this.actions.push({ type: 'switch_to_main_frame' });
 
     return {
-      content: [
-        {
-          type: 'text',
-          text: `Screenshot saved as ${filename}`,
-        },
-      ],
+      content: [{ type: 'text', text: 'Switched to the main frame' }],
     };
   }
 
-  async githubSearch(query) {
+  // Injects the recorder into every page of the context (and every document
+  // they load later) and starts turning the user's interactions into action
+  // records. Pages opened while recording get it when they open.
+  async startRecording() {
     if (!this.page) {
       throw new Error('Browser not launched. Call launch_browser first.');
     }
+    if (this.headless) {
+      throw new Error(
+        'Recording needs a headed browser. Close it and call launch_browser with headless: false.'
+      );
+    }
 
-    try {
-      // Multiple strategies for GitHub search
-      const searchStrategies = [
-        // Strategy 1: Use the main search input
-        async () => {
-          const searchSelectors = [
-            '[data-target="query-builder.input"]',
-            'input[name="q"]',
-            '#query-builder-test',
-            'input[placeholder*="Search"]',
-            'input[aria-label*="Search"]',
-            '.js-site-search-focus',
-          ];
-
-          for (const selector of searchSelectors) {
-            try {
-              await this.page.waitForSelector(selector, {
-                timeout: 3000,
-                state: 'visible',
-              });
-              const element = await this.page.locator(selector);
+    if (this.recording) {
+      return {
+        content: [{ type: 'text', text: 'Already recording' }],
+      };
+    }
 
-              if (await element.isVisible()) {
-                await element.click();
-                await element.fill(query);
-                await element.press('Enter');
-                return selector;
-              }
-            } catch (e) {
-              continue;
-            }
-          }
-          throw new Error('No search input found');
-        },
+    for (const page of this.context.pages()) {
+      await this.installRecorderOn(page);
+    }
 
-        // Strategy 2: Use keyboard shortcut to open search
-        async () => {
-          await this.page.keyboard.press('s'); // GitHub's search shortcut
-          await this.page.waitForTimeout(500);
-          await this.page.keyboard.type(query);
-          await this.page.keyboard.press('Enter');
-          return 'keyboard-shortcut';
-        },
+    this.recording = true;
+    this.recordingStart = this.actions.length;
 
-        // Strategy 3: Navigate directly to search URL
-        async () => {
-          const searchUrl = `https://github.com/search?q=${encodeURIComponent(
-            query
-          )}`;
-          await this.page.goto(searchUrl);
-          return 'direct-url';
+    return {
+      content: [
+        {
+          type: 'text',
+          text: 'Recording started. Interact with the browser window, then call stop_recording.',
         },
-      ];
-
-      let usedStrategy = null;
-      let lastError = null;
+      ],
+    };
+  }
 
-      for (let i = 0; i < searchStrategies.length; i++) {
-        try {
-          usedStrategy = await searchStrategies[i]();
-          break;
-        } catch (error) {
-          lastError = error;
-          continue;
-        }
-      }
+  async installRecorderOn(page) {
+    if (this.recorderPages.has(page)) {
+      return;
+    }
+    this.recorderPages.add(page);
 
-      if (!usedStrategy) {
-        throw new Error(
-          `All GitHub search strategies failed. Last error: ${lastError.message}`
-        );
+    await page.exposeBinding(RECORDER_BINDING, (source, event) => {
+      if (this.recording && source.frame === page.mainFrame()) {
+        this.lastDemonstrationAt = Date.now();
+        this.enqueueRecording(() => this.recordDemonstratedAction(page, event));
       }
-
-      // Wait for search results to load
-      try {
-        await this.page.waitForSelector(
-          '[data-testid="results-list"], .repo-list, .search-results',
-          { timeout: 10000 }
-        );
-      } catch (e) {
-        // Sometimes results load without these specific selectors
-        await this.page.waitForTimeout(2000);
+    });
+    await page.addInitScript(installRecorder, RECORDER_BINDING);
+    page.on('framenavigated', (frame) => {
+      // Only navigations the user started themselves (address bar, back
+      // and forward) are recorded; those caused by a recorded click or key
+      // press, or by a tool call, are replayed by that step
+      if (
+        this.recording &&
+        frame === page.mainFrame() &&
+        this.pendingToolCalls === 0 &&
+        Date.now() - this.lastDemonstrationAt > 2000
+      ) {
+        this.enqueueRecording(() => this.recordNavigation(page, frame.url()));
       }
+    });
+    await page.evaluate(installRecorder, RECORDER_BINDING);
+  }
 
-      this.actions.push({
-        type: 'github_search',
-        query: query,
-        strategy: usedStrategy,
-        code: `// GitHub search for: ${query} using strategy: ${usedStrategy}`,
-      });
-
+  async stopRecording() {
+    if (!this.recording) {
       return {
-        content: [
-          {
-            type: 'text',
-            text: `Successfully performed GitHub search for "${query}" using strategy: ${usedStrategy}`,
-          },
-        ],
+        content: [{ type: 'text', text: 'Not recording' }],
       };
-    } catch (error) {
-      // Provide debug information
-      const currentUrl = await this.page.url();
-      const pageTitle = await this.page.title();
-
-      throw new Error(
-        `GitHub search failed: ${error.message}. Current URL: ${currentUrl}, Page title: ${pageTitle}`
-      );
     }
-  }
 
-  async inspectPage(elementType = 'all') {
-    if (!this.page) {
-      throw new Error('Browser not launched. Call launch_browser first.');
-    }
+    this.recording = false;
+    // Let events that were already reported finish resolving their locators
+    await this.recordingQueue;
 
-    const inspection = await this.page.evaluate((type) => {
-      const result = {
-        url: window.location.href,
-        title: document.title,
-        forms: [],
-        inputs: [],
-        buttons: [],
-        links: [],
-      };
+    const recorded = this.actions
+      .slice(this.recordingStart)
+      .filter((action) => action.recorded);
 
-      if (type === 'all' || type === 'forms') {
-        const forms = document.querySelectorAll('form');
-        forms.forEach((form, index) => {
-          const formData = {
-            index,
-            id: form.id || '',
-            action: form.action || '',
-            method: form.method || 'GET',
-            selectors: [
-              `form:nth-of-type(${index + 1})`,
-              form.id ? `#${form.id}` : '',
-            ].filter(Boolean),
-          };
-          result.forms.push(formData);
-        });
-      }
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Recording stopped. Captured ${
+            recorded.length
+          } step(s):\n${recorded.map((action) => action.code).join('\n')}`,
+        },
+      ],
+    };
+  }
 
-      if (type === 'all' || type === 'inputs') {
-        const inputs = document.querySelectorAll('input, textarea, select');
-        inputs.forEach((input, index) => {
-          // Find associated label
-          let labelText = '';
-          const label = input.id
-            ? document.querySelector(`label[for="${input.id}"]`)
-            : null;
-          if (label) {
-            labelText = label.textContent?.trim() || '';
-          } else {
-            // Check if input is inside a label
-            const parentLabel = input.closest('label');
-            if (parentLabel) {
-              labelText =
-                parentLabel.textContent
-                  ?.replace(input.value || '', '')
-                  .trim() || '';
-            }
-          }
+  // Events are handled one at a time so actions keep the order they
+  // happened in, even though resolving a locator is async
+  enqueueRecording(handler) {
+    this.recordingQueue = this.recordingQueue
+      .then(() => (this.recording ? handler() : null))
+      .catch((error) => console.error('Error recording action:', error));
+  }
 
-          const inputData = {
-            index,
-            tag: input.tagName.toLowerCase(),
-            type: input.type || 'text',
-            name: input.name || '',
-            id: input.id || '',
-            placeholder: input.placeholder || '',
-            label: labelText,
-            required: input.required || false,
-            value: input.value || '',
-            selectors: [
-              input.id ? `#${input.id}` : '',
-              input.name ? `[name="${input.name}"]` : '',
-              input.placeholder ? `[placeholder="${input.placeholder}"]` : '',
-              labelText && input.type !== 'hidden'
-                ? `label:has-text("${labelText}") >> input`
-                : '',
-              `${input.tagName.toLowerCase()}:nth-of-type(${index + 1})`,
-            ].filter(Boolean),
-          };
-          result.inputs.push(inputData);
-        });
-      }
+  // The user went on in another tab than the active one: it becomes the
+  // active page, as if switch_page had been called
+  followRecordedPage(page) {
+    if (page === this.page || !this.pageVariables.has(page)) {
+      return;
+    }
+    const code = this.declarePageCode(page);
+    this.activatePage(page);
+    this.actions.push({
+      type: 'switch_page',
+      pageId: this.scope.pageVariable,
+      code,
+    });
+  }
 
-      if (type === 'all' || type === 'buttons') {
-        const buttons = document.querySelectorAll(
-          'button, input[type="submit"], input[type="button"], input[type="reset"]'
-        );
-        buttons.forEach((button, index) => {
-          const buttonData = {
-            index,
-            tag: button.tagName.toLowerCase(),
-            type: button.type || '',
-            text: button.textContent?.trim() || button.value || '',
-            id: button.id || '',
-            name: button.name || '',
-            disabled: button.disabled || false,
-            selectors: [
-              button.id ? `#${button.id}` : '',
-              button.name ? `[name="${button.name}"]` : '',
-              button.textContent?.trim()
-                ? `text="${button.textContent.trim()}"`
-                : '',
-              `${button.tagName.toLowerCase()}:nth-of-type(${index + 1})`,
-            ].filter(Boolean),
-          };
-          result.buttons.push(buttonData);
-        });
+  async recordDemonstratedAction(page, event) {
+    this.followRecordedPage(page);
+    // A click that navigated away leaves nothing to resolve against, so the
+    // recorded CSS selector is used as is
+    const present =
+      this.page && (await this.page.locator(event.selector).count()) > 0;
+    const locator = present
+      ? await this.resolveLocator(event.selector)
+      : { strategy: 'css', code: call('page.locator', event.selector) };
+
+    this.actions.push({
+      ...recordedAction(event, locator.code),
+      locator: locator.code,
+      locatorStrategy: locator.strategy,
+      recorded: true,
+    });
+  }
+
+  async recordNavigation(page, url) {
+    if (!/^https?:/.test(url)) {
+      return;
+    }
+
+    this.followRecordedPage(page);
+    // Like navigateTo, the frames of the previous document are gone
+    this.frame = null;
+    this.scope = this.scope.mainFrame();
+    this.actions.push({
+      type: 'navigate',
+      url,
+      code: `await ${this.scope.page(call('page.goto', url))};`,
+      recorded: true,
+    });
+  }
+
+  async closeBrowser() {
+    if (this.browser) {
+      if (this.tracing) {
+        this.savedTrace = await this.saveTrace();
       }
+      // Closing the context first writes the files of record_har
+      await this.context.close();
+      await this.browser.close();
+      this.browser = null;
+      this.context = null;
+      this.page = null;
+      this.resetPageState();
 
-      return result;
-    }, elementType);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Browser closed successfully',
+          },
+        ],
+      };
+    }
 
     return {
       content: [
         {
           type: 'text',
-          text: `Page inspection complete. Found ${
-            inspection.forms.length
-          } forms, ${inspection.inputs.length} inputs, ${
-            inspection.buttons.length
-          } buttons.\n\nDetailed inspection:\n${JSON.stringify(
-            inspection,
-            null,
-            2
-          )}`,
+          text: 'No browser to close',
         },
       ],
     };
   }
 
-  async getPageContent() {
-    if (!this.page) {
+  // Starts over in a new page, the way each Playwright test does. Cookies
+  // go back to those of the launch storage state; local storage stays, as
+  // it only goes with the context and that would end the prompt's trace.
+  async freshPage() {
+    if (!this.context) {
       throw new Error('Browser not launched. Call launch_browser first.');
     }
 
-    const title = await this.page.title();
-    const url = this.page.url();
-    const content = await this.page.content();
+    for (const page of this.context.pages()) {
+      await page.close();
+    }
+    await this.context.clearCookies();
+    const { storageState } = contextOptionsFor(this.browserOptions);
+    if (storageState) {
+      const { cookies } = JSON.parse(readFileSync(storageState, 'utf8'));
+      await this.context.addCookies(cookies);
+    }
+
+    this.lastActionPoint = null;
+    this.pageVariables.clear();
+    this.declaredPages.clear();
+    this.nextPageNumber = 1;
+    this.networkLog = [];
+    this.networkCursor = this.networkSeq;
+    const page = await this.context.newPage();
+    // The page event has registered it as page1 already
+    this.pageVariables.set(page, 'page');
+    this.nextPageNumber = 1;
+    this.declaredPages.add('page');
+    this.activatePage(page);
 
     return {
       content: [
         {
           type: 'text',
-          text: `Page Title: ${title}\nURL: ${url}\nContent Length: ${content.length} characters`,
+          text: 'Continuing in a fresh page',
         },
       ],
     };
   }
 
-  async generateTest(testName, description = '', providedActions = null) {
-    // Use provided actions if available, otherwise fall back to internal actions
-    const actionsToUse = providedActions || this.actions;
+  async saveStorageState(name) {
+    if (!this.context) {
+      throw new Error('Browser not launched. Call launch_browser first.');
+    }
 
-    const testCode = this.generatePlaywrightTest(
-      testName,
-      description,
-      actionsToUse
-    );
+    const { filePath, relativePath } = resolveStorageStatePath(name, {
+      mustExist: false,
+    });
+    mkdirSync(path.dirname(filePath), { recursive: true });
+    await this.context.storageState({ path: filePath });
+
+    this.actions.push({
+      type: 'save_storage_state',
+      name,
+      file: relativePath,
+      code: storageStateCode(relativePath, this.scope),
+    });
 
     return {
       content: [
         {
           type: 'text',
-          text: testCode,
+          text: `Storage state saved as ${relativePath}. Launch the browser with storageState "${name}" to start from it.`,
         },
       ],
     };
   }
 
-  generatePlaywrightTest(testName, description, actions) {
-    const testDescription = description || testName;
-
-    let testCode = `import { test, expect } from '@playwright/test';\n\n`;
-    testCode += `test('${testDescription}', async ({ page }) => {\n`;
-
-    if (actions && actions.length > 0) {
-      actions.forEach((action) => {
-        // Handle both internal MCP actions (with .code) and AI integration actions (with .name and .arguments)
-        if (action.code) {
-          // Internal MCP action format
-          testCode += `  ${action.code}\n`;
-        } else if (action.name && action.arguments) {
-          // AI integration action format - convert to Playwright code
-          const playwrightCode = this.convertActionToPlaywrightCode(action);
-          if (playwrightCode) {
-            testCode += `  ${playwrightCode}\n`;
-          }
-        }
-      });
+  async routeRequest(args) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
     }
 
-    testCode += `});\n`;
-
-    return testCode;
-  }
-
-  convertActionToPlaywrightCode(action) {
-    switch (action.name) {
-      case 'launch_browser':
-        // Browser launch is handled by Playwright test framework, not needed in test code
-        return null;
-
-      case 'navigate_to':
-        return `await page.goto('${action.arguments.url}');`;
+    const route = normalizeRoute(args);
+    await this.page.route(route.url, routeHandler(route));
 
-      case 'click_element':
-        return `await page.click('${action.arguments.selector}');`;
+    this.actions.push({
+      type: 'route',
+      ...route,
+      code: routeCode(route, this.scope),
+    });
 
-      case 'fill_input':
-        return `await page.fill('${action.arguments.selector}', '${action.arguments.text}');`;
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Requests to ${route.url} are now ${
+            route.action === 'abort'
+              ? 'aborted'
+              : `fulfilled with status ${route.fulfill.status}`
+          }`,
+        },
+      ],
+    };
+  }
 
-      case 'wait_for_element':
-        return `await page.waitForSelector('${action.arguments.selector}');`;
+  async recordHar({ filename, url }) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
+    }
 
-      case 'take_screenshot':
-        const filename = action.arguments.filename || 'screenshot.png';
-        return `await page.screenshot({ path: '${filename}' });`;
+    const { filePath, relativePath } = resolveHarPath(filename, {
+      mustExist: false,
+    });
+    const options = harReplayOptions({ url });
+    mkdirSync(path.dirname(filePath), { recursive: true });
+    await this.page.routeFromHAR(filePath, {
+      ...options,
+      update: true,
+      updateContent: 'embed',
+    });
 
-      case 'github_search':
-        // For GitHub search, we'll convert it to manual steps
-        return `await page.fill('[data-target="query-builder.input"]', '${action.arguments.query}');\n  await page.press('[data-target="query-builder.input"]', 'Enter');`;
+    // The spec replays what the session records, once the file is written
+    this.actions.push({
+      type: 'record_har',
+      file: relativePath,
+      filePath,
+      options,
+      scope: this.scope,
+      code: harReplayCode(relativePath, options, this.scope),
+    });
 
-      case 'inspect_page':
-        // Inspection actions don't translate to test code
-        return null;
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Recording network traffic${
+            url ? ` matching ${url}` : ''
+          } into ${relativePath}. The file is written when the browser closes.`,
+        },
+      ],
+    };
+  }
 
-      case 'get_page_content':
-        // Content retrieval doesn't translate to test code
-        return null;
+  async replayHar({ filename, url, notFound }) {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch_browser first.');
+    }
 
-      case 'submit_form':
-        const formSel = action.arguments.formSelector || 'form';
-        return `await page.locator('${formSel}').locator('button[type="submit"], input[type="submit"], button:not([type])').first().click();`;
+    const { filePath, relativePath } = resolveHarPath(filename);
+    const options = harReplayOptions({ url, notFound });
+    await this.page.routeFromHAR(filePath, options);
 
-      case 'close_browser':
-        // Browser closing is handled by Playwright test framework
-        return null;
+    this.actions.push({
+      type: 'replay_har',
+      file: relativePath,
+      code: harReplayCode(relativePath, options, this.scope),
+    });
 
-      default:
-        return `// Unsupported action: ${action.name}`;
-    }
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Replaying ${relativePath}${url ? ` for ${url}` : ''}`,
+        },
+      ],
+    };
   }
 
-  async submitForm(formSelector = null, timeout = 30000) {
+  // A request or response the active page made since the previous wait, or
+  // the next one. The record keeps the arguments rather than code, as the
+  // generated wait has to start before the step that triggers it (see
+  // generatePlaywrightTest).
+  async waitForNetwork(name, { url, method, status, timeout = 30000 }) {
     if (!this.page) {
       throw new Error('Browser not launched. Call launch_browser first.');
     }
+    if (!url) {
+      throw new Error('url is required');
+    }
 
-    try {
-      // First, find the form
-      let form;
-      if (formSelector) {
-        form = await this.page.locator(formSelector);
-      } else {
-        // Find the first form on the page
-        form = await this.page.locator('form').first();
-      }
+    const kind = NETWORK_WAITS[name];
+    const args = { url, method, status };
+    const page = this.page;
+    let entry = this.networkLog.find(
+      (logged) =>
+        logged.seq > this.networkCursor &&
+        logged.page === page &&
+        matchesNetworkEntry(logged, kind, args)
+    );
 
-      // Check if form exists
-      const formExists = (await form.count()) > 0;
-      if (!formExists) {
+    let cursor = entry?.seq;
+    if (!entry) {
+      try {
+        entry = networkEntry(
+          kind,
+          await page.waitForEvent(kind, {
+            predicate: (message) =>
+              matchesNetworkEntry(networkEntry(kind, message), kind, args),
+            timeout,
+          })
+        );
+      } catch (error) {
+        const recent = this.networkLog
+          .filter((logged) => logged.page === page && logged.kind === kind)
+          .slice(-10)
+          .map(
+            (logged) =>
+              `${logged.method} ${logged.url}${
+                logged.status === null ? '' : ` ${logged.status}`
+              }`
+          );
         throw new Error(
-          `No form found${
-            formSelector ? ` with selector: ${formSelector}` : ''
-          }`
+          `No ${kind} to ${url}${method ? ` (${method})` : ''}: ${
+            error.message
+          }. Recent ${kind}s: ${JSON.stringify(recent)}`
         );
       }
+      cursor = this.networkSeq;
+    }
 
-      // Try multiple strategies to submit the form
-      const submitStrategies = [
-        // Strategy 1: Find submit button within the form
-        async () => {
-          const submitButton = form
-            .locator('button[type="submit"], input[type="submit"]')
-            .first();
-          if ((await submitButton.count()) > 0) {
-            await submitButton.click();
-            return 'form-submit-button';
-          }
-          throw new Error('No submit button found in form');
-        },
-
-        // Strategy 2: Find any button without type (defaults to submit in forms)
-        async () => {
-          const button = form.locator('button:not([type])').first();
-          if ((await button.count()) > 0) {
-            await button.click();
-            return 'form-default-button';
-          }
-          throw new Error('No default button found in form');
-        },
-
-        // Strategy 3: Find button with submit-like text
-        async () => {
-          const submitButton = form
-            .locator(
-              'button:has-text("Submit"), button:has-text("Send"), button:has-text("Go")'
-            )
-            .first();
-          if ((await submitButton.count()) > 0) {
-            await submitButton.click();
-            return 'form-text-button';
-          }
-          throw new Error('No button with submit text found');
-        },
+    // A failed check leaves the entry for the next wait
+    if (status !== undefined && entry.status !== Number(status)) {
+      throw new Error(
+        `Expected ${entry.method} ${entry.url} to respond with status ${status}, got ${entry.status}`
+      );
+    }
+    this.networkCursor = cursor;
 
-        // Strategy 4: Find any button in the form
-        async () => {
-          const anyButton = form.locator('button').first();
-          if ((await anyButton.count()) > 0) {
-            await anyButton.click();
-            return 'form-any-button';
-          }
-          throw new Error('No buttons found in form');
-        },
+    this.actions.push({
+      type: 'network_wait',
+      kind,
+      args,
+      pageVariable: this.scope.pageVariable,
+    });
 
-        // Strategy 5: Press Enter on the form (works for many forms)
-        async () => {
-          await form.press('Enter');
-          return 'form-enter-key';
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Got ${kind} ${entry.method} ${entry.url}${
+            entry.status === null ? '' : ` with status ${entry.status}`
+          }`,
         },
-      ];
-
-      let usedStrategy = null;
-      let lastError = null;
+      ],
+    };
+  }
 
-      for (const strategy of submitStrategies) {
-        try {
-          usedStrategy = await strategy();
-          break;
-        } catch (error) {
-          lastError = error;
-          continue;
-        }
+  // Setup code of route_request, record_har and replay_har in AI-format
+  // actions; arguments the live run would have rejected become a comment
+  networkCode(action, scope) {
+    const args = action.arguments;
+    try {
+      if (action.name === 'route_request') {
+        return routeCode(normalizeRoute(args), scope);
       }
-
-      if (!usedStrategy) {
-        // Get detailed form information for debugging
-        const formInfo = await this.page.evaluate((selector) => {
-          const formElement = selector
-            ? document.querySelector(selector)
-            : document.querySelector('form');
-          if (!formElement) return null;
-
-          return {
-            action: formElement.action || '',
-            method: formElement.method || 'GET',
-            buttons: Array.from(
-              formElement.querySelectorAll(
-                'button, input[type="button"], input[type="submit"]'
-              )
-            ).map((btn) => ({
-              tag: btn.tagName,
-              type: btn.type || '',
-              text: btn.textContent?.trim() || btn.value || '',
-              id: btn.id || '',
-              name: btn.name || '',
-            })),
-            inputs: Array.from(
-              formElement.querySelectorAll('input, textarea, select')
-            ).length,
-          };
-        }, formSelector);
-
-        throw new Error(
-          `Failed to submit form using any strategy. Last error: ${
-            lastError.message
-          }. Form info: ${JSON.stringify(formInfo)}`
+      if (action.name === 'replay_har') {
+        return harReplayCode(
+          resolveHarPath(args.filename, { mustExist: false }).relativePath,
+          harReplayOptions(args),
+          scope
         );
       }
-
-      this.actions.push({
-        type: 'submit_form',
-        formSelector: formSelector || 'form:first',
-        strategy: usedStrategy,
-        code: `await page.locator('${
-          formSelector || 'form'
-        }').locator('button[type="submit"], input[type="submit"], button:not([type])').first().click();`,
+      const { filePath, relativePath } = resolveHarPath(args.filename, {
+        mustExist: false,
       });
+      return recordedHarCode(
+        filePath,
+        relativePath,
+        harReplayOptions({ url: args.url }),
+        scope
+      );
+    } catch (error) {
+      return comment(`${action.name} skipped: ${error.message}`);
+    }
+  }
 
+  // The kind, arguments and scope of a request/response wait in either
+  // action format, null for every other action
+  networkWaitFor(action, scope) {
+    if (action.type === 'network_wait') {
       return {
-        content: [
-          {
-            type: 'text',
-            text: `Successfully submitted form using strategy: ${usedStrategy}`,
-          },
-        ],
+        kind: action.kind,
+        args: action.args,
+        scope: new CodeScope(action.pageVariable),
       };
-    } catch (error) {
-      throw new Error(`Form submission failed: ${error.message}`);
     }
-  }
 
-  async closeBrowser() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-      this.page = null;
-      this.actions = [];
+    const kind = NETWORK_WAITS[action.name];
+    return kind && action.arguments
+      ? { kind, args: action.arguments, scope }
+      : null;
+  }
 
+  async startTrace(title = '') {
+    this.savedTrace = null;
+    if (!this.tracingEnabled) {
+      return {
+        content: [
+          { type: 'text', text: 'Tracing is disabled (TRACING=false)' },
+        ],
+      };
+    }
+    if (!this.context) {
       return {
         content: [
           {
             type: 'text',
-            text: 'Browser closed successfully',
+            text: 'No browser running; tracing starts when it is launched',
           },
         ],
       };
     }
 
+    // Discards anything recorded since the last trace was saved
+    await this.context.tracing.startChunk({ title: title || undefined });
+    this.tracing = true;
+
+    return {
+      content: [{ type: 'text', text: 'Trace started' }],
+    };
+  }
+
+  async stopTrace() {
+    const fileName = this.tracing ? await this.saveTrace() : this.savedTrace;
+    this.savedTrace = null;
+    if (!fileName) {
+      return {
+        content: [{ type: 'text', text: 'No trace was recorded' }],
+      };
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: 'No browser to close',
+          text: `Trace saved as ${fileName}. Open it with: npx playwright show-trace ${path.join(
+            this.artifactsDir,
+            fileName
+          )}`,
         },
       ],
+      _meta: { artifacts: [fileName] },
     };
   }
 
+  async saveTrace() {
+    const fileName = uniqueArtifactName(this.artifactsDir, 'trace', '.zip');
+    this.tracing = false;
+    await this.context.tracing.stopChunk({
+      path: path.join(this.artifactsDir, fileName),
+    });
+    return fileName;
+  }
+
   async run() {
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
@@ -0,0 +1,158 @@
+import { existsSync } from 'fs';
+import { call, comment, literal, raw } from './code-emitter.js';
+
+// Network mocking for route_request and replay_har, and the request and
+// response waits of wait_for_request/wait_for_response. Both the live tool
+// and the generated spec go through the same options, so the spec runs
+// against the mocks the session used.
+
+export const ROUTE_ACTIONS = ['fulfill', 'abort'];
+
+export const HAR_NOT_FOUND = ['abort', 'fallback'];
+
+// Tool name -> what it waits for
+export const NETWORK_WAITS = {
+  wait_for_request: 'request',
+  wait_for_response: 'response',
+};
+
+// Requests and responses kept per session so a wait can match one that
+// finished before the wait was called
+export const MAX_NETWORK_LOG = 500;
+
+// route_request arguments -> { url, action, fulfill }. fulfill holds the
+// route.fulfill() options and is left out for aborted requests.
+export function normalizeRoute({
+  url,
+  action = 'fulfill',
+  status,
+  body,
+  json,
+  contentType,
+  headers,
+}) {
+  if (!url) {
+    throw new Error('url is required');
+  }
+  if (!ROUTE_ACTIONS.includes(action)) {
+    throw new Error(
+      `Invalid route action: ${action}. Expected one of: ${ROUTE_ACTIONS.join(
+        ', '
+      )}`
+    );
+  }
+  if (action === 'abort') {
+    return { url, action };
+  }
+
+  const fulfill = { status: Number(status ?? 200) };
+  if (json !== undefined) {
+    fulfill.json = json;
+  } else if (body !== undefined) {
+    fulfill.body = String(body);
+  }
+  if (contentType) {
+    fulfill.contentType = contentType;
+  }
+  if (headers) {
+    fulfill.headers = headers;
+  }
+  return { url, action, fulfill };
+}
+
+export function routeHandler({ action, fulfill }) {
+  return (route) =>
+    action === 'abort' ? route.abort() : route.fulfill(fulfill);
+}
+
+export function routeCode({ url, action, fulfill }, scope) {
+  const handler =
+    action === 'abort'
+      ? '(route) => route.abort()'
+      : `(route) => ${call('route.fulfill', fulfill)}`;
+  return `await ${scope.page(call('page.route', url, raw(handler)))};`;
+}
+
+// routeFromHAR() options shared by replay_har and the generated spec
+export function harReplayOptions({ url, notFound }) {
+  if (notFound && !HAR_NOT_FOUND.includes(notFound)) {
+    throw new Error(
+      `Invalid notFound: ${notFound}. Expected one of: ${HAR_NOT_FOUND.join(
+        ', '
+      )}`
+    );
+  }
+  return Object.fromEntries(
+    Object.entries({ url, notFound }).filter(([, value]) => value)
+  );
+}
+
+export function harReplayCode(relativePath, options, scope) {
+  const args = Object.keys(options).length > 0 ? [options] : [];
+  return `await ${scope.page(
+    call('page.routeFromHAR', relativePath, ...args)
+  )};`;
+}
+
+// record_har only writes its file when the browser context closes, so a
+// spec generated before then keeps the replay as a comment rather than
+// fail on a HAR that is not there
+export function recordedHarCode(filePath, relativePath, options, scope) {
+  const code = harReplayCode(relativePath, options, scope);
+  return existsSync(filePath)
+    ? code
+    : comment(
+        `${relativePath} is written when the browser closes, replay it from then on with: ${code}`
+      );
+}
+
+// Entry of the network log; kind is 'request' or 'response'
+export function networkEntry(kind, message) {
+  const request = kind === 'request' ? message : message.request();
+  return {
+    kind,
+    url: message.url(),
+    method: request.method(),
+    status: kind === 'response' ? message.status() : null,
+  };
+}
+
+// url matches as a substring, method case-insensitively
+export function matchesNetworkEntry(entry, kind, { url, method }) {
+  return (
+    entry.kind === kind &&
+    entry.url.includes(url) &&
+    (!method || entry.method === method.toUpperCase())
+  );
+}
+
+// The same match as a page.waitForRequest()/waitForResponse() predicate
+export function networkPredicateCode(kind, { url, method }) {
+  const request = kind === 'request' ? 'request' : 'response.request()';
+  const conditions = [`${kind}.url().includes(${literal(url)})`];
+  if (method) {
+    conditions.push(`${request}.method() === ${literal(method.toUpperCase())}`);
+  }
+  return `(${kind}) => ${conditions.join(' && ')}`;
+}
+
+// A wait in a generated spec has to start before the step that triggers the
+// request, so it comes as two parts: setup goes in front of that step and
+// code after it. variable names the promise.
+export function networkWaitCode(kind, args, scope, variable) {
+  const wait =
+    kind === 'request' ? 'page.waitForRequest' : 'page.waitForResponse';
+  const setup = `const ${variable} = ${scope.page(
+    call(wait, raw(networkPredicateCode(kind, args)))
+  )};`;
+
+  if (kind === 'response' && args.status !== undefined) {
+    return {
+      setup,
+      code: `expect((await ${variable}).status()).toBe(${literal(
+        Number(args.status)
+      )});`,
+    };
+  }
+  return { setup, code: `await ${variable};` };
+}
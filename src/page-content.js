@@ -0,0 +1,128 @@
+// Page content for get_page_content: readable text or simplified HTML of the
+// page, its main content or a CSS-scoped part of it, capped in length so a
+// large page cannot flood the model's context.
+
+export const CONTENT_MODES = ['text', 'html'];
+
+export const DEFAULT_CONTENT_LENGTH = 8000;
+
+// Upper bound for maxLength, whatever the caller asks for
+export const MAX_CONTENT_LENGTH = 50000;
+
+// Runs in the browser. Returns { content, root } where root says which
+// element the content was taken from.
+export function extractPageContent({ mode, rootSelector }) {
+  // Attributes kept in html mode; everything else (classes, inline styles,
+  // event handlers, framework attributes) is noise for the model
+  const KEPT_ATTRIBUTES = new Set([
+    'id',
+    'name',
+    'type',
+    'value',
+    'href',
+    'src',
+    'alt',
+    'title',
+    'placeholder',
+    'role',
+    'for',
+    'action',
+    'method',
+    'checked',
+    'selected',
+    'disabled',
+    'required',
+    'data-testid',
+  ]);
+  const REMOVED =
+    'script, style, noscript, template, svg, canvas, link, meta, [hidden], [aria-hidden="true"]';
+
+  let root;
+  let rootName;
+  if (rootSelector) {
+    root = document.querySelector(rootSelector);
+    if (!root) {
+      throw new Error(`No element matches ${rootSelector}`);
+    }
+    rootName = rootSelector;
+  } else {
+    // The main content when the page marks it up, otherwise the whole body
+    root = Array.from(
+      document.querySelectorAll('main, [role="main"], article')
+    ).find((el) => (el.innerText || '').trim().length > 0);
+    rootName = root ? root.tagName.toLowerCase() : 'body';
+    root = root || document.body;
+  }
+
+  if (mode === 'text') {
+    // innerText skips scripts, styles and hidden elements and keeps the
+    // line breaks of the rendered layout
+    const text = (root.innerText || root.textContent || '')
+      .split('\n')
+      .map((line) => line.replace(/\s+/g, ' ').trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+    return { content: text, root: rootName };
+  }
+
+  const clone = root.cloneNode(true);
+  clone.querySelectorAll(REMOVED).forEach((el) => el.remove());
+
+  const walker = document.createTreeWalker(
+    clone,
+    NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_COMMENT
+  );
+  const comments = [];
+  for (let node = walker.currentNode; node; node = walker.nextNode()) {
+    if (node.nodeType === Node.COMMENT_NODE) {
+      comments.push(node);
+      continue;
+    }
+    for (const attr of Array.from(node.attributes)) {
+      if (!KEPT_ATTRIBUTES.has(attr.name) && !attr.name.startsWith('aria-')) {
+        node.removeAttribute(attr.name);
+      }
+    }
+  }
+  comments.forEach((node) => node.remove());
+
+  const html = clone.outerHTML
+    .replace(/>\s+</g, '><')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return { content: html, root: rootName };
+}
+
+// Cuts content down to maxLength characters with a marker saying how much
+// was left out
+export function truncateContent(content, maxLength) {
+  if (content.length <= maxLength) {
+    return content;
+  }
+
+  const marker = `[... truncated: showing ${maxLength} of ${content.length} characters. Pass a selector to read a specific part of the page.]`;
+  return `${content.slice(0, maxLength)}\n${marker}`;
+}
+
+// Validates get_page_content arguments and applies the defaults and caps
+export function normalizeContentOptions({ mode, selector, maxLength } = {}) {
+  const contentMode = mode || 'text';
+  if (!CONTENT_MODES.includes(contentMode)) {
+    throw new Error(
+      `Unknown mode: ${mode}. Expected one of ${CONTENT_MODES.join(', ')}`
+    );
+  }
+
+  const length =
+    maxLength === undefined ? DEFAULT_CONTENT_LENGTH : Number(maxLength);
+  if (!Number.isInteger(length) || length <= 0) {
+    throw new Error('maxLength must be a positive integer');
+  }
+
+  return {
+    mode: contentMode,
+    rootSelector: selector || null,
+    maxLength: Math.min(length, MAX_CONTENT_LENGTH),
+  };
+}
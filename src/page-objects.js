@@ -0,0 +1,297 @@
+import { call, checkSyntax, comment, literal } from './code-emitter.js';
+
+// Builds Page Object Model classes from inspect_page results, and maps
+// recorded actions onto their methods when generating POM-based specs.
+// A page object description looks like:
+//   {
+//     className: 'ContactPage',
+//     fileName: 'ContactPage.js',
+//     url: 'https://example.com/contact',
+//     pageVariable: 'page',
+//     members: [{ property, method, kind, locator, selectors, label }]
+//   }
+// where kind is "fill", "select", "check" or "click", locator is the locator
+// expression (see resolveBestLocator) and selectors are every CSS selector
+// known to match the element, and pageVariable the page it was inspected
+// on.
+
+// Generated page objects live next to the specs that import them
+export const PAGE_OBJECT_DIR = 'pages';
+
+const RESERVED_NAMES = ['constructor', 'page', 'goto', 'url'];
+
+function words(text) {
+  return String(text || '')
+    .replace(/['\u2019]/g, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .slice(0, 5);
+}
+
+export function toPascalCase(text) {
+  return words(text)
+    .map((word) => word[0].toUpperCase() + word.slice(1).toLowerCase())
+    .join('');
+}
+
+export function toCamelCase(text) {
+  const pascal = toPascalCase(text);
+  return pascal ? pascal[0].toLowerCase() + pascal.slice(1) : '';
+}
+
+// Class name for a page, from an explicit name or the page title
+export function toClassName(name) {
+  let className = toPascalCase(name) || 'Generated';
+  if (/^\d/.test(className)) {
+    className = `Page${className}`;
+  }
+  return className.endsWith('Page') ? className : `${className}Page`;
+}
+
+export function toInstanceName(className) {
+  return className[0].toLowerCase() + className.slice(1);
+}
+
+function uniqueName(base, taken) {
+  let name = base;
+  for (let suffix = 2; taken.has(name) || RESERVED_NAMES.includes(name); ) {
+    name = `${base}${suffix++}`;
+  }
+  taken.add(name);
+  return name;
+}
+
+function inputKind(input) {
+  if (input.tag === 'select') {
+    return 'select';
+  }
+  if (input.type === 'checkbox' || input.type === 'radio') {
+    return 'check';
+  }
+  return 'fill';
+}
+
+function propertySuffix(kind, input) {
+  if (kind === 'select') {
+    return 'Select';
+  }
+  if (kind === 'check') {
+    return input.type === 'radio' ? 'Radio' : 'Checkbox';
+  }
+  return 'Input';
+}
+
+const METHOD_PREFIX = {
+  fill: 'fill',
+  select: 'select',
+  check: 'check',
+  click: 'click',
+};
+
+// Turns inspected inputs and buttons (each already paired with a verified
+// locator) into named page object members
+export function buildMembers(inputs, buttons) {
+  const properties = new Set();
+  const methods = new Set();
+  const members = [];
+
+  for (const input of inputs) {
+    const kind = inputKind(input);
+    const base =
+      toPascalCase(input.label) ||
+      toPascalCase(input.name) ||
+      toPascalCase(input.id) ||
+      toPascalCase(input.placeholder) ||
+      `Field${members.length + 1}`;
+
+    members.push({
+      property: uniqueName(
+        toCamelCase(base) + propertySuffix(kind, input),
+        properties
+      ),
+      method: uniqueName(`${METHOD_PREFIX[kind]}${base}`, methods),
+      kind,
+      locator: input.locator,
+      selectors: input.selectors,
+      label: input.label || input.name || input.id || input.placeholder,
+    });
+  }
+
+  let hasSubmit = false;
+  for (const button of buttons) {
+    const base =
+      toPascalCase(button.text) ||
+      toPascalCase(button.name) ||
+      toPascalCase(button.id) ||
+      `Button${members.length + 1}`;
+    const isSubmit = button.type === 'submit' && !hasSubmit;
+    hasSubmit = hasSubmit || isSubmit;
+
+    members.push({
+      property: uniqueName(`${toCamelCase(base)}Button`, properties),
+      method: uniqueName(isSubmit ? 'submit' : `click${base}`, methods),
+      kind: 'click',
+      locator: button.locator,
+      selectors: button.selectors,
+      label: button.text || button.name || button.id,
+    });
+  }
+
+  return members;
+}
+
+function memberMethodCode(member) {
+  const locator = `this.${member.property}`;
+
+  switch (member.kind) {
+    case 'fill':
+      return `  async ${member.method}(value) {\n    await ${locator}.fill(value);\n  }\n`;
+    case 'select':
+      return `  async ${member.method}(value) {\n    await ${locator}.selectOption(value);\n  }\n`;
+    case 'check':
+      return `  async ${member.method}() {\n    await ${locator}.check();\n  }\n`;
+    default:
+      return `  async ${member.method}() {\n    await ${locator}.click();\n  }\n`;
+  }
+}
+
+// Emits the page object class file
+export function generatePageObjectCode(pageObject) {
+  // Locators are built against `page`; inside the class they hang off the
+  // constructor argument of the same name, so they can be used verbatim
+  let code = `${comment(`Page object for ${pageObject.url}`)}\n`;
+  code += `export class ${pageObject.className} {\n`;
+  code += `  constructor(page) {\n`;
+  code += `    this.page = page;\n`;
+  code += `    this.url = ${literal(pageObject.url)};\n`;
+  for (const member of pageObject.members) {
+    code += `    this.${member.property} = ${member.locator};\n`;
+  }
+  code += `  }\n\n`;
+  code += `  async goto() {\n    await this.page.goto(this.url);\n  }\n`;
+  for (const member of pageObject.members) {
+    code += `\n${memberMethodCode(member)}`;
+  }
+  code += `}\n`;
+
+  return checkSyntax(code);
+}
+
+// The spec's instance of a page object, built on pageVariable (page, or a
+// popup's page1, ...). Its locators already enter the frames it was
+// inspected in.
+export function pageObjectDeclaration(pageObject, pageVariable) {
+  return `const ${toInstanceName(pageObject.className)} = new ${
+    pageObject.className
+  }(${pageVariable});`;
+}
+
+// Import path of a page object as seen from a spec in the test directory
+export function pageObjectImportPath(pageObject) {
+  return `./${PAGE_OBJECT_DIR}/${pageObject.fileName}`;
+}
+
+// Finds the page object member an action targets. locatorFor maps a selector
+// to the locator expression recorded for it, if any.
+function findMember(pageObjects, selector, kinds, locatorFor) {
+  if (!selector) {
+    return null;
+  }
+
+  const locator = locatorFor(selector);
+  for (const pageObject of pageObjects) {
+    const member = pageObject.members.find(
+      (candidate) =>
+        kinds.includes(candidate.kind) &&
+        (candidate.selectors.includes(selector) ||
+          (locator && candidate.locator === locator))
+    );
+    if (member) {
+      return { pageObject, member };
+    }
+  }
+
+  return null;
+}
+
+// Page object call for an action in either format (internal records with
+// type/selector, or AI-format name/arguments), or null to fall back to the
+// inline code
+export function pageObjectCallFor(action, pageObjects, locatorFor) {
+  const type = action.type || action.name;
+  const args = action.arguments || action;
+  const instance = (pageObject) => toInstanceName(pageObject.className);
+
+  switch (type) {
+    case 'navigate':
+    case 'navigate_to': {
+      const pageObject = pageObjects.find(
+        (candidate) => candidate.url === args.url
+      );
+      return pageObject
+        ? { pageObject, code: `await ${instance(pageObject)}.goto();` }
+        : null;
+    }
+
+    case 'fill':
+    case 'fill_input': {
+      const match = findMember(
+        pageObjects,
+        args.selector,
+        ['fill'],
+        locatorFor
+      );
+      return match
+        ? {
+            pageObject: match.pageObject,
+            code: `await ${call(
+              `${instance(match.pageObject)}.${match.member.method}`,
+              args.text
+            )};`,
+          }
+        : null;
+    }
+
+    case 'select':
+    case 'select_option': {
+      const match = findMember(
+        pageObjects,
+        args.selector,
+        ['select'],
+        locatorFor
+      );
+      return match
+        ? {
+            pageObject: match.pageObject,
+            code: `await ${call(
+              `${instance(match.pageObject)}.${match.member.method}`,
+              args.value
+            )};`,
+          }
+        : null;
+    }
+
+    case 'check':
+    case 'click':
+    case 'click_element': {
+      const match = findMember(
+        pageObjects,
+        args.selector,
+        ['click', 'check'],
+        locatorFor
+      );
+      return match
+        ? {
+            pageObject: match.pageObject,
+            code: `await ${instance(match.pageObject)}.${
+              match.member.method
+            }();`,
+          }
+        : null;
+    }
+
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,78 @@
+import { call } from './code-emitter.js';
+
+// Where generated code runs: a page variable (page, page1, ...) plus the
+// chain of iframe selectors entered with switch_to_frame. Code is written
+// against `page` (see resolveBestLocator) and rebased onto the scope.
+// Scopes are immutable so action records can keep the one they ran in.
+export class CodeScope {
+  constructor(pageVariable = 'page', frameSelectors = []) {
+    this.pageVariable = pageVariable;
+    this.frameSelectors = frameSelectors;
+  }
+
+  get inFrame() {
+    return this.frameSelectors.length > 0;
+  }
+
+  // e.g. page1.frameLocator('#checkout').frameLocator('iframe[name="card"]')
+  get root() {
+    return this.frameSelectors.reduce(
+      (code, selector) => `${code}.${call('frameLocator', selector)}`,
+      this.pageVariable
+    );
+  }
+
+  // Rebases locator code such as page.getByRole(...) onto the frame chain
+  locator(code) {
+    return code.startsWith('page.') ? `${this.root}${code.slice(4)}` : code;
+  }
+
+  // Rebases page-level code such as page.goto(...) onto the page variable
+  page(code) {
+    return code.startsWith('page.')
+      ? `${this.pageVariable}${code.slice(4)}`
+      : code;
+  }
+
+  withPage(pageVariable) {
+    return new CodeScope(pageVariable);
+  }
+
+  withFrame(frameSelector) {
+    return new CodeScope(this.pageVariable, [
+      ...this.frameSelectors,
+      frameSelector,
+    ]);
+  }
+
+  mainFrame() {
+    return new CodeScope(this.pageVariable);
+  }
+}
+
+// Code that clicks something and captures the page it opens
+export function popupCode(pageVariable, clickCode) {
+  return [
+    `const ${pageVariable}Promise = context.waitForEvent('page');`,
+    `await ${clickCode};`,
+    `const ${pageVariable} = await ${pageVariable}Promise;`,
+    `await ${pageVariable}.waitForLoadState();`,
+  ].join('\n  ');
+}
+
+export function newTabCode(pageVariable, url) {
+  const lines = [`const ${pageVariable} = await context.newPage();`];
+  if (url) {
+    lines.push(`await ${call(`${pageVariable}.goto`, url)};`);
+  }
+  return lines.join('\n  ');
+}
+
+// Picks up a page the test did not open itself (e.g. a target=_blank link
+// followed by click_element) by its position in the context
+export function adoptPageCode(pageVariable, index) {
+  return [
+    `await expect.poll(() => context.pages().length).toBeGreaterThan(${index});`,
+    `const ${pageVariable} = context.pages()[${index}];`,
+  ].join('\n  ');
+}
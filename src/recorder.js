@@ -0,0 +1,225 @@
+import { call } from './code-emitter.js';
+
+// Record-by-demonstration: a script injected into the page reports the
+// user's own clicks, typing, selects and key presses to the MCP server,
+// which turns them into the same action records the tools produce.
+
+// Name of the page binding the injected script reports events through
+export const RECORDER_BINDING = '__mcpRecordAction';
+
+// Runs in the browser (as an init script and on the current document).
+// Calls window[binding](event) with { kind, selector, value, key } where kind
+// is "click", "fill", "select", "check", "uncheck" or "press".
+export function installRecorder(binding) {
+  if (window.__mcpRecorderInstalled || window.top !== window) {
+    return;
+  }
+  window.__mcpRecorderInstalled = true;
+
+  // Last value reported per field, so a change event after Enter does not
+  // record the same fill twice
+  const recordedValues = new WeakMap();
+
+  const report = (event) => {
+    if (typeof window[binding] === 'function') {
+      window[binding](event).catch(() => {});
+    }
+  };
+
+  const quote = (value) =>
+    `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+  const isUnique = (selector) => {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  // Prefers stable attributes and falls back to a nth-of-type path anchored
+  // at the closest ancestor with an id
+  const selectorFor = (el) => {
+    if (el.id && isUnique(`#${CSS.escape(el.id)}`)) {
+      return `#${CSS.escape(el.id)}`;
+    }
+
+    const tag = el.tagName.toLowerCase();
+    for (const attr of ['data-testid', 'name', 'aria-label', 'placeholder']) {
+      const value = el.getAttribute(attr);
+      const selector = value ? `${tag}[${attr}=${quote(value)}]` : '';
+      if (selector && isUnique(selector)) {
+        return selector;
+      }
+    }
+
+    const parts = [];
+    for (
+      let node = el;
+      node && node !== document.documentElement;
+      node = node.parentElement
+    ) {
+      if (node !== el && node.id) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+
+      const nodeTag = node.tagName.toLowerCase();
+      const siblings = node.parentElement
+        ? Array.from(node.parentElement.children).filter(
+            (sibling) => sibling.tagName === node.tagName
+          )
+        : [];
+      parts.unshift(
+        siblings.length > 1
+          ? `${nodeTag}:nth-of-type(${siblings.indexOf(node) + 1})`
+          : nodeTag
+      );
+    }
+    return parts.join(' > ');
+  };
+
+  const isToggle = (el) =>
+    el.tagName === 'INPUT' && (el.type === 'checkbox' || el.type === 'radio');
+
+  const isTextField = (el) =>
+    el.tagName === 'TEXTAREA' ||
+    (el.tagName === 'INPUT' &&
+      ![
+        'checkbox',
+        'radio',
+        'submit',
+        'button',
+        'reset',
+        'image',
+        'file',
+      ].includes(el.type));
+
+  const reportFill = (el) => {
+    if (recordedValues.get(el) === el.value) {
+      return;
+    }
+    recordedValues.set(el, el.value);
+    report({ kind: 'fill', selector: selectorFor(el), value: el.value });
+  };
+
+  document.addEventListener(
+    'click',
+    (event) => {
+      if (!event.isTrusted || !(event.target instanceof Element)) {
+        return;
+      }
+
+      const target =
+        event.target.closest(
+          'a, button, input, select, textarea, label, [role="button"], [role="link"], [role="tab"], [role="menuitem"], [onclick]'
+        ) || event.target;
+
+      // Fields and toggles are recorded from their change events; a click on
+      // a label is recorded through the control it activates
+      const control = target.tagName === 'LABEL' ? target.control : target;
+      if (
+        target.tagName === 'SELECT' ||
+        (control && (isTextField(control) || isToggle(control)))
+      ) {
+        return;
+      }
+
+      report({ kind: 'click', selector: selectorFor(target) });
+    },
+    true
+  );
+
+  document.addEventListener(
+    'change',
+    (event) => {
+      const el = event.target;
+      if (!event.isTrusted || !(el instanceof Element)) {
+        return;
+      }
+
+      if (el.tagName === 'SELECT') {
+        const values = Array.from(el.selectedOptions).map(
+          (option) => option.value
+        );
+        report({
+          kind: 'select',
+          selector: selectorFor(el),
+          value: el.multiple ? values : values[0],
+        });
+      } else if (isToggle(el)) {
+        report({
+          kind: el.checked ? 'check' : 'uncheck',
+          selector: selectorFor(el),
+        });
+      } else if (isTextField(el)) {
+        reportFill(el);
+      }
+    },
+    true
+  );
+
+  document.addEventListener(
+    'keydown',
+    (event) => {
+      const el = event.target;
+      if (
+        !event.isTrusted ||
+        !(el instanceof Element) ||
+        !['Enter', 'Escape', 'Tab'].includes(event.key)
+      ) {
+        return;
+      }
+
+      // Enter usually submits before the change event fires
+      if (isTextField(el)) {
+        reportFill(el);
+      }
+      report({ kind: 'press', selector: selectorFor(el), key: event.key });
+    },
+    true
+  );
+}
+
+// Turns a reported event into an action record. target is the locator
+// expression for the event's selector.
+export function recordedAction(event, target) {
+  switch (event.kind) {
+    case 'click':
+      return {
+        type: 'click',
+        selector: event.selector,
+        code: `await ${call(`${target}.click`)};`,
+      };
+    case 'fill':
+      return {
+        type: 'fill',
+        selector: event.selector,
+        text: event.value,
+        code: `await ${call(`${target}.fill`, event.value)};`,
+      };
+    case 'select':
+      return {
+        type: 'select',
+        selector: event.selector,
+        value: event.value,
+        code: `await ${call(`${target}.selectOption`, event.value)};`,
+      };
+    case 'check':
+    case 'uncheck':
+      return {
+        type: event.kind,
+        selector: event.selector,
+        code: `await ${call(`${target}.${event.kind}`)};`,
+      };
+    case 'press':
+      return {
+        type: 'press',
+        selector: event.selector,
+        key: event.key,
+        code: `await ${call(`${target}.press`, event.key)};`,
+      };
+    default:
+      throw new Error(`Unknown recorded event: ${event.kind}`);
+  }
+}
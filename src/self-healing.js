@@ -0,0 +1,612 @@
+import { readdirSync } from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { uniqueSelector } from './snapshot.js';
+
+// Self-healing for click_element and fill_input: when the model's selector
+// matches nothing usable, every element that could take the action is
+// scored against what the selector asked for (text, role, attributes, and
+// closeness to the previous action) and the best one is used if it is a
+// confident, unambiguous match. Site-specific knowledge lives in plugins
+// (see healing-plugins/), which only add weight to known elements.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Elements each kind of action can be healed onto
+export const HEALING_CANDIDATES = {
+  click:
+    'a[href], button, summary, label, input[type="submit"], input[type="button"], input[type="reset"], input[type="image"], input[type="checkbox"], input[type="radio"], [role="button"], [role="link"], [role="tab"], [role="menuitem"], [role="checkbox"], [role="option"], [onclick]',
+  fill: 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]):not([type="checkbox"]):not([type="radio"]):not([type="file"]):not([type="range"]):not([type="color"]), textarea, [contenteditable="true"], [contenteditable=""], [role="textbox"], [role="searchbox"], [role="combobox"]',
+};
+
+export const DEFAULT_HEALING_THRESHOLD = 0.6;
+
+// The winner must beat the runner-up by this much, otherwise the match is
+// ambiguous and nothing is healed
+const AMBIGUITY_MARGIN = 0.1;
+
+// How much each signal counts, when the failed selector says anything
+// about it
+const WEIGHTS = { text: 0.4, attributes: 0.3, role: 0.2, proximity: 0.1 };
+
+// Bonus for elements a plugin knows, when the selector is about the same
+// thing (see the plugin's keywords)
+const PLUGIN_BONUS = 0.15;
+
+// Words in selectors that describe the kind of element rather than which one
+const ROLE_WORDS = {
+  button: 'button',
+  btn: 'button',
+  link: 'link',
+  input: 'textbox',
+  field: 'textbox',
+  textbox: 'textbox',
+  textarea: 'textbox',
+  searchbox: 'searchbox',
+  checkbox: 'checkbox',
+  radio: 'radio',
+  tab: 'tab',
+};
+
+const TAG_ROLES = {
+  a: 'link',
+  button: 'button',
+  textarea: 'textbox',
+  select: 'combobox',
+  summary: 'button',
+};
+
+// "submitOrder-btn_2" -> ['submit', 'order', 'btn', '2']
+export function words(text) {
+  return String(text || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// Different words for the same action, so #login-button can heal onto a
+// "Sign in" button. Applied to the words run together.
+const SYNONYMS = [
+  [/log(?:in|on)|signon/g, 'signin'],
+  [/log(?:out|off)|signoff/g, 'signout'],
+  [/register|createaccount/g, 'signup'],
+  [/find/g, 'search'],
+];
+
+function canonical(text) {
+  return SYNONYMS.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    text
+  );
+}
+
+// Dice coefficient of the character bigrams, so "login" and "Log in" or
+// "e-mail" and "email" still count as similar
+function bigramSimilarity(a, b) {
+  const bigrams = (text) => {
+    const compact = text.replace(/[^a-z0-9]/g, '');
+    const result = [];
+    for (let i = 0; i < compact.length - 1; i++) {
+      result.push(compact.slice(i, i + 2));
+    }
+    return result;
+  };
+
+  const first = bigrams(a);
+  const second = bigrams(b);
+  if (first.length === 0 || second.length === 0) {
+    return a && a === b ? 1 : 0;
+  }
+
+  const remaining = [...second];
+  let shared = 0;
+  for (const bigram of first) {
+    const index = remaining.indexOf(bigram);
+    if (index >= 0) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  }
+  return (2 * shared) / (first.length + second.length);
+}
+
+function textSimilarity(intentWords, candidateText) {
+  const candidateWords = words(candidateText);
+  if (intentWords.length === 0 || candidateWords.length === 0) {
+    return 0;
+  }
+
+  // Every intent word appearing in a longer text ("email" in "Email
+  // address") is nearly as good as an exact match
+  const shared = intentWords.filter((word) => candidateWords.includes(word));
+  const wordScore = Math.max(
+    (2 * shared.length) / (intentWords.length + candidateWords.length),
+    (0.9 * shared.length) / intentWords.length
+  );
+  return Math.max(
+    wordScore,
+    bigramSimilarity(
+      canonical(intentWords.join('')),
+      canonical(candidateWords.join(''))
+    )
+  );
+}
+
+// What a (possibly Playwright-flavoured) CSS selector asks for: the tag, id,
+// classes, attribute values and text of the element it was meant to match
+export function parseSelectorIntent(selector) {
+  const source = String(selector || '').trim();
+  const intent = {
+    selector: source,
+    tag: null,
+    role: null,
+    id: null,
+    classes: [],
+    attributes: {},
+    text: '',
+  };
+
+  const textMatch =
+    source.match(/:(?:has-text|text|text-is)\((["'])(.*?)\1\)/) ||
+    source.match(/^text=(["']?)(.*?)\1$/);
+  // text=Sign in, or plain words such as "Sign in" rather than a selector
+  const textOnly =
+    textMatch?.[0].startsWith('text=') ||
+    (!textMatch && !/[#.[\]:>=]/.test(source) && /\s/.test(source));
+  if (textMatch) {
+    intent.text = textMatch[2];
+  } else if (textOnly) {
+    intent.text = source;
+  }
+
+  if (!textOnly) {
+    // Only the last compound selector describes the target itself, so
+    // brackets and parentheses are masked while looking for the combinator
+    // before it
+    const masked = source.replace(/\[[^\]]*\]|\([^)]*\)/g, (match) =>
+      '_'.repeat(match.length)
+    );
+    const combinators = [...masked.matchAll(/[\s>+~]+/g)];
+    const lastCombinator = combinators[combinators.length - 1];
+    const compound = lastCombinator
+      ? source.slice(lastCombinator.index + lastCombinator[0].length)
+      : source;
+    // Without its attribute values and pseudo-class arguments, whose
+    // contents are not the id, classes or tag
+    const plain = compound.replace(/\[[^\]]*\]|\([^)]*\)/g, '');
+
+    const attributePattern =
+      /\[\s*([\w-]+)\s*(?:[*^$|~]?=\s*(["']?)(.*?)\2)?\s*(?:i\s*)?\]/g;
+    for (const [, name, , value = ''] of compound.matchAll(attributePattern)) {
+      intent.attributes[name.toLowerCase()] = value;
+    }
+
+    const tag = plain.match(/^([a-z][a-z0-9-]*)/i)?.[1].toLowerCase();
+    intent.tag = tag || null;
+    intent.id = plain.match(/#([\w-]+)/)?.[1] || null;
+    intent.classes = [...plain.matchAll(/\.([\w-]+)/g)].map(
+      (match) => match[1]
+    );
+  }
+
+  const type = intent.attributes.type;
+  intent.role =
+    intent.attributes.role ||
+    (intent.tag === 'input'
+      ? ['submit', 'button', 'reset', 'image'].includes(type)
+        ? 'button'
+        : ['checkbox', 'radio'].includes(type)
+        ? type
+        : 'textbox'
+      : TAG_ROLES[intent.tag]) ||
+    null;
+
+  // Words describing which element is meant, e.g. #login-button -> login,
+  // with the role words turned into the role
+  const descriptive = [
+    intent.text,
+    intent.id,
+    ...intent.classes,
+    ...Object.entries(intent.attributes)
+      .filter(([name]) => !['type', 'role', 'class', 'style'].includes(name))
+      .map(([, value]) => value),
+  ];
+  intent.words = [];
+  for (const word of words(descriptive.join(' '))) {
+    if (ROLE_WORDS[word]) {
+      intent.role = intent.role || ROLE_WORDS[word];
+    } else if (!intent.words.includes(word)) {
+      intent.words.push(word);
+    }
+  }
+
+  return intent;
+}
+
+// An attribute the candidate does not have at all is no evidence either
+// way; the failed selector naming it is usually why it failed
+function attributeScore(intent, candidate) {
+  const checks = [];
+  const reasons = [];
+  const compare = (label, wanted, actual) => {
+    if (!wanted || !actual) {
+      return;
+    }
+    const exact =
+      actual && String(actual).toLowerCase() === String(wanted).toLowerCase();
+    const score = exact ? 1 : textSimilarity(words(wanted), actual || '') * 0.7;
+    checks.push(score);
+    if (score >= 0.5) {
+      reasons.push(
+        exact ? `${label}="${actual}"` : `${label} similar to "${wanted}"`
+      );
+    }
+  };
+
+  compare('id', intent.id, candidate.id);
+  for (const className of intent.classes) {
+    compare(
+      'class',
+      className,
+      candidate.classes.find((actual) => actual === className) ||
+        candidate.classes.join(' ')
+    );
+  }
+  for (const [name, value] of Object.entries(intent.attributes)) {
+    if (name === 'role') {
+      continue;
+    }
+    if (name === 'type') {
+      compare('type', value, candidate.type);
+    } else if (value) {
+      compare(name, value, candidate.attributes[name] ?? '');
+    } else {
+      // [disabled], [data-testid]: only presence was asked for
+      checks.push(name in candidate.attributes ? 1 : 0);
+    }
+  }
+
+  if (checks.length === 0) {
+    return null;
+  }
+  return {
+    score: checks.reduce((sum, score) => sum + score, 0) / checks.length,
+    reasons,
+  };
+}
+
+// Scores one candidate collected by collectCandidates. Returns
+// { confidence, reasons } with confidence between 0 and 1.
+export function scoreCandidate(
+  intent,
+  candidate,
+  { anchor, plugins = [] } = {}
+) {
+  const signals = [];
+  const reasons = [];
+
+  if (intent.words.length > 0) {
+    const texts = [
+      candidate.name,
+      candidate.text,
+      candidate.label,
+      candidate.placeholder,
+      candidate.value,
+      candidate.type,
+    ].filter(Boolean);
+    const best = texts.reduce(
+      (current, text) => {
+        const score = textSimilarity(intent.words, text);
+        return score > current.score ? { score, text } : current;
+      },
+      { score: 0, text: '' }
+    );
+    signals.push(['text', best.score]);
+    if (best.score >= 0.5) {
+      reasons.push(`text "${best.text.slice(0, 40)}" matches`);
+    }
+  }
+
+  const attributes = attributeScore(intent, candidate);
+  if (attributes) {
+    signals.push(['attributes', attributes.score]);
+    reasons.push(...attributes.reasons);
+  }
+
+  if (intent.role) {
+    const matches = intent.role === candidate.role;
+    signals.push(['role', matches ? 1 : 0]);
+    if (matches) {
+      reasons.push(`role ${candidate.role}`);
+    }
+  }
+
+  if (anchor && candidate.box) {
+    const distance = Math.hypot(
+      candidate.box.x - anchor.x,
+      candidate.box.y - anchor.y
+    );
+    const closeness = Math.max(0, 1 - distance / 800);
+    signals.push(['proximity', closeness]);
+    if (closeness >= 0.75) {
+      reasons.push('next to the previous action');
+    }
+  }
+
+  if (signals.length === 0) {
+    return { confidence: 0, reasons };
+  }
+
+  const totalWeight = signals.reduce(
+    (sum, [signal]) => sum + WEIGHTS[signal],
+    0
+  );
+  let confidence =
+    signals.reduce((sum, [signal, score]) => sum + WEIGHTS[signal] * score, 0) /
+    totalWeight;
+
+  for (const entryIndex of candidate.plugins) {
+    const entry = plugins[entryIndex];
+    if (
+      entry &&
+      entry.keywords.some((keyword) => intent.words.includes(keyword))
+    ) {
+      confidence = Math.min(1, confidence + PLUGIN_BONUS);
+      reasons.push(`${entry.plugin} plugin: ${entry.description}`);
+      break;
+    }
+  }
+
+  return { confidence, reasons };
+}
+
+// Orders candidates by confidence and decides whether the best one is good
+// enough. Returns { match, ranked } where match is null when no candidate
+// reaches the threshold or the top two are too close to tell apart.
+export function rankCandidates(intent, candidates, options = {}) {
+  const threshold = options.threshold ?? DEFAULT_HEALING_THRESHOLD;
+  const ranked = candidates
+    .filter((candidate) => !candidate.disabled)
+    .map((candidate) => ({
+      candidate,
+      ...scoreCandidate(intent, candidate, options),
+    }))
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const [best, runnerUp] = ranked;
+  const confident = best && best.confidence >= threshold;
+  const ambiguous =
+    confident &&
+    runnerUp &&
+    best.confidence - runnerUp.confidence < AMBIGUITY_MARGIN;
+
+  return {
+    match: confident && !ambiguous ? best : null,
+    ranked,
+    ambiguous: !!ambiguous,
+  };
+}
+
+// Runs in the browser through locator.evaluateAll(): describes every
+// visible element of elements. index is the element's position in the
+// locator, so nth(index) finds it again, inside shadow roots too.
+// pluginSelectors lists plugin selectors; each candidate gets the indexes
+// of the ones it matches.
+export function collectCandidates(elements, { pluginSelectors, limit }) {
+  const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+  const roles = {
+    a: 'link',
+    button: 'button',
+    summary: 'button',
+    textarea: 'textbox',
+    select: 'combobox',
+  };
+  const roleOf = (el) => {
+    const explicit = el.getAttribute('role');
+    if (explicit) {
+      return explicit.split(' ')[0];
+    }
+    const tag = el.tagName.toLowerCase();
+    if (tag === 'input') {
+      if (['submit', 'button', 'reset', 'image'].includes(el.type)) {
+        return 'button';
+      }
+      if (['checkbox', 'radio'].includes(el.type)) {
+        return el.type;
+      }
+      return el.type === 'search' ? 'searchbox' : 'textbox';
+    }
+    return roles[tag] || (el.isContentEditable ? 'textbox' : null);
+  };
+
+  const candidates = [];
+  for (
+    let index = 0;
+    index < elements.length && candidates.length < limit;
+    index++
+  ) {
+    const el = elements[index];
+    const rect = el.getBoundingClientRect();
+    const style = getComputedStyle(el);
+    if (
+      rect.width === 0 ||
+      rect.height === 0 ||
+      style.visibility === 'hidden' ||
+      style.display === 'none'
+    ) {
+      continue;
+    }
+
+    const labels = el.labels ? Array.from(el.labels) : [];
+    const label = normalize(labels.map((item) => item.textContent).join(' '));
+    const text = normalize(el.innerText || el.textContent).slice(0, 80);
+    const isButtonInput =
+      el.tagName === 'INPUT' && ['submit', 'button', 'reset'].includes(el.type);
+    const attributes = {};
+    for (const attr of Array.from(el.attributes)) {
+      attributes[attr.name] = attr.value;
+    }
+
+    candidates.push({
+      index,
+      tag: el.tagName.toLowerCase(),
+      type: el.getAttribute('type') || '',
+      role: roleOf(el),
+      name: normalize(
+        el.getAttribute('aria-label') ||
+          label ||
+          (isButtonInput ? el.value : '') ||
+          text ||
+          el.getAttribute('title') ||
+          el.getAttribute('alt') ||
+          el.getAttribute('placeholder')
+      ),
+      text,
+      label,
+      placeholder: el.getAttribute('placeholder') || '',
+      value: isButtonInput ? el.value : '',
+      id: el.id || '',
+      classes: Array.from(el.classList),
+      attributes,
+      disabled: !!el.disabled || el.getAttribute('aria-disabled') === 'true',
+      box: { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 },
+      plugins: pluginSelectors
+        .map((selector, pluginIndex) => {
+          try {
+            return el.matches(selector) ? pluginIndex : -1;
+          } catch (error) {
+            return -1;
+          }
+        })
+        .filter((pluginIndex) => pluginIndex >= 0),
+    });
+  }
+  return candidates;
+}
+
+let pluginsPromise = null;
+
+// Loads every .js file in HEALING_PLUGINS_DIR (default: src/healing-plugins).
+// A plugin's default export looks like
+//   { name, hosts: ['github.com'], selectors: [{ kind, selector, keywords, description }] }
+export function loadHealingPlugins() {
+  if (!pluginsPromise) {
+    pluginsPromise = (async () => {
+      const dir = path.resolve(
+        process.env.HEALING_PLUGINS_DIR ||
+          path.join(__dirname, 'healing-plugins')
+      );
+      let files = [];
+      try {
+        files = readdirSync(dir)
+          .filter((file) => file.endsWith('.js'))
+          .sort();
+      } catch (error) {
+        return [];
+      }
+
+      const plugins = [];
+      for (const file of files) {
+        try {
+          const { default: plugin } = await import(
+            pathToFileURL(path.join(dir, file)).href
+          );
+          if (
+            !plugin?.name ||
+            !Array.isArray(plugin.hosts) ||
+            !Array.isArray(plugin.selectors)
+          ) {
+            throw new Error(
+              'expected a default export with name, hosts and selectors'
+            );
+          }
+          plugins.push(plugin);
+        } catch (error) {
+          console.error(`Ignoring healing plugin ${file}: ${error.message}`);
+        }
+      }
+      return plugins;
+    })();
+  }
+  return pluginsPromise;
+}
+
+// Plugin selectors for this kind of action on the page's host, flattened
+// into { plugin, selector, keywords, description } entries
+async function pluginEntriesFor(url, kind) {
+  let host = '';
+  try {
+    host = new URL(url).hostname;
+  } catch (error) {
+    return [];
+  }
+
+  const plugins = await loadHealingPlugins();
+  return plugins
+    .filter((plugin) =>
+      plugin.hosts.some(
+        (pluginHost) => host === pluginHost || host.endsWith(`.${pluginHost}`)
+      )
+    )
+    .flatMap((plugin) =>
+      plugin.selectors
+        .filter((entry) => entry.kind === kind)
+        .map((entry) => ({
+          plugin: plugin.name,
+          selector: entry.selector,
+          keywords: entry.keywords || [],
+          description: entry.description || entry.selector,
+        }))
+    );
+}
+
+// Looks for the element a failed selector was meant to match. target is a
+// Page or Frame, anchor the centre of the previous action's element.
+// Returns { selector, confidence, reasons } for a confident match, or
+// { selector: null, best, ambiguous } describing the closest candidate.
+export async function healSelector(
+  target,
+  kind,
+  selector,
+  { url, anchor, threshold } = {}
+) {
+  const intent = parseSelectorIntent(selector);
+  const plugins = await pluginEntriesFor(url, kind);
+  // Counted by the same selector engine as the nth() below, which unlike
+  // querySelectorAll pierces open shadow roots
+  const locator = target.locator(HEALING_CANDIDATES[kind]);
+  const candidates = await locator.evaluateAll(collectCandidates, {
+    pluginSelectors: plugins.map((entry) => entry.selector),
+    limit: 300,
+  });
+
+  const { match, ranked, ambiguous } = rankCandidates(intent, candidates, {
+    anchor,
+    plugins,
+    threshold,
+  });
+  const describe = (entry) =>
+    entry && {
+      description: `${
+        entry.candidate.role || entry.candidate.tag
+      } "${entry.candidate.name.slice(0, 40)}"`,
+      confidence: entry.confidence,
+      reasons: entry.reasons,
+    };
+
+  if (!match) {
+    return { selector: null, best: describe(ranked[0]), ambiguous };
+  }
+
+  const handle = await locator.nth(match.candidate.index).elementHandle();
+  try {
+    return {
+      selector: await handle.evaluate(uniqueSelector),
+      ...describe(match),
+    };
+  } finally {
+    await handle.dispose();
+  }
+}
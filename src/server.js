@@ -3,7 +3,15 @@ import cors from 'cors';
 import bodyParser from 'body-parser';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { AIPlaywrightIntegration } from './ai-integration.js';
+import { SessionManager } from './session-manager.js';
+import { runPlaywrightTest, saveGeneratedTest } from './test-files.js';
+import { resolveArtifactPath } from './artifacts.js';
+import {
+  defaultApiKey,
+  providerNames,
+  providerRequiresApiKey,
+  resolveProviderName,
+} from './llm-providers.js';
 import dotenv from 'dotenv';
 import WebSocket, { WebSocketServer } from 'ws';
 import { createServer } from 'http';
@@ -18,7 +26,7 @@ class PlaywrightAIServer {
     this.app = express();
     this.server = createServer(this.app);
     this.wss = new WebSocketServer({ server: this.server });
-    this.aiIntegration = null;
+    this.sessions = new SessionManager();
     this.setupMiddleware();
     this.setupRoutes();
     this.setupWebSocket();
@@ -39,23 +47,46 @@ class PlaywrightAIServer {
     // API endpoint to start a new session
     this.app.post('/api/start-session', async (req, res) => {
       try {
-        if (this.aiIntegration) {
-          await this.aiIntegration.cleanup();
+        const provider = resolveProviderName(req.body.provider);
+        if (!providerNames.includes(provider)) {
+          return res.status(400).json({
+            error: `Unknown LLM provider: ${provider}. Available providers: ${providerNames.join(
+              ', '
+            )}`,
+          });
+        }
+
+        // The server's own key is never sent to a base URL the caller chose
+        if (req.body.baseURL && !req.body.apiKey) {
+          return res.status(400).json({
+            error: 'baseURL is only accepted together with your own apiKey',
+          });
         }
 
-        const apiKey = req.body.apiKey || process.env.OPENAI_API_KEY;
-        if (!apiKey) {
+        const apiKey = req.body.apiKey || defaultApiKey(provider);
+        if (!apiKey && providerRequiresApiKey(provider)) {
           return res.status(400).json({
-            error: 'OpenAI API key is required',
+            error: `API key is required for the ${provider} provider`,
           });
         }
 
-        this.aiIntegration = new AIPlaywrightIntegration(apiKey);
-        await this.aiIntegration.startMCPServer();
+        const session = await this.sessions.createSession({
+          provider,
+          apiKey,
+          model: req.body.model,
+          baseURL: req.body.baseURL,
+          mode: req.body.mode,
+          maxSteps: req.body.maxSteps,
+          usePageObjects: req.body.usePageObjects,
+        });
 
         res.json({
           success: true,
           message: 'Session started successfully',
+          sessionId: session.id,
+          provider: session.integration.llm.name,
+          model: session.integration.llm.model,
+          mode: session.integration.mode,
         });
       } catch (error) {
         res.status(500).json({
@@ -67,22 +98,41 @@ class PlaywrightAIServer {
     // API endpoint to process a prompt
     this.app.post('/api/process-prompt', async (req, res) => {
       try {
-        if (!this.aiIntegration) {
-          return res.status(400).json({
-            error: 'No active session. Start a session first.',
-          });
+        const session = this.requireSession(req.body.sessionId, res);
+        if (!session) {
+          return;
         }
 
-        const { prompt } = req.body;
+        const {
+          prompt,
+          mode,
+          maxSteps,
+          usePageObjects,
+          suite,
+          data,
+          validate,
+          repair,
+        } = req.body;
         if (!prompt) {
           return res.status(400).json({
             error: 'Prompt is required',
           });
         }
 
-        console.log('Processing prompt:', prompt);
-        const result = await this.aiIntegration.processPrompt(prompt);
-        console.log('Result:', result.success ? 'Success' : 'Failed');
+        console.log(`[${session.id}] Processing prompt:`, prompt);
+        const result = await this.sessions.processPrompt(session, prompt, {
+          mode,
+          maxSteps,
+          usePageObjects,
+          suite,
+          data,
+          validate,
+          repair,
+        });
+        console.log(
+          `[${session.id}] Result:`,
+          result.success ? 'Success' : 'Failed'
+        );
         res.json(result);
       } catch (error) {
         console.error('Server error processing prompt:', error);
@@ -95,20 +145,213 @@ class PlaywrightAIServer {
       }
     });
 
-    // API endpoint to get session status
+    // API endpoint to get session status. Lists every session, or a single
+    // one when a sessionId query parameter is given.
     this.app.get('/api/session-status', (req, res) => {
+      if (req.query.sessionId) {
+        const session = this.requireSession(req.query.sessionId, res);
+        if (!session) {
+          return;
+        }
+
+        return res.json({
+          active: true,
+          ...this.sessions.describeSession(session),
+        });
+      }
+
+      const sessions = this.sessions.listSessions();
       res.json({
-        active: !!this.aiIntegration,
-        connected: this.aiIntegration ? this.aiIntegration.isConnected : false,
+        active: sessions.length > 0,
+        sessions,
       });
     });
 
+    // API endpoint to save generated test code into the Playwright test dir
+    this.app.post('/api/save-test', (req, res) => {
+      try {
+        const { code, testName, append, appendTo } = req.body;
+        if (!code) {
+          return res.status(400).json({
+            error: 'Test code is required',
+          });
+        }
+
+        const saved = saveGeneratedTest({ code, testName, append, appendTo });
+        res.json({
+          success: true,
+          fileName: saved.fileName,
+          appended: saved.appended,
+          message: `Test ${saved.appended ? 'appended to' : 'saved as'} ${
+            saved.fileName
+          }`,
+        });
+      } catch (error) {
+        res.status(400).json({
+          error: error.message,
+        });
+      }
+    });
+
+    // API endpoint to run a saved spec. Reporter output is streamed to the
+    // session's WebSocket clients while the run is in progress.
+    this.app.post('/api/run-test', async (req, res) => {
+      try {
+        const session = this.requireSession(req.body.sessionId, res);
+        if (!session) {
+          return;
+        }
+
+        const { fileName, project } = req.body;
+        if (!fileName) {
+          return res.status(400).json({
+            error: 'fileName is required',
+          });
+        }
+
+        session.lastActivity = Date.now();
+        this.sessions.broadcast(session, {
+          type: 'test-started',
+          data: { fileName },
+        });
+
+        const result = await runPlaywrightTest(fileName, {
+          project,
+          onOutput: (stream, text) =>
+            this.sessions.broadcast(session, {
+              type: 'test-output',
+              data: { fileName, stream, text },
+            }),
+        });
+
+        this.sessions.broadcast(session, {
+          type: 'test-finished',
+          data: result,
+        });
+        res.json(result);
+      } catch (error) {
+        res.status(500).json({
+          error: error.message,
+        });
+      }
+    });
+
+    // API endpoint to repair a failing spec from its JSON report. Returns
+    // the proposed patch as a diff, the spec is not changed.
+    this.app.post('/api/repair-test', async (req, res) => {
+      try {
+        const session = this.requireSession(req.body.sessionId, res);
+        if (!session) {
+          return;
+        }
+
+        const { fileName, report, reportFile, title, headless } = req.body;
+        if (!fileName || !(report || reportFile)) {
+          return res.status(400).json({
+            error: 'fileName and report or reportFile are required',
+          });
+        }
+
+        res.json(
+          await this.sessions.repairSpec(session, fileName, {
+            report,
+            reportFile,
+            title,
+            headless,
+          })
+        );
+      } catch (error) {
+        res.status(500).json({
+          error: error.message,
+        });
+      }
+    });
+
+    // API endpoints to record manual interactions in the session's headed
+    // browser. Stopping returns a test generated from the whole session.
+    this.app.post('/api/start-recording', async (req, res) => {
+      try {
+        const session = this.requireSession(req.body.sessionId, res);
+        if (!session) {
+          return;
+        }
+
+        res.json(
+          await this.sessions.whileBusy(session, () =>
+            session.integration.startRecording()
+          )
+        );
+      } catch (error) {
+        res.status(500).json({
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.post('/api/stop-recording', async (req, res) => {
+      try {
+        const session = this.requireSession(req.body.sessionId, res);
+        if (!session) {
+          return;
+        }
+
+        res.json(
+          await this.sessions.whileBusy(session, () =>
+            session.integration.stopRecording(req.body.testName)
+          )
+        );
+      } catch (error) {
+        res.status(500).json({
+          error: error.message,
+        });
+      }
+    });
+
+    // Text or simplified HTML of the session's current page
+    this.app.get('/api/page-content', async (req, res) => {
+      try {
+        const session = this.requireSession(req.query.sessionId, res);
+        if (!session) {
+          return;
+        }
+
+        const { mode, selector, maxLength } = req.query;
+        session.lastActivity = Date.now();
+        res.json(
+          await session.integration.getPageContent({
+            mode,
+            selector,
+            maxLength: maxLength === undefined ? undefined : Number(maxLength),
+          })
+        );
+      } catch (error) {
+        res.status(500).json({
+          error: error.message,
+        });
+      }
+    });
+
+    // Screenshots and other files a session stored, see artifacts.js. They
+    // stay available after the session has stopped.
+    this.app.get('/api/artifacts/:session/:file', (req, res) => {
+      const filePath = resolveArtifactPath(req.params.session, req.params.file);
+      if (!filePath) {
+        return res.status(404).json({
+          error: `Unknown artifact: ${req.params.file}`,
+        });
+      }
+
+      res.sendFile(filePath);
+    });
+
     // API endpoint to stop session
     this.app.post('/api/stop-session', async (req, res) => {
       try {
-        if (this.aiIntegration) {
-          await this.aiIntegration.cleanup();
-          this.aiIntegration = null;
+        const stopped = await this.sessions.stopSession(req.body.sessionId);
+        if (!stopped) {
+          return res.status(404).json({
+            error: `Unknown session: ${req.body.sessionId}`,
+          });
         }
 
         res.json({
@@ -123,6 +366,27 @@ class PlaywrightAIServer {
     });
   }
 
+  // Looks up a session for a REST route, answering with 400/404 when the id
+  // is missing or unknown. Returns null once a response has been sent.
+  requireSession(sessionId, res) {
+    if (!sessionId) {
+      res.status(400).json({
+        error: 'sessionId is required. Start a session first.',
+      });
+      return null;
+    }
+
+    const session = this.sessions.getSession(sessionId);
+    if (!session) {
+      res.status(404).json({
+        error: `Unknown session: ${sessionId}. It may have expired.`,
+      });
+      return null;
+    }
+
+    return session;
+  }
+
   setupWebSocket() {
     this.wss.on('connection', (ws) => {
       console.log('Client connected via WebSocket');
@@ -131,34 +395,74 @@ class PlaywrightAIServer {
         try {
           const data = JSON.parse(message);
 
-          if (data.type === 'process-prompt') {
-            if (!this.aiIntegration) {
+          if (data.type === 'subscribe') {
+            const session = this.sessions.getSession(data.sessionId);
+            if (session) {
+              this.sessions.subscribe(session, ws);
+            } else {
               ws.send(
                 JSON.stringify({
                   type: 'error',
-                  message: 'No active session',
+                  sessionId: data.sessionId,
+                  message: `Unknown session: ${data.sessionId}`,
+                })
+              );
+            }
+          } else if (data.type === 'process-prompt') {
+            const session = this.sessions.getSession(data.sessionId);
+            if (!session) {
+              ws.send(
+                JSON.stringify({
+                  type: 'error',
+                  sessionId: data.sessionId,
+                  message: data.sessionId
+                    ? `Unknown session: ${data.sessionId}`
+                    : 'No active session',
                 })
               );
               return;
             }
 
-            // Set up real-time updates
-            this.aiIntegration.on('actionExecuted', (data) => {
+            this.sessions.subscribe(session, ws);
+
+            // Set up real-time updates for this prompt only
+            const onActionExecuted = (actionData) => {
+              if (ws.readyState === WebSocket.OPEN) {
+                ws.send(
+                  JSON.stringify({
+                    type: 'action-executed',
+                    sessionId: session.id,
+                    data: actionData,
+                  })
+                );
+              }
+            };
+            session.integration.on('actionExecuted', onActionExecuted);
+
+            try {
+              const result = await this.sessions.processPrompt(
+                session,
+                data.prompt,
+                {
+                  mode: data.mode,
+                  maxSteps: data.maxSteps,
+                  usePageObjects: data.usePageObjects,
+                  suite: data.suite,
+                  data: data.data,
+                  validate: data.validate,
+                  repair: data.repair,
+                }
+              );
               ws.send(
                 JSON.stringify({
-                  type: 'action-executed',
-                  data,
+                  type: 'result',
+                  sessionId: session.id,
+                  data: result,
                 })
               );
-            });
-
-            const result = await this.aiIntegration.processPrompt(data.prompt);
-            ws.send(
-              JSON.stringify({
-                type: 'result',
-                data: result,
-              })
-            );
+            } finally {
+              session.integration.off('actionExecuted', onActionExecuted);
+            }
           }
         } catch (error) {
           ws.send(
@@ -188,9 +492,7 @@ class PlaywrightAIServer {
   }
 
   async stop() {
-    if (this.aiIntegration) {
-      await this.aiIntegration.cleanup();
-    }
+    await this.sessions.stopAll();
     this.server.close();
   }
 }
@@ -0,0 +1,163 @@
+import { randomUUID } from 'crypto';
+import { AIPlaywrightIntegration } from './ai-integration.js';
+import { sessionArtifactsDir } from './artifacts.js';
+
+// Keeps one AIPlaywrightIntegration (and therefore one MCP child process and
+// browser) per session, and reaps sessions that have been idle for too long.
+export class SessionManager {
+  constructor({
+    idleTimeout = Number(process.env.SESSION_IDLE_TIMEOUT) || 30 * 60 * 1000,
+    reapInterval = 60 * 1000,
+  } = {}) {
+    this.sessions = new Map();
+    this.idleTimeout = idleTimeout;
+    this.reaper = setInterval(() => {
+      this.reapIdleSessions().catch((error) =>
+        console.error('Error reaping idle sessions:', error)
+      );
+    }, reapInterval);
+    // Don't keep the process alive just for the reaper
+    this.reaper.unref();
+  }
+
+  async createSession(options) {
+    const id = randomUUID();
+    const integration = new AIPlaywrightIntegration({
+      ...options,
+      artifactsDir: sessionArtifactsDir(id),
+    });
+    await integration.startMCPServer();
+
+    const now = Date.now();
+    const session = {
+      id,
+      integration,
+      createdAt: now,
+      lastActivity: now,
+      promptCount: 0,
+      // Operations running or waiting to run, see whileBusy
+      pending: 0,
+      queue: Promise.resolve(),
+      // WebSocket clients that receive this session's live updates
+      sockets: new Set(),
+    };
+
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  getSession(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  // Runs a prompt in the given session, keeping its activity bookkeeping up
+  // to date so the reaper never tears down a session mid-prompt
+  async processPrompt(session, prompt, options) {
+    session.promptCount++;
+    return this.whileBusy(session, () =>
+      session.integration.processPrompt(prompt, options)
+    );
+  }
+
+  async repairSpec(session, fileName, options) {
+    return this.whileBusy(session, () =>
+      session.integration.repairSpec(fileName, options)
+    );
+  }
+
+  // Operations of a session run one at a time, in the order they arrive,
+  // as they share its page, trace and recorded actions. Sessions with
+  // pending operations are not reaped, see reapIdleSessions.
+  whileBusy(session, operation) {
+    session.pending++;
+    session.lastActivity = Date.now();
+
+    const run = session.queue.then(operation).finally(() => {
+      session.pending--;
+      session.lastActivity = Date.now();
+    });
+    // A failed operation must not hold up the ones queued behind it
+    session.queue = run.catch(() => {});
+    return run;
+  }
+
+  subscribe(session, ws) {
+    if (session.sockets.has(ws)) {
+      return;
+    }
+
+    session.sockets.add(ws);
+    ws.once('close', () => session.sockets.delete(ws));
+  }
+
+  // Sends a message to every WebSocket client subscribed to the session
+  broadcast(session, message) {
+    const payload = JSON.stringify({ ...message, sessionId: session.id });
+
+    for (const ws of session.sockets) {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(payload);
+      }
+    }
+  }
+
+  async stopSession(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return false;
+    }
+
+    this.sessions.delete(id);
+    await session.integration.cleanup();
+    return true;
+  }
+
+  async stopAll() {
+    clearInterval(this.reaper);
+    await Promise.all(
+      [...this.sessions.keys()].map((id) => this.stopSession(id))
+    );
+  }
+
+  async reapIdleSessions() {
+    const now = Date.now();
+
+    for (const session of [...this.sessions.values()]) {
+      // A recording session is idle only from the server's point of view
+      if (
+        session.pending === 0 &&
+        !session.integration.recording &&
+        now - session.lastActivity > this.idleTimeout
+      ) {
+        console.log(`Reaping idle session ${session.id}`);
+        await this.stopSession(session.id);
+      }
+    }
+  }
+
+  describeSession(session) {
+    const now = Date.now();
+    const { integration } = session;
+
+    return {
+      sessionId: session.id,
+      provider: integration.llm.name,
+      model: integration.llm.model,
+      mode: integration.mode,
+      ageMs: now - session.createdAt,
+      idleMs: now - session.lastActivity,
+      promptCount: session.promptCount,
+      busy: session.pending > 0,
+      pending: session.pending,
+      recording: session.integration.recording,
+      connected: integration.isConnected,
+      browserLaunched: integration.browserLaunched,
+    };
+  }
+
+  listSessions() {
+    return [...this.sessions.values()].map((session) =>
+      this.describeSession(session)
+    );
+  }
+}
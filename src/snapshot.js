@@ -0,0 +1,414 @@
+// Compact accessibility-tree snapshot of the page for the model. Elements get
+// refs ("e12") that stay the same across snapshots of the same document, and
+// tools accept a ref instead of a selector (see resolveRefs in mcp-server.js).
+// Ref numbers continue from the server's counter, so a ref is never reused
+// for another element after a navigation.
+
+// Snapshots longer than this many characters are cut off
+export const DEFAULT_SNAPSHOT_LENGTH = 12000;
+
+// Runs in the browser. Returns { lines, total, truncated, nextRef } where
+// lines look like `- button "Sign in" [disabled] [ref=e5]`, indented by
+// nesting.
+export function takeSnapshot({
+  rootSelector,
+  maxLength,
+  interactiveOnly,
+  nextRef,
+}) {
+  const state = (window.__mcpSnapshot = window.__mcpSnapshot || {
+    refs: new Map(),
+    ids: new WeakMap(),
+  });
+  state.next = Math.max(state.next || 0, nextRef);
+
+  const INTERACTIVE = new Set([
+    'button',
+    'checkbox',
+    'combobox',
+    'link',
+    'listbox',
+    'menuitem',
+    'menuitemcheckbox',
+    'menuitemradio',
+    'option',
+    'radio',
+    'searchbox',
+    'slider',
+    'spinbutton',
+    'switch',
+    'tab',
+    'textbox',
+    'treeitem',
+  ]);
+  // Roles worth showing even without a name, because they structure the page
+  const STRUCTURAL = new Set([
+    'banner',
+    'contentinfo',
+    'dialog',
+    'form',
+    'list',
+    'listitem',
+    'main',
+    'navigation',
+    'region',
+    'row',
+    'table',
+    'tablist',
+    'alert',
+  ]);
+  const SKIPPED_TAGS = new Set([
+    'SCRIPT',
+    'STYLE',
+    'NOSCRIPT',
+    'TEMPLATE',
+    'SVG',
+    'HEAD',
+  ]);
+
+  const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+  const truncate = (text, length = 80) =>
+    text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+  const isHidden = (el) => {
+    if (el.hidden || el.getAttribute('aria-hidden') === 'true') {
+      return true;
+    }
+    if (typeof el.checkVisibility === 'function') {
+      return !el.checkVisibility({ visibilityProperty: true });
+    }
+    const style = getComputedStyle(el);
+    return style.display === 'none' || style.visibility === 'hidden';
+  };
+
+  const roleOf = (el) => {
+    const explicit = el.getAttribute('role');
+    if (explicit) {
+      return explicit.split(' ')[0];
+    }
+
+    const tag = el.tagName.toLowerCase();
+    const type = (el.getAttribute('type') || '').toLowerCase();
+    switch (tag) {
+      case 'a':
+        return el.hasAttribute('href') ? 'link' : null;
+      case 'button':
+        return 'button';
+      case 'input':
+        if (type === 'hidden') {
+          return null;
+        }
+        if (['button', 'submit', 'reset', 'image'].includes(type)) {
+          return 'button';
+        }
+        if (['checkbox', 'radio'].includes(type)) {
+          return type;
+        }
+        if (type === 'range') {
+          return 'slider';
+        }
+        if (type === 'number') {
+          return 'spinbutton';
+        }
+        if (type === 'search') {
+          return 'searchbox';
+        }
+        return el.hasAttribute('list') ? 'combobox' : 'textbox';
+      case 'textarea':
+        return 'textbox';
+      case 'select':
+        return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+      case 'option':
+        return 'option';
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        return 'heading';
+      case 'img':
+        return el.getAttribute('alt') ? 'img' : null;
+      case 'nav':
+        return 'navigation';
+      case 'main':
+        return 'main';
+      case 'header':
+        return el.closest('article, aside, main, nav, section')
+          ? null
+          : 'banner';
+      case 'footer':
+        return el.closest('article, aside, main, nav, section')
+          ? null
+          : 'contentinfo';
+      case 'form':
+        return 'form';
+      case 'dialog':
+        return 'dialog';
+      case 'ul':
+      case 'ol':
+        return 'list';
+      case 'li':
+        return 'listitem';
+      case 'table':
+        return 'table';
+      case 'tr':
+        return 'row';
+      case 'td':
+        return 'cell';
+      case 'th':
+        return 'columnheader';
+      case 'iframe':
+        return 'iframe';
+      default:
+        return null;
+    }
+  };
+
+  const nameOf = (el, role) => {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = normalize(
+        labelledBy
+          .split(/\s+/)
+          .map((id) => document.getElementById(id)?.textContent || '')
+          .join(' ')
+      );
+      if (text) {
+        return text;
+      }
+    }
+
+    const ariaLabel = normalize(el.getAttribute('aria-label'));
+    if (ariaLabel) {
+      return ariaLabel;
+    }
+
+    const tag = el.tagName.toLowerCase();
+    if (tag === 'input' || tag === 'textarea' || tag === 'select') {
+      if (['button', 'submit', 'reset'].includes(el.type)) {
+        return normalize(el.value) || (el.type === 'submit' ? 'Submit' : '');
+      }
+      const labels = el.labels ? Array.from(el.labels) : [];
+      return (
+        normalize(labels.map((label) => label.textContent).join(' ')) ||
+        normalize(el.getAttribute('title')) ||
+        normalize(el.getAttribute('placeholder'))
+      );
+    }
+    if (tag === 'img' || tag === 'iframe') {
+      return normalize(el.getAttribute('alt') || el.getAttribute('title'));
+    }
+    if (
+      INTERACTIVE.has(role) ||
+      ['heading', 'cell', 'columnheader', 'listitem'].includes(role)
+    ) {
+      return normalize(el.textContent) || normalize(el.getAttribute('title'));
+    }
+    return '';
+  };
+
+  const statesOf = (el, role) => {
+    const states = [];
+    if (role === 'heading') {
+      const level =
+        el.getAttribute('aria-level') || el.tagName.match(/^H(\d)$/)?.[1];
+      if (level) {
+        states.push(`level=${level}`);
+      }
+    }
+    if (
+      el.checked === true ||
+      el.getAttribute('aria-checked') === 'true' ||
+      el.getAttribute('aria-pressed') === 'true'
+    ) {
+      states.push('checked');
+    }
+    if (el.disabled || el.getAttribute('aria-disabled') === 'true') {
+      states.push('disabled');
+    }
+    const expanded = el.getAttribute('aria-expanded');
+    if (expanded) {
+      states.push(expanded === 'true' ? 'expanded' : 'collapsed');
+    }
+    if (el.selected || el.getAttribute('aria-selected') === 'true') {
+      states.push('selected');
+    }
+    if (el.required || el.getAttribute('aria-required') === 'true') {
+      states.push('required');
+    }
+    return states;
+  };
+
+  const refFor = (el) => {
+    let ref = state.ids.get(el);
+    if (!ref) {
+      ref = `e${state.next++}`;
+      state.ids.set(el, ref);
+    }
+    state.refs.set(ref, el);
+    return ref;
+  };
+
+  const lines = [];
+  let length = 0;
+  let total = 0;
+  let truncated = false;
+
+  const emit = (depth, text) => {
+    total++;
+    const line = `${'  '.repeat(depth)}- ${text}`;
+    if (truncated || length + line.length + 1 > maxLength) {
+      truncated = true;
+      return;
+    }
+    lines.push(line);
+    length += line.length + 1;
+  };
+
+  const visit = (el, depth) => {
+    if (SKIPPED_TAGS.has(el.tagName.toUpperCase()) || isHidden(el)) {
+      return;
+    }
+
+    const role = roleOf(el);
+    const name = role ? nameOf(el, role) : '';
+    const interactive =
+      INTERACTIVE.has(role) ||
+      (!role && (el.hasAttribute('onclick') || el.tabIndex >= 0));
+    const shown =
+      interactive ||
+      (!interactiveOnly &&
+        role &&
+        (name || STRUCTURAL.has(role) || role === 'iframe'));
+
+    let childDepth = depth;
+    if (shown) {
+      let text = role || 'generic';
+      if (name) {
+        text += ` ${JSON.stringify(truncate(name))}`;
+      }
+      for (const stateName of statesOf(el, role)) {
+        text += ` [${stateName}]`;
+      }
+      text += ` [ref=${refFor(el)}]`;
+      if (role === 'textbox' || role === 'searchbox' || role === 'combobox') {
+        if (el.value) {
+          text += ` value=${JSON.stringify(truncate(el.value, 40))}`;
+        }
+      }
+      if (role === 'link' && el.getAttribute('href')) {
+        text += ` href=${JSON.stringify(truncate(el.getAttribute('href')))}`;
+      }
+      if (role === 'iframe') {
+        text += ' (use switch_to_frame to see its content)';
+      }
+      emit(depth, text);
+      childDepth = depth + 1;
+
+      // The name already covers the text of leaf-like elements
+      if (name && (INTERACTIVE.has(role) || role === 'heading')) {
+        return;
+      }
+    }
+
+    // Label text is already the name of the control it wraps
+    if (!interactiveOnly && !(el.tagName === 'LABEL' && el.control)) {
+      // Loose text directly inside this element, e.g. a paragraph
+      const ownText = normalize(
+        Array.from(el.childNodes)
+          .filter((node) => node.nodeType === Node.TEXT_NODE)
+          .map((node) => node.textContent)
+          .join(' ')
+      );
+      if (ownText && !(shown && name)) {
+        emit(childDepth, `text: ${JSON.stringify(truncate(ownText, 120))}`);
+      }
+    }
+
+    for (const child of el.children) {
+      visit(child, childDepth);
+    }
+    if (el.shadowRoot) {
+      for (const child of el.shadowRoot.children) {
+        visit(child, childDepth);
+      }
+    }
+  };
+
+  const root = rootSelector
+    ? document.querySelector(rootSelector)
+    : document.body;
+  if (!root) {
+    throw new Error(`No element matches ${rootSelector}`);
+  }
+  visit(root, 0);
+
+  return { lines, total, truncated, nextRef: state.next };
+}
+
+// Runs in the browser: the element a ref points at, if it is still attached
+export function findRefElement(ref) {
+  const el = window.__mcpSnapshot?.refs.get(ref);
+  return el && el.isConnected ? el : null;
+}
+
+// Runs in the browser: a CSS selector that matches only this element,
+// preferring ids and stable attributes over a nth-of-type path
+export function uniqueSelector(el) {
+  const quote = (value) => JSON.stringify(String(value));
+  const isUnique = (selector) => {
+    try {
+      return (
+        document.querySelectorAll(selector).length === 1 &&
+        document.querySelector(selector) === el
+      );
+    } catch (error) {
+      return false;
+    }
+  };
+
+  if (el.id && isUnique(`#${CSS.escape(el.id)}`)) {
+    return `#${CSS.escape(el.id)}`;
+  }
+
+  const tag = el.tagName.toLowerCase();
+  for (const attr of [
+    'data-testid',
+    'name',
+    'aria-label',
+    'placeholder',
+    'href',
+  ]) {
+    const value = el.getAttribute(attr);
+    const selector = value ? `${tag}[${attr}=${quote(value)}]` : '';
+    if (selector && isUnique(selector)) {
+      return selector;
+    }
+  }
+
+  const parts = [];
+  for (
+    let node = el;
+    node && node !== document.documentElement;
+    node = node.parentElement
+  ) {
+    if (node !== el && node.id) {
+      parts.unshift(`#${CSS.escape(node.id)}`);
+      break;
+    }
+
+    const siblings = node.parentElement
+      ? Array.from(node.parentElement.children).filter(
+          (sibling) => sibling.tagName === node.tagName
+        )
+      : [];
+    const nodeTag = node.tagName.toLowerCase();
+    parts.unshift(
+      siblings.length > 1
+        ? `${nodeTag}:nth-of-type(${siblings.indexOf(node) + 1})`
+        : nodeTag
+    );
+  }
+  return parts.join(' > ');
+}
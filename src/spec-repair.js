@@ -0,0 +1,481 @@
+import { parse } from 'acorn';
+import { escapeRegExp } from './code-emitter.js';
+
+// Repairing an existing spec: the statements of its failing test are turned
+// back into MCP actions so they can be replayed up to the failure, and the
+// patched statement comes back as a unified diff against the spec.
+
+const TEST_CALLEES = ['test', 'test.only', 'test.fixme', 'test.fail', 'setup'];
+const DESCRIBE_CALLEES = [
+  'test.describe',
+  'test.describe.only',
+  'test.describe.serial',
+  'test.describe.parallel',
+];
+const HOOK_CALLEES = ['test.beforeEach', 'setup.beforeEach'];
+
+// Lines of context around a hunk, as in `diff -u`
+const DIFF_CONTEXT = 3;
+
+function unsupported(what) {
+  throw new Error(`Cannot replay ${what}`);
+}
+
+// Dotted name of a callee such as test.describe.only, null for anything else
+function calleeName(node) {
+  if (node.type === 'Identifier') {
+    return node.name;
+  }
+  if (node.type === 'MemberExpression' && !node.computed) {
+    const object = calleeName(node.object);
+    return object && `${object}.${node.property.name}`;
+  }
+  return null;
+}
+
+// Value of a literal argument; generated specs only pass literals, anything
+// computed (a data row, a variable) cannot be replayed
+function staticValue(node) {
+  switch (node?.type) {
+    case 'Literal':
+      return node.regex
+        ? new RegExp(node.regex.pattern, node.regex.flags)
+        : node.value;
+    case 'TemplateLiteral':
+      if (node.expressions.length > 0) {
+        unsupported('template literal with expressions');
+      }
+      return node.quasis[0].value.cooked;
+    case 'UnaryExpression':
+      if (node.operator === '-') {
+        return -staticValue(node.argument);
+      }
+      break;
+    case 'ArrayExpression':
+      return node.elements.map(staticValue);
+    case 'ObjectExpression':
+      return Object.fromEntries(
+        node.properties.map((property) => {
+          if (property.type !== 'Property' || property.computed) {
+            unsupported('computed object property');
+          }
+          return [
+            property.key.name ?? property.key.value,
+            staticValue(property.value),
+          ];
+        })
+      );
+  }
+  unsupported(`non-literal value at line ${node?.loc.start.line}`);
+}
+
+// Selector attribute value as Playwright writes it: i matches case-
+// insensitively and by substring, s exactly
+function selectorText(text, exact) {
+  return `${JSON.stringify(String(text))}${exact ? 's' : 'i'}`;
+}
+
+const ROLE_OPTIONS = [
+  'checked',
+  'disabled',
+  'expanded',
+  'level',
+  'pressed',
+  'selected',
+];
+
+// Selector string for a locator method, the same one Playwright builds for
+// the locator internally
+function locatorMethodSelector(method, args) {
+  const [first, options = {}] = args.map(staticValue);
+  switch (method) {
+    case 'locator':
+      return first;
+    case 'getByRole':
+      return `internal:role=${first}${
+        options.name !== undefined
+          ? `[name=${selectorText(options.name, options.exact)}]`
+          : ''
+      }${ROLE_OPTIONS.filter((option) => options[option] !== undefined)
+        .map((option) => `[${option}=${options[option]}]`)
+        .join('')}`;
+    case 'getByText':
+      return `internal:text=${selectorText(first, options.exact)}`;
+    case 'getByLabel':
+      return `internal:label=${selectorText(first, options.exact)}`;
+    case 'getByPlaceholder':
+      return `internal:attr=[placeholder=${selectorText(
+        first,
+        options.exact
+      )}]`;
+    case 'getByAltText':
+      return `internal:attr=[alt=${selectorText(first, options.exact)}]`;
+    case 'getByTitle':
+      return `internal:attr=[title=${selectorText(first, options.exact)}]`;
+    case 'getByTestId':
+      return `internal:testid=[data-testid=${selectorText(first, true)}]`;
+    case 'first':
+      return 'nth=0';
+    case 'last':
+      return 'nth=-1';
+    case 'nth':
+      return `nth=${first}`;
+    case 'filter':
+      if (Object.keys(first).some((key) => key !== 'hasText')) {
+        unsupported('filter() other than hasText');
+      }
+      return `internal:has-text=${selectorText(first.hasText, false)}`;
+    default:
+      unsupported(`${method}()`);
+  }
+}
+
+// Selector for a locator expression on `page`, e.g.
+// page.getByRole('button', { name: 'Send' }).first()
+function locatorSelector(node) {
+  if (
+    node.type !== 'CallExpression' ||
+    node.callee.type !== 'MemberExpression'
+  ) {
+    unsupported(`locator at line ${node.loc.start.line}`);
+  }
+
+  const { object, property } = node.callee;
+  const parts =
+    object.type === 'Identifier' && object.name === 'page'
+      ? []
+      : [locatorSelector(object)];
+  parts.push(locatorMethodSelector(property.name, node.arguments));
+  return parts.join(' >> ');
+}
+
+// Key such as Control+Shift+A as the key and its modifiers
+function keyArguments(combination) {
+  const keys = String(combination).split('+');
+  const key = keys.pop() || '+';
+  return keys.length > 0 ? { key, modifiers: keys } : { key };
+}
+
+// Regex a generated spec uses for a partial URL or title match, see
+// assertionCode in mcp-server.js; null for any other regex
+function partialText(regex) {
+  const text = regex.source.replace(/\\(.)/g, '$1');
+  return escapeRegExp(text) === regex.source && !regex.flags ? text : null;
+}
+
+function expectAction(matcher, subject, args, negated) {
+  const [expected] = args.map(staticValue);
+  const isPage = subject.type === 'Identifier' && subject.name === 'page';
+
+  if (isPage && (matcher === 'toHaveURL' || matcher === 'toHaveTitle')) {
+    const key = matcher === 'toHaveURL' ? 'url' : 'title';
+    if (expected instanceof RegExp) {
+      const text = partialText(expected);
+      if (text === null) {
+        unsupported(`${matcher}() with a regular expression`);
+      }
+      return {
+        name: `assert_${key}`,
+        arguments: { [key]: text, exact: false },
+      };
+    }
+    return {
+      name: `assert_${key}`,
+      arguments: { [key]: expected, exact: true },
+    };
+  }
+
+  const selector = locatorSelector(subject);
+  switch (matcher) {
+    case 'toBeVisible':
+      return {
+        name: 'assert_visible',
+        arguments: { selector, visible: !negated },
+      };
+    case 'toBeHidden':
+      return {
+        name: 'assert_visible',
+        arguments: { selector, visible: !!negated },
+      };
+    case 'toHaveText':
+    case 'toContainText':
+      if (typeof expected !== 'string') {
+        unsupported(`${matcher}() with a non-string value`);
+      }
+      return {
+        name: 'assert_text',
+        arguments: {
+          selector,
+          text: expected,
+          exact: matcher === 'toHaveText',
+        },
+      };
+    case 'toHaveValue':
+      return {
+        name: 'assert_value',
+        arguments: { selector, value: String(expected) },
+      };
+    case 'toHaveCount':
+      return { name: 'assert_count', arguments: { selector, count: expected } };
+    default:
+      unsupported(`expect().${matcher}()`);
+  }
+}
+
+const LOCATOR_ACTIONS = {
+  click: 'click_element',
+  dblclick: 'dblclick',
+  hover: 'hover',
+  check: 'check',
+  uncheck: 'uncheck',
+  waitFor: 'wait_for_element',
+};
+
+// MCP action replaying one statement of a test body
+function statementAction(statement) {
+  const expression =
+    statement.type === 'ExpressionStatement' &&
+    statement.expression.type === 'AwaitExpression'
+      ? statement.expression.argument
+      : null;
+  if (
+    expression?.type !== 'CallExpression' ||
+    expression.callee.type !== 'MemberExpression'
+  ) {
+    unsupported(`statement at line ${statement.loc.start.line}`);
+  }
+
+  const { object, property } = expression.callee;
+  const method = property.name;
+  const args = expression.arguments;
+
+  // expect(x).matcher() and expect(x).not.matcher()
+  const negated =
+    object.type === 'MemberExpression' && object.property.name === 'not';
+  const expectCall = negated ? object.object : object;
+  if (
+    expectCall.type === 'CallExpression' &&
+    calleeName(expectCall.callee) === 'expect'
+  ) {
+    return expectAction(method, expectCall.arguments[0], args, negated);
+  }
+
+  const receiver = calleeName(object);
+  if (receiver === 'page' && method === 'goto') {
+    return { name: 'navigate_to', arguments: { url: staticValue(args[0]) } };
+  }
+  if (receiver === 'page.keyboard' && method === 'press') {
+    return { name: 'press_key', arguments: keyArguments(staticValue(args[0])) };
+  }
+
+  const selector = locatorSelector(object);
+  if (method === 'click' && args.length > 0) {
+    const options = staticValue(args[0]);
+    if (options.button === 'right') {
+      return { name: 'right_click', arguments: { selector } };
+    }
+  }
+  if (
+    method === 'waitFor' &&
+    args.length > 0 &&
+    !['visible', undefined].includes(staticValue(args[0]).state)
+  ) {
+    unsupported(`waitFor() for another state than visible`);
+  }
+  if (LOCATOR_ACTIONS[method]) {
+    return { name: LOCATOR_ACTIONS[method], arguments: { selector } };
+  }
+  switch (method) {
+    case 'fill':
+      return {
+        name: 'fill_input',
+        arguments: { selector, text: String(staticValue(args[0])) },
+      };
+    case 'selectOption':
+      return {
+        name: 'select_option',
+        arguments: { selector, value: staticValue(args[0]) },
+      };
+    case 'press':
+      return {
+        name: 'press_key',
+        arguments: { ...keyArguments(staticValue(args[0])), selector },
+      };
+    default:
+      unsupported(`${method}() at line ${statement.loc.start.line}`);
+  }
+}
+
+function callbackBody(call) {
+  const callback = call.arguments.at(-1);
+  return callback?.type === 'ArrowFunctionExpression' ||
+    callback?.type === 'FunctionExpression'
+    ? callback.body.body || []
+    : [];
+}
+
+function statementCalls(statements) {
+  return statements
+    .filter(
+      (statement) =>
+        statement.type === 'ExpressionStatement' &&
+        statement.expression.type === 'CallExpression'
+    )
+    .map((statement) => statement.expression);
+}
+
+// The test declared at line (the line of its test() call in the JSON
+// report) with the beforeEach hooks of the describe blocks around it
+function findTest(program, line) {
+  const visit = (statements, hooks) => {
+    const calls = statementCalls(statements);
+    const scopeHooks = [
+      ...hooks,
+      ...calls.filter((call) => HOOK_CALLEES.includes(calleeName(call.callee))),
+    ];
+    for (const call of calls) {
+      const callee = calleeName(call.callee);
+      if (TEST_CALLEES.includes(callee) && call.loc.start.line === line) {
+        return { test: call, hooks: scopeHooks };
+      }
+      if (DESCRIBE_CALLEES.includes(callee)) {
+        const found = visit(callbackBody(call), scopeHooks);
+        if (found) {
+          return found;
+        }
+      }
+    }
+    return null;
+  };
+  return visit(program.body, []);
+}
+
+// Steps of the test declared at testLine, its beforeEach hooks first:
+// [{ action, line, endLine, start, end, code, hook }], action being null
+// with a reason for statements that cannot be replayed
+export function specSteps(code, testLine) {
+  const program = parse(code, {
+    ecmaVersion: 'latest',
+    sourceType: 'module',
+    locations: true,
+  });
+  const found = findTest(program, testLine);
+  if (!found) {
+    throw new Error(`No test is declared at line ${testLine} of the spec`);
+  }
+
+  const step = (statement, hook) => {
+    let action = null;
+    let reason;
+    try {
+      action = statementAction(statement);
+    } catch (error) {
+      reason = error.message;
+    }
+    return {
+      action,
+      ...(reason && { reason }),
+      line: statement.loc.start.line,
+      endLine: statement.loc.end.line,
+      code: code.slice(statement.start, statement.end),
+      hook,
+    };
+  };
+
+  return [
+    ...found.hooks.flatMap((hook) =>
+      callbackBody(hook).map((statement) => step(statement, true))
+    ),
+    ...callbackBody(found.test).map((statement) => step(statement, false)),
+  ];
+}
+
+// The step a failure at line belongs to
+export function failingStepIndex(steps, line) {
+  return steps.findIndex((step) => line >= step.line && line <= step.endLine);
+}
+
+// code with lines startLine to endLine (1-based, inclusive) replaced by
+// replacement. The replacement block is moved to the indentation of the
+// first replaced line; nested lines keep their indentation relative to it.
+export function replaceLines(code, startLine, endLine, replacement) {
+  const lines = code.split('\n');
+  const indent = lines[startLine - 1].match(/^\s*/)[0];
+
+  const block = String(replacement).split('\n');
+  while (block.length > 0 && !block[0].trim()) {
+    block.shift();
+  }
+  while (block.length > 0 && !block.at(-1).trim()) {
+    block.pop();
+  }
+  const common = Math.min(
+    ...block
+      .filter((line) => line.trim())
+      .map((line) => line.match(/^\s*/)[0].length)
+  );
+  const replaced = block.map((line) =>
+    line.trim() ? `${indent}${line.slice(common).trimEnd()}` : ''
+  );
+
+  lines.splice(startLine - 1, endLine - startLine + 1, ...replaced);
+  return lines.join('\n');
+}
+
+function hunkRange(start, count) {
+  return count === 1
+    ? `${start}`
+    : `${count === 0 ? start - 1 : start},${count}`;
+}
+
+// Unified diff of a change to one contiguous run of lines, which is all
+// replaceLines makes. Empty when nothing changed.
+export function unifiedDiff(fileName, original, patched) {
+  const fileLines = (text) => text.replace(/\n$/, '').split('\n');
+  const before = fileLines(original);
+  const after = fileLines(patched);
+  let prefix = 0;
+  while (
+    prefix < before.length &&
+    prefix < after.length &&
+    before[prefix] === after[prefix]
+  ) {
+    prefix++;
+  }
+  if (prefix === before.length && prefix === after.length) {
+    return '';
+  }
+  let suffix = 0;
+  while (
+    suffix < before.length - prefix &&
+    suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const start = Math.max(0, prefix - DIFF_CONTEXT);
+  const leading = before.slice(start, prefix);
+  const removed = before.slice(prefix, before.length - suffix);
+  const added = after.slice(prefix, after.length - suffix);
+  const trailing = before.slice(
+    before.length - suffix,
+    before.length - suffix + DIFF_CONTEXT
+  );
+  const oldCount = leading.length + removed.length + trailing.length;
+  const newCount = leading.length + added.length + trailing.length;
+
+  return [
+    `--- a/${fileName}`,
+    `+++ b/${fileName}`,
+    `@@ -${hunkRange(start + 1, oldCount)} +${hunkRange(
+      start + 1,
+      newCount
+    )} @@`,
+    ...leading.map((line) => ` ${line}`),
+    ...removed.map((line) => `-${line}`),
+    ...added.map((line) => `+${line}`),
+    ...trailing.map((line) => ` ${line}`),
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,57 @@
+import { literal } from './code-emitter.js';
+
+// Layout of generated spec files. Statements are written for the two-space
+// indentation of a top-level test body, so statements spanning several
+// lines carry that indentation and are shifted further when nested.
+
+// A test(), test.fixme(), setup() or test.beforeEach() block. title is left
+// out for hooks.
+export function testBlockCode(callee, title, lines, indent = '') {
+  const fixtures = lines.some((line) => line.includes('context.'))
+    ? '{ page, context }'
+    : '{ page }';
+  const titleArgument = title === null ? '' : `${literal(title)}, `;
+
+  return [
+    `${indent}${callee}(${titleArgument}async (${fixtures}) => {`,
+    ...lines.map(
+      (line) => `${indent}  ${line.split('\n').join(`\n${indent}`)}`
+    ),
+    `${indent}});`,
+  ].join('\n');
+}
+
+// test.describe() around blocks built with an indent of two spaces
+export function describeCode(title, blocks) {
+  return `test.describe(${literal(title)}, () => {\n${blocks.join(
+    '\n\n'
+  )}\n});`;
+}
+
+function sameStep(a, b) {
+  return (
+    a.name === b.name &&
+    JSON.stringify(a.arguments ?? {}) === JSON.stringify(b.arguments ?? {})
+  );
+}
+
+// Number of leading steps every scenario of a suite shares, e.g. opening
+// the page under test, which then go into test.beforeEach(). Each scenario
+// keeps at least one step of its own.
+export function sharedStepCount(scenarioActions) {
+  if (scenarioActions.length < 2) {
+    return 0;
+  }
+
+  const [first, ...others] = scenarioActions;
+  const limit =
+    Math.min(...scenarioActions.map((actions) => actions.length)) - 1;
+  let count = 0;
+  while (
+    count < limit &&
+    others.every((actions) => sameStep(actions[count], first[count]))
+  ) {
+    count++;
+  }
+  return count;
+}
@@ -0,0 +1,168 @@
+import { literal, raw } from './code-emitter.js';
+
+// Data-driven tests: the values a test filled become the rows of a data
+// table, and the test runs once per row in a `for (const row of data)`
+// loop. The table is inline in the spec or a JSON or CSV file next to it.
+
+export const DATA_SOURCES = ['inline', 'json', 'csv'];
+
+export const DATA_FILE_EXTENSIONS = { json: '.json', csv: '.csv' };
+
+// Column every row has; it names the row's test
+export const DESCRIPTION_COLUMN = 'description';
+
+// Description of the row holding the values the session filled
+export const RECORDED_ROW = 'recorded values';
+
+// Name of the field in the locator or selector, e.g. "Email address" for
+// getByLabel('Email address') or "custname" for [name="custname"]
+function fieldName(locatorCode, selector) {
+  const patterns = [
+    /getByRole\('[^']*', \{ name: '((?:[^'\\]|\\.)+)'/,
+    /getBy(?:Label|Placeholder|TestId|Title)\('((?:[^'\\]|\\.)+)'/,
+  ];
+  for (const pattern of patterns) {
+    const match = (locatorCode || '').match(pattern);
+    if (match) {
+      return match[1];
+    }
+  }
+
+  const attribute = String(selector || '').match(
+    /\[(?:name|id|placeholder|aria-label|data-testid)\s*=\s*["']?([^"'\]]+)/
+  );
+  const id = String(selector || '').match(/#([\w-]+)/);
+  return attribute?.[1] || id?.[1] || '';
+}
+
+function toColumnName(text) {
+  const words = String(text)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  const name = words
+    .map((word, index) =>
+      index === 0 ? word : `${word[0].toUpperCase()}${word.slice(1)}`
+    )
+    .join('')
+    .replace(/^[0-9]+/, '');
+  return name || 'field';
+}
+
+// One column per filled field: { name, field, value, actualValue }. fills
+// are { locator, selector, text, actualValue }, locator and actualValue
+// only known for steps that ran.
+export function dataColumns(fills) {
+  const used = new Set([DESCRIPTION_COLUMN]);
+
+  return fills.map(({ locator, selector, text, actualValue }) => {
+    const field = fieldName(locator, selector);
+    const base = toColumnName(field);
+    let name = base;
+    for (let suffix = 2; used.has(name); suffix++) {
+      name = `${base}${suffix}`;
+    }
+    used.add(name);
+
+    return {
+      name,
+      field: field || selector,
+      value: String(text ?? ''),
+      ...(actualValue !== undefined && { actualValue }),
+    };
+  });
+}
+
+// The recorded row followed by extra rows such as boundary and invalid
+// values. Extra rows only need the columns they change; unknown keys are
+// dropped and every value is a string, as CSV has no other type.
+export function dataRows(columns, extraRows = []) {
+  const recorded = Object.fromEntries(
+    columns.map((column) => [column.name, column.value])
+  );
+  const rows = [{ [DESCRIPTION_COLUMN]: RECORDED_ROW, ...recorded }];
+  const descriptions = new Set([RECORDED_ROW]);
+
+  extraRows.forEach((extra, index) => {
+    // Row descriptions end up in test titles, which have to be unique
+    const base = String(extra[DESCRIPTION_COLUMN] || `row ${index + 2}`);
+    let description = base;
+    for (let suffix = 2; descriptions.has(description); suffix++) {
+      description = `${base} (${suffix})`;
+    }
+    descriptions.add(description);
+
+    const row = { [DESCRIPTION_COLUMN]: description };
+    for (const column of columns) {
+      row[column.name] =
+        extra[column.name] === undefined || extra[column.name] === null
+          ? recorded[column.name]
+          : String(extra[column.name]);
+    }
+    rows.push(row);
+  });
+
+  return rows;
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(columnNames, rows) {
+  return `${[
+    columnNames.map(csvField).join(','),
+    ...rows.map((row) =>
+      columnNames.map((name) => csvField(row[name])).join(',')
+    ),
+  ].join('\n')}\n`;
+}
+
+// The `const data = ...` declaration and the imports it needs. file is the
+// project-relative path of a JSON or CSV table, where specs run from.
+export function dataTableCode(source, rows, file) {
+  switch (source) {
+    case 'json':
+      return {
+        imports: ["import { readFileSync } from 'fs';"],
+        code: `const data = JSON.parse(readFileSync(${literal(
+          file
+        )}, 'utf8'));`,
+      };
+    case 'csv':
+      return {
+        imports: [
+          "import { readFileSync } from 'fs';",
+          "import { parse } from 'csv-parse/sync';",
+        ],
+        code: `const data = parse(readFileSync(${literal(
+          file
+        )}), { columns: true });`,
+      };
+    default:
+      return {
+        imports: [],
+        code: `const data = [\n${rows
+          .map((row) => `  ${literal(row)},`)
+          .join('\n')}\n];`,
+      };
+  }
+}
+
+// Value of a column in the loop's current row
+export function rowValue(columnName) {
+  return raw(`row.${columnName}`);
+}
+
+export function normalizeDataSource(source = 'inline') {
+  if (!DATA_SOURCES.includes(source)) {
+    throw new Error(
+      `Invalid data source: ${source}. Expected one of: ${DATA_SOURCES.join(
+        ', '
+      )}`
+    );
+  }
+  return source;
+}
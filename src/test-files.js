@@ -0,0 +1,622 @@
+import { spawn } from 'child_process';
+import {
+  copyFileSync,
+  existsSync,
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  symlinkSync,
+  writeFileSync,
+} from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import playwrightConfig from '../playwright.config.js';
+import { uniqueArtifactName } from './artifacts.js';
+import { PAGE_OBJECT_DIR } from './page-objects.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const PROJECT_DIR = path.join(__dirname, '..');
+
+const SPEC_EXTENSION = '.spec.js';
+
+// Setup project files, see playwright.config.js. Generated code declaring
+// setup() instead of test() is saved with this extension.
+const SETUP_EXTENSION = '.setup.js';
+
+const TEST_FILE_EXTENSIONS = [SPEC_EXTENSION, SETUP_EXTENSION];
+
+// The directory Playwright picks tests up from, as configured in
+// playwright.config.js
+export function getTestDir() {
+  return path.resolve(PROJECT_DIR, playwrightConfig.testDir || 'tests');
+}
+
+// Files upload_file may hand to the page. Nothing outside this directory can
+// be uploaded.
+export function getFixturesDir() {
+  return path.resolve(
+    PROJECT_DIR,
+    process.env.UPLOAD_FIXTURES_DIR || path.join(getTestDir(), 'fixtures')
+  );
+}
+
+// HAR files record_har writes and replay_har and generated specs read
+export function getHarDir() {
+  return path.resolve(
+    PROJECT_DIR,
+    process.env.HAR_DIR || path.join(getTestDir(), 'har')
+  );
+}
+
+// Data tables of data-driven tests saved as JSON or CSV, see test-data.js
+export function getTestDataDir() {
+  return path.resolve(
+    PROJECT_DIR,
+    process.env.TEST_DATA_DIR || path.join(getTestDir(), 'data')
+  );
+}
+
+// Resolves a file name inside the fixtures directory. relativePath is
+// relative to the project directory, which is where generated specs run
+// from, so it can be used in setInputFiles() as is.
+export function resolveFixturePath(fileName) {
+  return resolveProjectFile(getFixturesDir(), fileName, 'fixture file');
+}
+
+// Saved storageState files (cookies and local storage of a logged-in
+// browser), see save_storage_state. They hold credentials and are ignored
+// by git.
+export function getStorageStateDir() {
+  return path.resolve(
+    PROJECT_DIR,
+    process.env.STORAGE_STATE_DIR || path.join('playwright', '.auth')
+  );
+}
+
+// Resolves a storage state name such as "user" to its JSON file. Files that
+// are about to be saved need not exist yet.
+export function resolveStorageStatePath(name, { mustExist = true } = {}) {
+  if (!/^[\w-]+$/.test(String(name || ''))) {
+    throw new Error(
+      `Invalid storage state name: ${name}. Use letters, digits, _ and -`
+    );
+  }
+  return resolveProjectFile(
+    getStorageStateDir(),
+    `${name}.json`,
+    'storage state',
+    mustExist
+  );
+}
+
+// Like resolveFixturePath, for a HAR file. Files that are about to be
+// recorded need not exist yet.
+export function resolveHarPath(fileName, { mustExist = true } = {}) {
+  const name = String(fileName || '');
+  return resolveProjectFile(
+    getHarDir(),
+    name.endsWith('.har') ? name : `${name}.har`,
+    'HAR file',
+    mustExist
+  );
+}
+
+function resolveProjectFile(dir, fileName, kind, mustExist = true) {
+  const filePath = path.resolve(dir, String(fileName));
+  const relative = path.relative(dir, filePath);
+
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new Error(
+      `Invalid ${kind}: ${fileName}. Expected a file inside ${
+        path.relative(PROJECT_DIR, dir) || 'the project directory'
+      }`
+    );
+  }
+  if (mustExist && !existsSync(filePath)) {
+    throw new Error(
+      `${kind[0].toUpperCase()}${kind.slice(1)} not found: ${path.relative(
+        PROJECT_DIR,
+        filePath
+      )}`
+    );
+  }
+
+  return {
+    filePath,
+    relativePath: path
+      .relative(PROJECT_DIR, filePath)
+      .split(path.sep)
+      .join('/'),
+  };
+}
+
+// Turns a test name (see AIPlaywrightIntegration.extractTestName) into a
+// filename that is safe to create inside the test directory
+export function toSpecFileName(testName, extension = SPEC_EXTENSION) {
+  const base = String(testName || '')
+    .toLowerCase()
+    .replace(/\.(spec|setup)\.js$/, '')
+    .replace(/[^a-z0-9_-]+/g, '_')
+    .replace(/^[_-]+|[_-]+$/g, '')
+    .slice(0, 80);
+
+  return `${base || 'generated_test'}${extension}`;
+}
+
+// Resolves a spec (or setup) filename inside the test directory, refusing
+// anything that would escape it
+export function resolveSpecPath(fileName) {
+  const testDir = getTestDir();
+  const filePath = path.resolve(testDir, fileName);
+
+  if (
+    path.dirname(filePath) !== testDir ||
+    !TEST_FILE_EXTENSIONS.some((extension) => filePath.endsWith(extension))
+  ) {
+    throw new Error(
+      `Invalid spec file: ${fileName}. Expected a *${SPEC_EXTENSION} or *${SETUP_EXTENSION} file directly inside the test directory`
+    );
+  }
+
+  return filePath;
+}
+
+export function readSpec(fileName) {
+  const filePath = resolveSpecPath(fileName);
+  if (!existsSync(filePath)) {
+    throw new Error(`Spec file not found: ${fileName}`);
+  }
+  return readFileSync(filePath, 'utf8');
+}
+
+// Directories test reports may be read from, the ones Playwright writes to
+const REPORT_DIRS = ['test-results', 'playwright-report'];
+
+// A report of the json reporter, e.g. test-results/report.json. Other files
+// of the project are refused, and so are files that do not parse, without
+// echoing their content in the error.
+export function readTestReport(fileName) {
+  const filePath = path.resolve(PROJECT_DIR, String(fileName));
+  const inReportDir = REPORT_DIRS.some((dir) => {
+    const relative = path.relative(path.join(PROJECT_DIR, dir), filePath);
+    return relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+  });
+  if (!inReportDir || path.extname(filePath) !== '.json') {
+    throw new Error(
+      `Invalid report file: ${fileName}. Expected a .json file inside ${REPORT_DIRS.join(
+        ' or '
+      )}`
+    );
+  }
+  if (!existsSync(filePath)) {
+    throw new Error(`Report file not found: ${fileName}`);
+  }
+
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch {
+    throw new Error(
+      `Invalid report file: ${fileName} is not a Playwright JSON report`
+    );
+  }
+}
+
+// Writes a data table next to the specs under a name derived from the test
+// name, numbered like saved specs so an edited table is never overwritten.
+// relativePath is what the generated spec reads it from.
+export function saveTestData(testName, extension, content) {
+  const dataDir = getTestDataDir();
+  const base = toSpecFileName(testName, '');
+  let filePath = path.join(dataDir, `${base}${extension}`);
+  for (let suffix = 2; existsSync(filePath); suffix++) {
+    filePath = path.join(dataDir, `${base}-${suffix}${extension}`);
+  }
+
+  mkdirSync(dataDir, { recursive: true });
+  writeFileSync(filePath, content);
+  return resolveProjectFile(dataDir, path.basename(filePath), 'data file');
+}
+
+function uniqueSpecPath(fileName, extension = SPEC_EXTENSION) {
+  const testDir = getTestDir();
+  const base = fileName.slice(0, -extension.length);
+  let candidate = path.join(testDir, fileName);
+
+  for (let suffix = 2; existsSync(candidate); suffix++) {
+    candidate = path.join(testDir, `${base}-${suffix}${extension}`);
+  }
+
+  return candidate;
+}
+
+// Generated setup code imports test as setup, see generatePlaywrightTest
+export function isSetupCode(code) {
+  return /import \{ test as setup\b/.test(code);
+}
+
+const IMPORT_LINE = /^import\s.*;?\s*$/;
+
+// Splits generated code into its import lines and the remaining test()
+// block, so the block can be added to a spec that already has imports
+function splitImports(code) {
+  const lines = code.split('\n');
+  const imports = lines.filter((line) => IMPORT_LINE.test(line));
+  const body = lines.filter((line) => !IMPORT_LINE.test(line));
+
+  return { imports, body: body.join('\n').trim() };
+}
+
+// Appends a generated test() block to an existing spec. Imports the spec
+// does not have yet (page objects) are added after its own imports; the
+// @playwright/test import is assumed to be there already.
+function appendTestBlock(existing, code) {
+  const { imports, body } = splitImports(code);
+  // test.use() at the top of the block would apply to every test in the spec
+  if (/^test\.use\(/m.test(body)) {
+    throw new Error(
+      'Tests with browser or device settings (test.use) cannot be appended to another spec. Save them as a new file instead.'
+    );
+  }
+  const lines = existing.trimEnd().split('\n');
+  if (/^const data = /m.test(body) && /^const data = /m.test(existing)) {
+    throw new Error(
+      'The spec already has a data table. Save the data-driven test as a new file instead.'
+    );
+  }
+  const missing = imports.filter(
+    (line) =>
+      !line.includes('@playwright/test') &&
+      !lines.some((existingLine) => existingLine.trim() === line.trim())
+  );
+
+  if (missing.length > 0) {
+    let lastImport = -1;
+    lines.forEach((line, index) => {
+      if (IMPORT_LINE.test(line)) {
+        lastImport = index;
+      }
+    });
+    lines.splice(lastImport + 1, 0, ...missing);
+  }
+
+  return `${lines.join('\n')}\n\n${body}\n`;
+}
+
+// Writes generated test code into the Playwright test directory.
+// With append, the test() block is added to the existing spec named by
+// appendTo instead of creating a new file.
+export function saveGeneratedTest({
+  code,
+  testName,
+  append = false,
+  appendTo,
+}) {
+  if (!code || !code.includes('@playwright/test')) {
+    throw new Error('Generated test code is required');
+  }
+
+  mkdirSync(getTestDir(), { recursive: true });
+  const extension = isSetupCode(code) ? SETUP_EXTENSION : SPEC_EXTENSION;
+
+  if (append) {
+    const filePath = resolveSpecPath(
+      appendTo || toSpecFileName(testName, extension)
+    );
+    if (!filePath.endsWith(extension)) {
+      throw new Error(
+        `Cannot append ${
+          extension === SETUP_EXTENSION ? 'a setup' : 'a test'
+        } to ${path.basename(filePath)}`
+      );
+    }
+
+    if (existsSync(filePath)) {
+      const existing = readFileSync(filePath, 'utf8');
+      writeFileSync(filePath, appendTestBlock(existing, code));
+
+      return { filePath, fileName: path.basename(filePath), appended: true };
+    }
+
+    writeFileSync(filePath, code);
+    return { filePath, fileName: path.basename(filePath), appended: false };
+  }
+
+  const filePath = uniqueSpecPath(
+    toSpecFileName(testName, extension),
+    extension
+  );
+  writeFileSync(filePath, code);
+
+  return { filePath, fileName: path.basename(filePath), appended: false };
+}
+
+// Writes a generated page object class into the pages directory next to the
+// specs. Existing files are kept unless overwrite is set, since page objects
+// are often edited by hand after generation.
+export function savePageObject(fileName, code, { overwrite = false } = {}) {
+  const pageDir = path.join(getTestDir(), PAGE_OBJECT_DIR);
+  const filePath = path.resolve(pageDir, fileName);
+
+  if (
+    path.dirname(filePath) !== pageDir ||
+    !/^[A-Za-z]\w*\.js$/.test(fileName)
+  ) {
+    throw new Error(`Invalid page object file: ${fileName}`);
+  }
+  if (existsSync(filePath) && !overwrite) {
+    throw new Error(
+      `Page object already exists: ${path.relative(
+        PROJECT_DIR,
+        filePath
+      )}. Pass overwrite to replace it`
+    );
+  }
+
+  mkdirSync(pageDir, { recursive: true });
+  writeFileSync(filePath, code);
+
+  return {
+    filePath,
+    fileName,
+    relativePath: path.relative(PROJECT_DIR, filePath),
+  };
+}
+
+// Runs `playwright test <file>` from the project directory. Reporter output
+// is passed to onOutput(stream, text) as it arrives.
+export async function runPlaywrightTest(fileName, { project, onOutput } = {}) {
+  const filePath = resolveSpecPath(fileName);
+  if (!existsSync(filePath)) {
+    throw new Error(`Spec file not found: ${fileName}`);
+  }
+
+  const args = [
+    path.relative(PROJECT_DIR, filePath),
+    // The configured html reporter would try to open a browser on failure
+    '--reporter=list',
+  ];
+  if (project) {
+    args.push(`--project=${project}`);
+  }
+
+  const { exitCode } = await spawnPlaywrightTest(args, { onOutput });
+  return {
+    success: exitCode === 0,
+    exitCode,
+    fileName: path.basename(filePath),
+  };
+}
+
+// Where validateGeneratedTest runs specs. It has to be inside the project
+// so the specs' imports resolve against its node_modules. Ignored by git.
+export function getValidationDir() {
+  return path.join(PROJECT_DIR, 'playwright', '.validate');
+}
+
+// Project of the config validation runs with
+const VALIDATION_PROJECT = 'chromium';
+
+// Playwright config of a validation run: the project's config, run headless
+// on chromium alone with a trace of every test and a JSON report
+function validationConfigCode() {
+  const configUrl = pathToFileURL(
+    path.join(PROJECT_DIR, 'playwright.config.js')
+  );
+  return `import config from ${JSON.stringify(configUrl.href)};
+
+export default {
+  ...config,
+  testDir: '.',
+  testMatch: /.*\\.(spec|setup)\\.js$/,
+  outputDir: './results',
+  retries: 0,
+  reporter: [['json', { outputFile: './report.json' }]],
+  use: { ...config.use, headless: true, trace: 'on', video: 'off' },
+  projects: (config.projects || [])
+    .filter((project) => project.name === ${JSON.stringify(VALIDATION_PROJECT)})
+    .map(({ dependencies, ...project }) => ({
+      ...project,
+      use: { ...project.use, headless: true },
+    })),
+};
+`;
+}
+
+// Failed tests of a JSON report: [{ title, error, trace, file, line,
+// location }] with trace the path of the test's trace.zip, file and line
+// where the test is declared, and location the { file, line, column } of
+// its first error
+export function reportFailures(report) {
+  const failures = [];
+  const visit = (suite, titles) => {
+    for (const spec of suite.specs || []) {
+      for (const test of spec.tests || []) {
+        const result = (test.results || []).at(-1);
+        if (!result || ['passed', 'skipped'].includes(result.status)) {
+          continue;
+        }
+        failures.push({
+          title: [...titles, spec.title].join(' > '),
+          error: stripAnsi(
+            (result.errors || []).map((error) => error.message).join('\n') ||
+              `Test ${result.status}`
+          ),
+          trace: (result.attachments || []).find(
+            (attachment) => attachment.name === 'trace'
+          )?.path,
+          file: spec.file,
+          line: spec.line,
+          location: result.errors?.[0]?.location || result.error?.location,
+        });
+      }
+    }
+    for (const child of suite.suites || []) {
+      visit(child, [...titles, child.title]);
+    }
+  };
+  // Top-level suites are the spec files, their titles are not in test titles
+  (report.suites || []).forEach((suite) => visit(suite, []));
+  return failures;
+}
+
+function stripAnsi(text) {
+  return String(text).replace(/\u001b\[[0-9;]*m/g, '');
+}
+
+// Runs generated code on its own, before anyone relies on it: the spec is
+// written to a temporary directory and run with a config based on the
+// project's (see validationConfigCode). The trace of the first failing test,
+// or of the spec when it passes, is copied into traceDir.
+// Returns { success, exitCode, timedOut, errors, error, output, trace,
+// durationMs } where trace is the file name in traceDir.
+export async function validateGeneratedTest(
+  code,
+  { traceDir, timeout, onOutput } = {}
+) {
+  const started = Date.now();
+  mkdirSync(getValidationDir(), { recursive: true });
+  const dir = mkdtempSync(path.join(getValidationDir(), 'run-'));
+
+  try {
+    writeFileSync(
+      path.join(
+        dir,
+        isSetupCode(code) ? 'generated.setup.js' : 'generated.spec.js'
+      ),
+      code
+    );
+    // Page object imports are relative to the test directory
+    const pageDir = path.join(getTestDir(), PAGE_OBJECT_DIR);
+    if (existsSync(pageDir)) {
+      symlinkSync(pageDir, path.join(dir, PAGE_OBJECT_DIR), 'junction');
+    }
+    const configPath = path.join(dir, 'playwright.config.js');
+    writeFileSync(configPath, validationConfigCode());
+
+    let output = '';
+    const { exitCode, timedOut } = await spawnPlaywrightTest(
+      [`--config=${path.relative(PROJECT_DIR, configPath)}`],
+      {
+        timeout,
+        onOutput: (stream, text) => {
+          output += text;
+          onOutput?.(stream, text);
+        },
+      }
+    );
+
+    const reportPath = path.join(dir, 'report.json');
+    const report = existsSync(reportPath)
+      ? JSON.parse(readFileSync(reportPath, 'utf8'))
+      : null;
+    const errors = report ? reportFailures(report) : [];
+    // e.g. a spec that does not load, which fails before any test runs
+    for (const error of report?.errors || []) {
+      errors.push({ title: 'generated spec', error: stripAnsi(error.message) });
+    }
+    const success = exitCode === 0 && !timedOut && errors.length === 0;
+    if (!success && errors.length === 0) {
+      errors.push({
+        title: 'generated spec',
+        error: timedOut
+          ? `Validation timed out after ${timeout}ms`
+          : stripAnsi(output.trim()) ||
+            `playwright exited with code ${exitCode}`,
+      });
+    }
+
+    const tracePath = (success ? [] : errors)
+      .map((failure) => failure.trace)
+      .concat(findTraces(report))
+      .find((candidate) => candidate && existsSync(candidate));
+    let trace;
+    if (tracePath && traceDir) {
+      mkdirSync(traceDir, { recursive: true });
+      trace = uniqueArtifactName(traceDir, 'validation-trace', '.zip');
+      copyFileSync(tracePath, path.join(traceDir, trace));
+    }
+
+    return {
+      success,
+      exitCode,
+      timedOut,
+      errors: errors.map(({ title, error }) => ({ title, error })),
+      error: errors[0] ? `${errors[0].title}: ${errors[0].error}` : undefined,
+      output: stripAnsi(output),
+      trace,
+      durationMs: Date.now() - started,
+    };
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Trace attachments of every test in a JSON report
+function findTraces(report) {
+  const traces = [];
+  const visit = (suite) => {
+    for (const spec of suite.specs || []) {
+      for (const test of spec.tests || []) {
+        for (const result of test.results || []) {
+          for (const attachment of result.attachments || []) {
+            if (attachment.name === 'trace') {
+              traces.push(attachment.path);
+            }
+          }
+        }
+      }
+    }
+    (suite.suites || []).forEach(visit);
+  };
+  (report?.suites || []).forEach(visit);
+  return traces;
+}
+
+// Kills a detached child and everything it started. The group may already
+// be gone, and a child that failed to spawn has no pid; neither may throw
+// from the timer that calls this.
+function killProcessGroup(child) {
+  if (!child.pid) {
+    return;
+  }
+  try {
+    process.kill(-child.pid, 'SIGKILL');
+  } catch (error) {
+    if (error.code !== 'ESRCH') {
+      console.warn(`Could not stop playwright: ${error.message}`);
+    }
+  }
+}
+
+// Spawns `npx playwright test <args>` from the project directory. A timeout
+// ends the whole process group, playwright's workers included.
+function spawnPlaywrightTest(args, { onOutput, timeout } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('npx', ['playwright', 'test', ...args], {
+      cwd: PROJECT_DIR,
+      env: { ...process.env, FORCE_COLOR: '0' },
+      detached: !!timeout,
+    });
+    let timedOut = false;
+    const timer = timeout
+      ? setTimeout(() => {
+          timedOut = true;
+          killProcessGroup(child);
+        }, timeout)
+      : null;
+
+    child.stdout.on('data', (data) => onOutput?.('stdout', data.toString()));
+    child.stderr.on('data', (data) => onOutput?.('stderr', data.toString()));
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', (exitCode) => {
+      clearTimeout(timer);
+      resolve({ exitCode, timedOut });
+    });
+  });
+}
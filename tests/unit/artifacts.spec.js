@@ -0,0 +1,63 @@
+import { test, expect } from '@playwright/test';
+import { mkdirSync, writeFileSync } from 'fs';
+import path from 'path';
+import {
+  getArtifactsRoot,
+  resolveArtifactPath,
+  sessionArtifactsDir,
+  uniqueArtifactName,
+} from '../../src/artifacts.js';
+
+test.describe('artifacts', () => {
+  let artifactsDir;
+
+  test.beforeEach(() => {
+    artifactsDir = process.env.ARTIFACTS_DIR;
+    process.env.ARTIFACTS_DIR = test.info().outputPath('artifacts');
+  });
+
+  test.afterEach(() => {
+    if (artifactsDir === undefined) {
+      delete process.env.ARTIFACTS_DIR;
+    } else {
+      process.env.ARTIFACTS_DIR = artifactsDir;
+    }
+  });
+
+  test('each session writes into a directory of its own', () => {
+    expect(sessionArtifactsDir('session-1')).toBe(
+      path.join(getArtifactsRoot(), 'session-1')
+    );
+    for (const sessionId of ['../etc', '.hidden', 'a/b', '']) {
+      expect(() => sessionArtifactsDir(sessionId)).toThrow(
+        `Invalid session id: ${sessionId}`
+      );
+    }
+  });
+
+  test('names are cleaned up and never reused', () => {
+    const dir = sessionArtifactsDir('names');
+    expect(uniqueArtifactName(dir, '../Check out!.png', '.png')).toBe(
+      'Check_out.png'
+    );
+    writeFileSync(path.join(dir, 'Check_out.png'), '');
+    writeFileSync(path.join(dir, 'Check_out-2.png'), '');
+    expect(uniqueArtifactName(dir, 'Check out.png', '.png')).toBe(
+      'Check_out-3.png'
+    );
+    expect(uniqueArtifactName(dir, '', '.zip')).toBe('artifact.zip');
+  });
+
+  test('only existing artifacts with safe names resolve', () => {
+    const dir = sessionArtifactsDir('served');
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(path.join(dir, 'shot.png'), '');
+
+    expect(resolveArtifactPath('served', 'shot.png')).toBe(
+      path.join(dir, 'shot.png')
+    );
+    expect(resolveArtifactPath('served', 'missing.png')).toBeNull();
+    expect(resolveArtifactPath('served', '../served/shot.png')).toBeNull();
+    expect(resolveArtifactPath('..', 'served')).toBeNull();
+  });
+});
@@ -0,0 +1,88 @@
+import { test, expect } from '@playwright/test';
+import {
+  contextOptionsFor,
+  describeBrowserOptions,
+  normalizeBrowserOptions,
+  testUseCode,
+} from '../../src/browser-options.js';
+import { checkSyntax } from '../../src/code-emitter.js';
+
+test.describe('browser options', () => {
+  test('a plain launch pins nothing', () => {
+    const options = normalizeBrowserOptions({ headless: true });
+    expect(options).toEqual({});
+    expect(describeBrowserOptions(options)).toBe('chromium');
+    expect(testUseCode(options)).toBeNull();
+  });
+
+  test('a device implies its browser type', () => {
+    const options = normalizeBrowserOptions({
+      device: 'iPhone 12',
+      locale: 'de-DE',
+    });
+    expect(options).toEqual({
+      device: 'iPhone 12',
+      browserType: 'webkit',
+      locale: 'de-DE',
+    });
+    expect(describeBrowserOptions(options)).toBe(
+      'webkit, iPhone 12, locale de-DE'
+    );
+  });
+
+  test('explicit settings override the device descriptor', () => {
+    const contextOptions = contextOptionsFor(
+      normalizeBrowserOptions({
+        device: 'Pixel 5',
+        viewport: { width: '800', height: 600 },
+        geolocation: { latitude: 52.52, longitude: 13.4 },
+      })
+    );
+    expect(contextOptions.viewport).toEqual({ width: 800, height: 600 });
+    expect(contextOptions.isMobile).toBe(true);
+    expect(contextOptions.permissions).toEqual(['geolocation']);
+    expect(contextOptions).not.toHaveProperty('defaultBrowserType');
+  });
+
+  test('invalid arguments are rejected', () => {
+    expect(() => normalizeBrowserOptions({ device: 'Nokia 3310' })).toThrow(
+      'Unknown device: Nokia 3310'
+    );
+    expect(() => normalizeBrowserOptions({ browserType: 'edge' })).toThrow(
+      'Unknown browserType: edge'
+    );
+    expect(() =>
+      normalizeBrowserOptions({ viewport: { width: 'wide', height: 600 } })
+    ).toThrow('viewport needs integer width and height');
+    expect(() => normalizeBrowserOptions({ colorScheme: 'sepia' })).toThrow(
+      'Unknown colorScheme: sepia'
+    );
+    expect(() =>
+      normalizeBrowserOptions({ geolocation: { latitude: 'north' } })
+    ).toThrow('geolocation needs numeric latitude and longitude');
+    expect(() => normalizeBrowserOptions({ storageState: '../user' })).toThrow(
+      'Invalid storage state name'
+    );
+  });
+
+  test('test.use() reproduces the options', () => {
+    const code = testUseCode(
+      normalizeBrowserOptions({
+        device: 'iPhone 12',
+        timezoneId: "Europe/Berlin'",
+        colorScheme: 'dark',
+      })
+    );
+    expect(code).toBe(
+      [
+        'test.use({',
+        "  ...devices['iPhone 12'],",
+        "  browserName: 'webkit',",
+        "  timezoneId: 'Europe/Berlin\\'',",
+        "  colorScheme: 'dark',",
+        '});',
+      ].join('\n')
+    );
+    expect(() => checkSyntax(code)).not.toThrow();
+  });
+});
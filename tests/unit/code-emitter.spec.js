@@ -0,0 +1,98 @@
+import { test, expect } from '@playwright/test';
+import {
+  call,
+  checkSyntax,
+  comment,
+  escapeRegExp,
+  literal,
+  raw,
+  stringLiteral,
+  templateLiteral,
+} from '../../src/code-emitter.js';
+
+// Evaluates an emitted expression, to check it reads back as the value
+const evaluate = (code) => new Function(`return ${code};`)();
+
+const TRICKY = [
+  "it's",
+  'say "hi"',
+  'back\\slash',
+  'line\nbreak\r\ntab\t',
+  '${process.exit(1)}',
+  '`backtick`',
+  'separators \u2028\u2029',
+  'control \x00\x1b',
+  "'); process.exit(1); ('",
+];
+
+test.describe('code emitter', () => {
+  test('string literals read back as the original text', () => {
+    for (const text of TRICKY) {
+      const code = stringLiteral(text);
+      expect(code).toMatch(/^'.*'$/s);
+      expect(code).not.toMatch(/[\n\r\u2028\u2029]/);
+      expect(evaluate(code)).toBe(text);
+    }
+  });
+
+  test('literal serializes nested values', () => {
+    const value = {
+      name: "O'Brien",
+      'data-test': 'x\ny',
+      count: 2,
+      enabled: false,
+      empty: null,
+      tags: ['a', '${b}'],
+    };
+    expect(literal(value)).toBe(
+      "{ name: 'O\\'Brien', 'data-test': 'x\\ny', count: 2, enabled: false, empty: null, tags: ['a', '${b}'] }"
+    );
+    expect(evaluate(literal(value))).toEqual(value);
+    expect(literal({ skipped: undefined })).toBe('{}');
+    expect(literal(/a\/b/i)).toBe('/a\\/b/i');
+  });
+
+  test('literal rejects values it cannot emit', () => {
+    expect(() => literal(Infinity)).toThrow('non-finite');
+    expect(() => literal(() => {})).toThrow('type function');
+  });
+
+  test('call serializes arguments and passes raw code through', () => {
+    expect(call('page.fill', '#q', 'a\'b"c')).toBe(
+      "page.fill('#q', 'a\\'b\"c')"
+    );
+    expect(call('expect', raw('page.getByText(row.name)'))).toBe(
+      'expect(page.getByText(row.name))'
+    );
+  });
+
+  test('template literals escape backticks and ${ but keep raw expressions', () => {
+    const code = templateLiteral('`${x}` \\ \n', raw('row.user'));
+    expect(code).toBe('`\\`\\${x}\\` \\\\ \\n${row.user}`');
+    expect(new Function('row', `return ${code};`)({ user: 'ann' })).toBe(
+      '`${x}` \\ \nann'
+    );
+  });
+
+  test('comments stay on one line', () => {
+    expect(comment('first\nsecond\r\nthird fourth')).toBe(
+      '// first second third fourth'
+    );
+  });
+
+  test('escapeRegExp matches the text literally', () => {
+    const text = 'Total: $5.00 (incl. ${tax}) [a|b]/c';
+    expect(new RegExp(escapeRegExp(text)).test(text)).toBe(true);
+    expect(new RegExp(`^${escapeRegExp('a.c')}$`).test('abc')).toBe(false);
+  });
+
+  test('checkSyntax passes valid modules and reports broken code', () => {
+    const spec = `import { test } from '@playwright/test';\ntest(${literal(
+      TRICKY.join('')
+    )}, async () => {});\n`;
+    expect(checkSyntax(spec)).toBe(spec);
+    expect(() => checkSyntax("await page.fill('#q', 'it's');")).toThrow(
+      'Generated code has a syntax error'
+    );
+  });
+});
@@ -0,0 +1,109 @@
+import { test, expect } from '@playwright/test';
+import { AIPlaywrightIntegration } from '../../src/ai-integration.js';
+import { OpenAIProvider } from '../../src/llm-providers.js';
+
+// Chat completion whose message calls the given tools
+const completion = (toolCalls) => ({
+  choices: [
+    {
+      message: {
+        content: null,
+        tool_calls: toolCalls.map(([name, args], index) => ({
+          id: `call_${index}`,
+          type: 'function',
+          function: { name, arguments: args },
+        })),
+      },
+    },
+  ],
+});
+
+// Answers the chat completion requests with the replies in turn
+const stubClient = (provider, replies) => {
+  const requests = [];
+  provider.client = {
+    chat: {
+      completions: {
+        create: async (request) => {
+          requests.push(request);
+          return replies.shift();
+        },
+      },
+    },
+  };
+  return requests;
+};
+
+test.describe('OpenAI provider', () => {
+  test('tool call arguments are parsed', async () => {
+    const provider = new OpenAIProvider({ apiKey: 'test' });
+    stubClient(provider, [
+      completion([
+        ['navigate_to', '{"url":"https://example.com"}'],
+        ['page_snapshot', ''],
+      ]),
+    ]);
+
+    const { toolCalls } = await provider.chat({ system: '', messages: [] });
+    expect(toolCalls).toEqual([
+      {
+        id: 'call_0',
+        name: 'navigate_to',
+        arguments: { url: 'https://example.com' },
+      },
+      { id: 'call_1', name: 'page_snapshot', arguments: {} },
+    ]);
+  });
+
+  test('arguments that are not JSON come back as an error', async () => {
+    const provider = new OpenAIProvider({ apiKey: 'test' });
+    stubClient(provider, [
+      completion([
+        ['click_element', '{"selector": "#go"'],
+        ['navigate_to', '{"url":"https://example.com"}'],
+      ]),
+    ]);
+
+    const { toolCalls } = await provider.chat({ system: '', messages: [] });
+    expect(toolCalls[0]).toMatchObject({
+      id: 'call_0',
+      name: 'click_element',
+      arguments: {},
+    });
+    expect(toolCalls[0].error).toMatch(
+      /^The arguments are not valid JSON \(.+\): \{"selector": "#go"$/
+    );
+    expect(toolCalls[1].error).toBeUndefined();
+  });
+
+  test('the agent loop hands the error to the model and goes on', async () => {
+    const integration = new AIPlaywrightIntegration({
+      provider: 'openai',
+      apiKey: 'test',
+    });
+    const requests = stubClient(integration.llm, [
+      completion([['click_element', '{"selector": "#go"']]),
+      completion([['click_element', '{"selector": "#go"}']]),
+      completion([['finish', '{"summary":"done"}']]),
+    ]);
+    const executed = [];
+    integration.getAgentTools = async () => [];
+    integration.executeAction = async (action) => {
+      executed.push(action);
+      return { content: [{ type: 'text', text: 'Clicked' }] };
+    };
+
+    const { steps, stopReason } = await integration.runAgentLoop('Go', 5);
+    expect(stopReason).toBe('finished');
+    expect(executed).toEqual([
+      { name: 'click_element', arguments: { selector: '#go' } },
+    ]);
+    expect(steps.map((step) => step.isError)).toEqual([true, false]);
+
+    const toolResult = requests[1].messages.find(
+      (message) => message.role === 'tool'
+    );
+    expect(toolResult).toMatchObject({ tool_call_id: 'call_0' });
+    expect(toolResult.content).toMatch(/^The arguments are not valid JSON/);
+  });
+});
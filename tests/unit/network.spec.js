@@ -0,0 +1,266 @@
+import { test, expect } from '@playwright/test';
+import { existsSync } from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { checkSyntax } from '../../src/code-emitter.js';
+import {
+  harReplayCode,
+  harReplayOptions,
+  matchesNetworkEntry,
+  networkWaitCode,
+  normalizeRoute,
+  recordedHarCode,
+  routeCode,
+  routeHandler,
+} from '../../src/network.js';
+import { CodeScope } from '../../src/page-scope.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const MCP_SERVER_PATH = path.join(
+  __dirname,
+  '..',
+  '..',
+  'src',
+  'mcp-server.js'
+);
+
+test.describe('network code', () => {
+  test('routes are normalized to route.fulfill() options', () => {
+    expect(normalizeRoute({ url: '**/api/items', json: ['a'] })).toEqual({
+      url: '**/api/items',
+      action: 'fulfill',
+      fulfill: { status: 200, json: ['a'] },
+    });
+    expect(
+      normalizeRoute({ url: '**/api', status: '503', body: 42, headers: {} })
+    ).toEqual({
+      url: '**/api',
+      action: 'fulfill',
+      fulfill: { status: 503, body: '42', headers: {} },
+    });
+    expect(normalizeRoute({ url: '**/ads/**', action: 'abort' })).toEqual({
+      url: '**/ads/**',
+      action: 'abort',
+    });
+    expect(() => normalizeRoute({})).toThrow('url is required');
+    expect(() => normalizeRoute({ url: '*', action: 'continue' })).toThrow(
+      'Invalid route action: continue'
+    );
+  });
+
+  test('the live handler and the spec do the same', async () => {
+    const calls = [];
+    const route = {
+      fulfill: async (options) => calls.push(['fulfill', options]),
+      abort: async () => calls.push(['abort']),
+    };
+    const stub = normalizeRoute({ url: '**/api', json: { it: "'s" } });
+    await routeHandler(stub)(route);
+    await routeHandler(normalizeRoute({ url: '**/x', action: 'abort' }))(route);
+    expect(calls).toEqual([
+      ['fulfill', { status: 200, json: { it: "'s" } }],
+      ['abort'],
+    ]);
+
+    const code = routeCode(stub, new CodeScope('page1'));
+    expect(code).toBe(
+      "await page1.route('**/api', (route) => route.fulfill({ status: 200, json: { it: '\\'s' } }));"
+    );
+    expect(() => checkSyntax(`async () => { ${code} }`)).not.toThrow();
+  });
+
+  test('HAR replay code carries the replay options', () => {
+    expect(() => harReplayOptions({ notFound: 'ignore' })).toThrow(
+      'Invalid notFound: ignore'
+    );
+    const options = harReplayOptions({ url: '**/api/**', notFound: undefined });
+    expect(options).toEqual({ url: '**/api/**' });
+    expect(harReplayCode('tests/har/a.har', options, new CodeScope())).toBe(
+      "await page.routeFromHAR('tests/har/a.har', { url: '**/api/**' });"
+    );
+    expect(harReplayCode('tests/har/a.har', {}, new CodeScope())).toBe(
+      "await page.routeFromHAR('tests/har/a.har');"
+    );
+  });
+
+  test('a HAR that is not on disk yet is only replayed in a comment', () => {
+    const code = recordedHarCode(
+      path.join(__dirname, 'missing.har'),
+      'tests/har/missing.har',
+      {},
+      new CodeScope()
+    );
+    expect(code).toMatch(/^\/\/ tests\/har\/missing\.har is written when/);
+    expect(
+      recordedHarCode(__filename, 'tests/har/x.har', {}, new CodeScope())
+    ).toBe("await page.routeFromHAR('tests/har/x.har');");
+  });
+
+  test('waits match by URL part and method', () => {
+    const entry = {
+      kind: 'response',
+      url: 'http://localhost/api/items?page=2',
+      method: 'POST',
+      status: 201,
+    };
+    expect(
+      matchesNetworkEntry(entry, 'response', {
+        url: '/api/items',
+        method: 'post',
+      })
+    ).toBe(true);
+    expect(
+      matchesNetworkEntry(entry, 'response', {
+        url: '/api/items',
+        method: 'GET',
+      })
+    ).toBe(false);
+    expect(matchesNetworkEntry(entry, 'request', { url: '/api/items' })).toBe(
+      false
+    );
+
+    const { setup, code } = networkWaitCode(
+      'response',
+      { url: "/api/it's", method: 'post', status: 201 },
+      new CodeScope('page1'),
+      'responsePromise'
+    );
+    expect(setup).toBe(
+      "const responsePromise = page1.waitForResponse((response) => response.url().includes('/api/it\\'s') && response.request().method() === 'POST');"
+    );
+    expect(code).toBe('expect((await responsePromise).status()).toBe(201);');
+    expect(
+      networkWaitCode('request', { url: '/a' }, new CodeScope(), 'request2')
+        .code
+    ).toBe('await request2;');
+  });
+});
+
+// The tools end to end, against a local server so nothing leaves the
+// machine: the page fetches /api/items, which counts its live hits. The
+// MCP server launches its own chromium, the unit project none.
+test.describe('network tools against a fixture server', () => {
+  test.describe.configure({ mode: 'serial' });
+
+  let server;
+  let baseUrl;
+  let apiHits = 0;
+  let client;
+  let harDir;
+
+  const callTool = async (name, args = {}) => {
+    const result = await client.callTool({ name, arguments: args });
+    const text = result.content.map((item) => item.text).join('\n');
+    expect(result.isError, `${name}: ${text}`).toBeFalsy();
+    return text;
+  };
+
+  test.beforeAll(async () => {
+    server = http.createServer((request, response) => {
+      if (request.url === '/api/items') {
+        apiHits++;
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(['live']));
+        return;
+      }
+      response.writeHead(200, { 'Content-Type': 'text/html' });
+      response.end(`<!DOCTYPE html>
+<ul id="items"></ul>
+<script>
+  fetch('/api/items')
+    .then((response) => response.json())
+    .then((items) => {
+      document.getElementById('items').innerHTML = items
+        .map((item) => '<li>' + item + '</li>')
+        .join('');
+    });
+</script>`);
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/`;
+
+    harDir = test.info().outputPath('har');
+    client = new Client(
+      { name: 'network-spec', version: '1.0.0' },
+      { capabilities: {} }
+    );
+    await client.connect(
+      new StdioClientTransport({
+        command: process.execPath,
+        args: [MCP_SERVER_PATH],
+        env: {
+          ...Object.fromEntries(
+            Object.entries(process.env).filter(
+              ([, value]) => value !== undefined
+            )
+          ),
+          HAR_DIR: harDir,
+        },
+      })
+    );
+  });
+
+  test.afterAll(async () => {
+    await client?.close();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test('a mocked route answers instead of the server', async () => {
+    await callTool('launch_browser', { headless: true });
+    await callTool('route_request', {
+      url: '**/api/items',
+      status: 201,
+      json: ['stub'],
+    });
+    await callTool('navigate_to', { url: baseUrl });
+    expect(
+      await callTool('wait_for_response', { url: '/api/items', status: 201 })
+    ).toContain('with status 201');
+    expect(apiHits).toBe(0);
+
+    const spec = await callTool('generate_test', { testName: 'mocked items' });
+    expect(spec).toContain(
+      "await page.route('**/api/items', (route) => route.fulfill({ status: 201, json: ['stub'] }));"
+    );
+    expect(spec).toContain(
+      "const responsePromise = page.waitForResponse((response) => response.url().includes('/api/items'));"
+    );
+    expect(spec).toContain(
+      'expect((await responsePromise).status()).toBe(201);'
+    );
+    await callTool('close_browser');
+  });
+
+  test('a recorded HAR is written on close and replayed later', async () => {
+    await callTool('launch_browser', { headless: true });
+    await callTool('record_har', { filename: 'items', url: '**/api/**' });
+    await callTool('navigate_to', { url: baseUrl });
+    await callTool('wait_for_response', { url: '/api/items', status: 200 });
+    expect(apiHits).toBe(1);
+
+    // Until the browser closes there is nothing to replay
+    const spec = await callTool('generate_test', { testName: 'recorded' });
+    expect(spec).toMatch(
+      /\/\/ .*items\.har is written when the browser closes/
+    );
+    expect(spec).not.toMatch(/^\s*await page\.routeFromHAR/m);
+    expect(existsSync(path.join(harDir, 'items.har'))).toBe(false);
+
+    await callTool('close_browser');
+    expect(existsSync(path.join(harDir, 'items.har'))).toBe(true);
+
+    await callTool('launch_browser', { headless: true });
+    await callTool('replay_har', { filename: 'items', url: '**/api/**' });
+    await callTool('navigate_to', { url: baseUrl });
+    await callTool('wait_for_response', { url: '/api/items', status: 200 });
+    expect(apiHits).toBe(1);
+    expect(await callTool('generate_test', { testName: 'replayed' })).toMatch(
+      /await page\.routeFromHAR\('.*items\.har', \{ url: '\*\*\/api\/\*\*' \}\);/
+    );
+    await callTool('close_browser');
+  });
+});
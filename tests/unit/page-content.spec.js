@@ -0,0 +1,111 @@
+import { test, expect } from '@playwright/test';
+import {
+  extractPageContent,
+  normalizeContentOptions,
+  truncateContent,
+} from '../../src/page-content.js';
+
+const PAGE = `<!DOCTYPE html>
+<header>Site header</header>
+<main id="content" class="wrap" style="color: red">
+  <h1 class="title">Contact</h1>
+  <p>Write   to us.</p>
+  <!-- a comment -->
+  <script>window.tracked = true;</script>
+  <a href="/faq" onclick="track()" data-testid="faq" aria-label="Questions">FAQ</a>
+  <span hidden>Secret</span>
+</main>
+<footer>Footer</footer>`;
+
+test.describe('page content options', () => {
+  test('defaults and caps are applied', () => {
+    expect(normalizeContentOptions()).toEqual({
+      mode: 'text',
+      rootSelector: null,
+      maxLength: 8000,
+    });
+    expect(
+      normalizeContentOptions({
+        mode: 'html',
+        selector: 'form',
+        maxLength: '999999',
+      })
+    ).toEqual({ mode: 'html', rootSelector: 'form', maxLength: 50000 });
+  });
+
+  test('unknown modes and lengths are rejected', () => {
+    expect(() => normalizeContentOptions({ mode: 'pdf' })).toThrow(
+      'Unknown mode: pdf. Expected one of text, html'
+    );
+    for (const maxLength of [0, -5, 1.5, 'many']) {
+      expect(() => normalizeContentOptions({ maxLength })).toThrow(
+        'maxLength must be a positive integer'
+      );
+    }
+  });
+
+  test('cut content says how much was left out', () => {
+    expect(truncateContent('abcdef', 6)).toBe('abcdef');
+    expect(truncateContent('abcdef', 4)).toBe(
+      'abcd\n[... truncated: showing 4 of 6 characters. Pass a selector to read a specific part of the page.]'
+    );
+  });
+});
+
+// extractPageContent runs in the page
+test.describe('page content', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.setContent(PAGE);
+  });
+
+  test('text comes from the main content', async ({ page }) => {
+    const { content, root } = await page.evaluate(extractPageContent, {
+      mode: 'text',
+      rootSelector: null,
+    });
+    expect(root).toBe('main');
+    expect(content.split('\n').filter(Boolean)).toEqual([
+      'Contact',
+      'Write to us.',
+      'FAQ',
+    ]);
+  });
+
+  test('html keeps the elements and the attributes that say what they are', async ({
+    page,
+  }) => {
+    expect(
+      await page.evaluate(extractPageContent, {
+        mode: 'html',
+        rootSelector: null,
+      })
+    ).toEqual({
+      content:
+        '<main id="content"><h1>Contact</h1><p>Write to us.</p><a href="/faq" data-testid="faq" aria-label="Questions">FAQ</a></main>',
+      root: 'main',
+    });
+  });
+
+  test('a selector picks the part of the page', async ({ page }) => {
+    expect(
+      await page.evaluate(extractPageContent, {
+        mode: 'text',
+        rootSelector: 'footer',
+      })
+    ).toEqual({ content: 'Footer', root: 'footer' });
+    await expect(
+      page.evaluate(extractPageContent, {
+        mode: 'text',
+        rootSelector: 'aside',
+      })
+    ).rejects.toThrow('No element matches aside');
+
+    await page.setContent('<div>Just <b>text</b></div>');
+    expect(
+      await page.evaluate(extractPageContent, {
+        mode: 'text',
+        rootSelector: null,
+      })
+    ).toEqual({ content: 'Just text', root: 'body' });
+  });
+});
@@ -0,0 +1,167 @@
+import { test, expect } from '@playwright/test';
+import {
+  buildMembers,
+  generatePageObjectCode,
+  pageObjectCallFor,
+  pageObjectDeclaration,
+  pageObjectImportPath,
+  toClassName,
+} from '../../src/page-objects.js';
+
+const INPUTS = [
+  {
+    tag: 'input',
+    type: 'text',
+    label: "Customer's name",
+    locator: "page.getByLabel('Customer\\'s name')",
+    selectors: ['#custname', 'input[name="custname"]'],
+  },
+  {
+    tag: 'input',
+    type: 'email',
+    label: 'Email',
+    locator: "page.getByLabel('Email')",
+    selectors: ['#email'],
+  },
+  {
+    tag: 'input',
+    type: 'email',
+    name: 'email',
+    locator: "page.getByLabel('Email').nth(1)",
+    selectors: ['#email2'],
+  },
+  {
+    tag: 'select',
+    id: 'size',
+    locator: "page.getByLabel('Size')",
+    selectors: ['#size'],
+  },
+  {
+    tag: 'input',
+    type: 'checkbox',
+    label: 'Bacon',
+    locator: "page.getByLabel('Bacon')",
+    selectors: ['input[value="bacon"]'],
+  },
+];
+
+const BUTTONS = [
+  {
+    type: 'submit',
+    text: 'Submit order',
+    locator: "page.getByRole('button', { name: 'Submit order' })",
+    selectors: ['form button'],
+  },
+  {
+    type: 'button',
+    text: 'Cancel',
+    locator: "page.getByRole('button', { name: 'Cancel' })",
+    selectors: ['#cancel'],
+  },
+];
+
+const contactPage = () => ({
+  className: 'ContactPage',
+  fileName: 'ContactPage.js',
+  url: 'https://example.com/contact',
+  pageVariable: 'page',
+  members: buildMembers(INPUTS, BUTTONS),
+});
+
+test.describe('page objects', () => {
+  test('class names end in Page and start with a letter', () => {
+    expect(toClassName('Contact us | Example')).toBe('ContactUsExamplePage');
+    expect(toClassName('Login page')).toBe('LoginPage');
+    expect(toClassName('404 Not Found')).toBe('Page404NotFoundPage');
+    expect(toClassName('')).toBe('GeneratedPage');
+  });
+
+  test('members are named after their labels, once each', () => {
+    expect(
+      contactPage().members.map(({ property, method, kind }) => [
+        property,
+        method,
+        kind,
+      ])
+    ).toEqual([
+      ['customersNameInput', 'fillCustomersName', 'fill'],
+      ['emailInput', 'fillEmail', 'fill'],
+      ['emailInput2', 'fillEmail2', 'fill'],
+      ['sizeSelect', 'selectSize', 'select'],
+      ['baconCheckbox', 'checkBacon', 'check'],
+      ['submitOrderButton', 'submit', 'click'],
+      ['cancelButton', 'clickCancel', 'click'],
+    ]);
+  });
+
+  test('the class keeps the member locators verbatim', () => {
+    const code = generatePageObjectCode(contactPage());
+    expect(code).toMatch(
+      /^\/\/ Page object for https:\/\/example\.com\/contact\n/
+    );
+    expect(code).toContain('export class ContactPage {');
+    expect(code).toContain(
+      "    this.customersNameInput = page.getByLabel('Customer\\'s name');"
+    );
+    expect(code).toContain(
+      '  async fillEmail2(value) {\n    await this.emailInput2.fill(value);\n  }'
+    );
+    expect(code).toContain(
+      '  async submit() {\n    await this.submitOrderButton.click();\n  }'
+    );
+  });
+
+  test('specs declare an instance on the page it belongs to', () => {
+    const pageObject = contactPage();
+    expect(pageObjectDeclaration(pageObject, 'page1')).toBe(
+      'const contactPage = new ContactPage(page1);'
+    );
+    expect(pageObjectImportPath(pageObject)).toBe('./pages/ContactPage.js');
+  });
+
+  test('actions call the member matching their selector or locator', () => {
+    const pageObjects = [contactPage()];
+    const noLocator = () => undefined;
+
+    expect(
+      pageObjectCallFor(
+        {
+          name: 'navigate_to',
+          arguments: { url: 'https://example.com/contact' },
+        },
+        pageObjects,
+        noLocator
+      ).code
+    ).toBe('await contactPage.goto();');
+    expect(
+      pageObjectCallFor(
+        { type: 'fill', selector: 'input[name="custname"]', text: "O'Brien" },
+        pageObjects,
+        noLocator
+      ).code
+    ).toBe("await contactPage.fillCustomersName('O\\'Brien');");
+    expect(
+      pageObjectCallFor(
+        { name: 'click_element', arguments: { selector: 'text=Cancel' } },
+        pageObjects,
+        () => "page.getByRole('button', { name: 'Cancel' })"
+      ).code
+    ).toBe('await contactPage.clickCancel();');
+
+    // A fill of a button, or an element the class does not have
+    expect(
+      pageObjectCallFor(
+        { type: 'fill', selector: '#cancel', text: 'x' },
+        pageObjects,
+        noLocator
+      )
+    ).toBeNull();
+    expect(
+      pageObjectCallFor(
+        { type: 'hover', selector: '#email' },
+        pageObjects,
+        noLocator
+      )
+    ).toBeNull();
+  });
+});
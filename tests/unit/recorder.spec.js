@@ -0,0 +1,136 @@
+import { test, expect } from '@playwright/test';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { checkSyntax } from '../../src/code-emitter.js';
+import { recordedAction } from '../../src/recorder.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MCP_SERVER_PATH = path.join(
+  __dirname,
+  '..',
+  '..',
+  'src',
+  'mcp-server.js'
+);
+
+test.describe('recorded actions', () => {
+  const target = "page.getByLabel('Name')";
+
+  test('reported events become the records the tools make', () => {
+    expect(
+      recordedAction(
+        { kind: 'fill', selector: '#name', value: "O'Brien" },
+        target
+      )
+    ).toEqual({
+      type: 'fill',
+      selector: '#name',
+      text: "O'Brien",
+      code: "await page.getByLabel('Name').fill('O\\'Brien');",
+    });
+    expect(
+      recordedAction(
+        { kind: 'select', selector: '#size', value: ['s', 'm'] },
+        target
+      )
+    ).toMatchObject({
+      type: 'select',
+      value: ['s', 'm'],
+      code: "await page.getByLabel('Name').selectOption(['s', 'm']);",
+    });
+    expect(
+      recordedAction({ kind: 'press', selector: '#name', key: 'Enter' }, target)
+    ).toMatchObject({
+      type: 'press',
+      key: 'Enter',
+      code: "await page.getByLabel('Name').press('Enter');",
+    });
+  });
+
+  test('clicks and toggles run on the target', () => {
+    for (const kind of ['click', 'check', 'uncheck']) {
+      const { type, code } = recordedAction({ kind, selector: '#a' }, target);
+      expect(type).toBe(kind);
+      expect(code).toBe(`await page.getByLabel('Name').${kind}();`);
+      expect(() => checkSyntax(`async () => { ${code} }`)).not.toThrow();
+    }
+    expect(() => recordedAction({ kind: 'scroll' }, target)).toThrow(
+      'Unknown recorded event: scroll'
+    );
+  });
+});
+
+// Recording needs a headed browser. Tool clicks are trusted input, so the
+// recorder reports them like the clicks of a person.
+test.describe('recording across tabs', () => {
+  test.skip(
+    process.platform === 'linux' && !process.env.DISPLAY,
+    'Recording needs a display for the headed browser'
+  );
+
+  let server;
+  let baseUrl;
+  let client;
+
+  const callTool = async (name, args = {}) => {
+    const result = await client.callTool({ name, arguments: args });
+    const text = result.content.map((item) => item.text).join('\n');
+    expect(result.isError, `${name}: ${text}`).toBeFalsy();
+    return text;
+  };
+
+  test.beforeAll(async () => {
+    // /one and /two each have a button named after them
+    server = http.createServer((request, response) => {
+      const name = request.url === '/two' ? 'Two' : 'One';
+      response.writeHead(200, { 'Content-Type': 'text/html' });
+      response.end(`<!DOCTYPE html><button id="go">${name}</button>`);
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    client = new Client(
+      { name: 'recorder-spec', version: '1.0.0' },
+      { capabilities: {} }
+    );
+    await client.connect(
+      new StdioClientTransport({
+        command: process.execPath,
+        args: [MCP_SERVER_PATH],
+        env: Object.fromEntries(
+          Object.entries(process.env).filter(([, value]) => value !== undefined)
+        ),
+      })
+    );
+  });
+
+  test.afterAll(async () => {
+    await client?.close();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test('clicks are recorded on every tab the recording moves to', async () => {
+    await callTool('launch_browser', { headless: false });
+    await callTool('navigate_to', { url: `${baseUrl}/one` });
+    await callTool('start_recording');
+
+    // A tab opened while recording, then the one that was open before
+    await callTool('new_tab', { url: `${baseUrl}/two` });
+    await callTool('click_element', { selector: '#go' });
+    await callTool('switch_page', { pageId: 'page' });
+    await callTool('click_element', { selector: '#go' });
+
+    const recorded = await callTool('stop_recording');
+    expect(recorded).toContain('Captured 2 step(s)');
+    expect(recorded).toContain(
+      "await page1.getByRole('button', { name: 'Two' }).click();"
+    );
+    expect(recorded).toContain(
+      "await page.getByRole('button', { name: 'One' }).click();"
+    );
+    await callTool('close_browser');
+  });
+});
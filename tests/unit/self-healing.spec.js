@@ -0,0 +1,196 @@
+import { test, expect } from '@playwright/test';
+import {
+  parseSelectorIntent,
+  rankCandidates,
+  scoreCandidate,
+} from '../../src/self-healing.js';
+
+// A candidate as collectCandidates describes it
+const candidate = (overrides = {}) => ({
+  index: 0,
+  tag: 'input',
+  type: 'text',
+  role: 'textbox',
+  name: '',
+  text: '',
+  label: '',
+  placeholder: '',
+  value: '',
+  id: '',
+  classes: [],
+  attributes: {},
+  disabled: false,
+  box: { x: 100, y: 100 },
+  plugins: [],
+  ...overrides,
+});
+
+test.describe('selector intent', () => {
+  test('id and classes are read around attribute selectors', () => {
+    expect(parseSelectorIntent('#email[type="text"]')).toMatchObject({
+      tag: null,
+      id: 'email',
+      classes: [],
+      attributes: { type: 'text' },
+      words: ['email'],
+    });
+    expect(parseSelectorIntent('input.search[name="q"]')).toMatchObject({
+      tag: 'input',
+      role: 'textbox',
+      id: null,
+      classes: ['search'],
+      attributes: { name: 'q' },
+    });
+  });
+
+  test('pseudo-class arguments are not the id, classes or tag', () => {
+    expect(
+      parseSelectorIntent('form > button.btn-primary:has-text("Sign in")')
+    ).toMatchObject({
+      tag: 'button',
+      role: 'button',
+      classes: ['btn-primary'],
+      text: 'Sign in',
+      words: ['sign', 'in', 'primary'],
+    });
+    expect(parseSelectorIntent('li:not(.done) #todo-3.item')).toMatchObject({
+      tag: null,
+      id: 'todo-3',
+      classes: ['item'],
+    });
+  });
+
+  test('only the last compound selector describes the target', () => {
+    expect(
+      parseSelectorIntent('#signup-form [data-testid="email input"]')
+    ).toMatchObject({
+      id: null,
+      attributes: { 'data-testid': 'email input' },
+      role: 'textbox',
+      words: ['email'],
+    });
+  });
+
+  test('text selectors and plain words ask for text', () => {
+    expect(parseSelectorIntent('text=Sign in')).toMatchObject({
+      text: 'Sign in',
+      words: ['sign', 'in'],
+    });
+    expect(parseSelectorIntent('Log in now')).toMatchObject({
+      tag: null,
+      text: 'Log in now',
+    });
+  });
+});
+
+test.describe('candidate scoring', () => {
+  test('the id of a selector with an attribute part still matches', () => {
+    const intent = parseSelectorIntent('#email[type="text"]');
+    const email = scoreCandidate(
+      intent,
+      candidate({ id: 'email', name: 'Email' })
+    );
+    const username = scoreCandidate(
+      intent,
+      candidate({ id: 'username', name: 'User name' })
+    );
+    expect(email.reasons).toContain('id="email"');
+    expect(email.confidence).toBeGreaterThan(0.9);
+    expect(username.confidence).toBeLessThan(0.5);
+  });
+
+  test('the class of a selector with an attribute part still matches', () => {
+    const intent = parseSelectorIntent('input.search[name="q"]');
+    const { reasons } = scoreCandidate(
+      intent,
+      candidate({
+        classes: ['search'],
+        attributes: { name: 'q', class: 'search' },
+      })
+    );
+    expect(reasons).toEqual(
+      expect.arrayContaining(['class="search"', 'name="q"', 'role textbox'])
+    );
+  });
+
+  test('closeness and a plugin entry add to the confidence', () => {
+    const intent = parseSelectorIntent('#search-input');
+    const far = candidate({ id: 'q', placeholder: 'Search' });
+    const near = { ...far, box: { x: 110, y: 120 } };
+    const anchor = { x: 100, y: 100 };
+    const farScore = scoreCandidate(intent, far, {
+      anchor: { x: 900, y: 900 },
+    });
+    const nearScore = scoreCandidate(intent, near, { anchor });
+    expect(nearScore.confidence).toBeGreaterThan(farScore.confidence);
+    expect(nearScore.reasons).toContain('next to the previous action');
+
+    const plugins = [
+      {
+        plugin: 'github',
+        keywords: ['search'],
+        description: 'main search input',
+      },
+    ];
+    const known = scoreCandidate(
+      intent,
+      { ...near, plugins: [0] },
+      { anchor, plugins }
+    );
+    expect(known.confidence).toBeGreaterThan(nearScore.confidence);
+    expect(known.reasons).toContain('github plugin: main search input');
+  });
+});
+
+test.describe('candidate ranking', () => {
+  const intent = parseSelectorIntent('button#login-btn[type="submit"]');
+  const signIn = candidate({
+    index: 1,
+    tag: 'button',
+    type: 'submit',
+    role: 'button',
+    name: 'Sign in',
+    text: 'Sign in',
+    id: 'login-btn',
+  });
+  const help = candidate({
+    index: 2,
+    tag: 'a',
+    type: '',
+    role: 'link',
+    name: 'Help',
+    text: 'Help',
+  });
+
+  test('a confident best candidate is the match', () => {
+    const { match, ranked, ambiguous } = rankCandidates(intent, [help, signIn]);
+    expect(match.candidate).toBe(signIn);
+    expect(ranked.map((entry) => entry.candidate)).toEqual([signIn, help]);
+    expect(ambiguous).toBe(false);
+  });
+
+  test('disabled candidates are left out', () => {
+    const { match, ranked } = rankCandidates(intent, [
+      { ...signIn, disabled: true },
+      help,
+    ]);
+    expect(ranked.map((entry) => entry.candidate)).toEqual([help]);
+    expect(match).toBeNull();
+  });
+
+  test('two equally good candidates are ambiguous', () => {
+    const { match, ambiguous } = rankCandidates(intent, [
+      signIn,
+      { ...signIn, index: 3 },
+    ]);
+    expect(match).toBeNull();
+    expect(ambiguous).toBe(true);
+  });
+
+  test('nothing is healed below the threshold', () => {
+    expect(rankCandidates(intent, [signIn], { threshold: 1.01 }).match).toBe(
+      null
+    );
+    expect(rankCandidates(intent, []).match).toBeNull();
+  });
+});
@@ -0,0 +1,107 @@
+import { test, expect } from '@playwright/test';
+import {
+  findRefElement,
+  takeSnapshot,
+  uniqueSelector,
+} from '../../src/snapshot.js';
+
+const PAGE = `<!DOCTYPE html>
+<header><nav><a href="/home">Home</a></nav></header>
+<main id="content">
+  <h1>Contact</h1>
+  <p>Write to us.</p>
+  <form>
+    <label>Email <input type="email" value="ann@example.com" required></label>
+    <button type="submit" disabled>Send</button>
+  </form>
+  <div hidden><button>Secret</button></div>
+</main>`;
+
+const snapshot = (page, options = {}) =>
+  page.evaluate(takeSnapshot, {
+    rootSelector: null,
+    maxLength: 12000,
+    interactiveOnly: false,
+    nextRef: 1,
+    ...options,
+  });
+
+// takeSnapshot, findRefElement and uniqueSelector run in the page
+test.describe('page snapshot', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.setContent(PAGE);
+  });
+
+  test('the tree lists roles, names, states and refs', async ({ page }) => {
+    expect(await snapshot(page)).toEqual({
+      lines: [
+        '- banner [ref=e1]',
+        '  - navigation [ref=e2]',
+        '    - link "Home" [ref=e3] href="/home"',
+        '- main [ref=e4]',
+        '  - heading "Contact" [level=1] [ref=e5]',
+        '  - text: "Write to us."',
+        '  - form [ref=e6]',
+        '    - textbox "Email" [required] [ref=e7] value="ann@example.com"',
+        '    - button "Send" [disabled] [ref=e8]',
+      ],
+      total: 9,
+      truncated: false,
+      nextRef: 9,
+    });
+  });
+
+  test('refs stay with their elements and are not reused', async ({ page }) => {
+    await snapshot(page);
+    await page.evaluate(() =>
+      document
+        .querySelector('form')
+        .insertAdjacentHTML('beforeend', '<button type="reset">Reset</button>')
+    );
+
+    const { lines, nextRef } = await snapshot(page, {
+      interactiveOnly: true,
+      nextRef: 100,
+    });
+    expect(lines).toEqual([
+      '- link "Home" [ref=e3] href="/home"',
+      '- textbox "Email" [required] [ref=e7] value="ann@example.com"',
+      '- button "Send" [disabled] [ref=e8]',
+      '- button "Reset" [ref=e100]',
+    ]);
+    expect(nextRef).toBe(101);
+
+    const link = await page.evaluateHandle(findRefElement, 'e3');
+    expect(await link.evaluate((el) => el.textContent)).toBe('Home');
+    await page.evaluate(() => document.querySelector('nav').remove());
+    expect(await page.evaluate(findRefElement, 'e3')).toBeNull();
+  });
+
+  test('long snapshots are cut off but counted', async ({ page }) => {
+    expect(
+      await snapshot(page, { rootSelector: 'form', maxLength: 60 })
+    ).toEqual({
+      lines: ['- form [ref=e1]'],
+      total: 3,
+      truncated: true,
+      nextRef: 4,
+    });
+    await expect(snapshot(page, { rootSelector: '#missing' })).rejects.toThrow(
+      'No element matches #missing'
+    );
+  });
+
+  test('selectors for refs prefer ids and stable attributes', async ({
+    page,
+  }) => {
+    expect(await page.locator('nav a').evaluate(uniqueSelector)).toBe(
+      'a[href="/home"]'
+    );
+    expect(await page.locator('form input').evaluate(uniqueSelector)).toBe(
+      '#content > form > label > input'
+    );
+    expect(await page.locator('main').evaluate(uniqueSelector)).toBe(
+      '#content'
+    );
+  });
+});
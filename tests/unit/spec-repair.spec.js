@@ -0,0 +1,158 @@
+import { test, expect } from '@playwright/test';
+import {
+  failingStepIndex,
+  replaceLines,
+  specSteps,
+  unifiedDiff,
+} from '../../src/spec-repair.js';
+
+const SPEC = `import { test, expect } from '@playwright/test';
+
+test.describe('Contact', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('https://example.com/contact');
+  });
+
+  test('sends a message', async ({ page }) => {
+    await page.getByLabel('Customer name').fill("O'Brien");
+    await page
+      .getByRole('button', { name: 'Send' })
+      .click();
+    await expect(page.getByText('Thanks')).toBeVisible();
+    await page.getByLabel('Email').fill(row.email);
+  });
+});
+`;
+
+test.describe('spec repair', () => {
+  test('steps of a test start with its beforeEach hooks', () => {
+    const steps = specSteps(SPEC, 8);
+    expect(
+      steps.map(({ action, line, endLine, hook }) => ({
+        action,
+        line,
+        endLine,
+        hook,
+      }))
+    ).toEqual([
+      {
+        action: {
+          name: 'navigate_to',
+          arguments: { url: 'https://example.com/contact' },
+        },
+        line: 5,
+        endLine: 5,
+        hook: true,
+      },
+      {
+        action: {
+          name: 'fill_input',
+          arguments: {
+            selector: 'internal:label="Customer name"i',
+            text: "O'Brien",
+          },
+        },
+        line: 9,
+        endLine: 9,
+        hook: false,
+      },
+      {
+        action: {
+          name: 'click_element',
+          arguments: { selector: 'internal:role=button[name="Send"i]' },
+        },
+        line: 10,
+        endLine: 12,
+        hook: false,
+      },
+      {
+        action: {
+          name: 'assert_visible',
+          arguments: { selector: 'internal:text="Thanks"i', visible: true },
+        },
+        line: 13,
+        endLine: 13,
+        hook: false,
+      },
+      { action: null, line: 14, endLine: 14, hook: false },
+    ]);
+    expect(steps[4].reason).toBe('Cannot replay non-literal value at line 14');
+    expect(steps[2].code).toBe(
+      "await page\n      .getByRole('button', { name: 'Send' })\n      .click();"
+    );
+  });
+
+  test('only a line that declares a test has steps', () => {
+    expect(() => specSteps(SPEC, 3)).toThrow(
+      'No test is declared at line 3 of the spec'
+    );
+  });
+
+  test('a failure belongs to the step spanning its line', () => {
+    const steps = specSteps(SPEC, 8);
+    expect(failingStepIndex(steps, 11)).toBe(2);
+    expect(failingStepIndex(steps, 5)).toBe(0);
+    expect(failingStepIndex(steps, 8)).toBe(-1);
+  });
+
+  test('a replacement moves to the step indentation and keeps its nesting', () => {
+    const patched = replaceLines(
+      SPEC,
+      10,
+      12,
+      '\n        await page\n          .getByRole("button", { name: "Submit" })\n\n          .click();   \n'
+    );
+    expect(patched.split('\n').slice(8, 14)).toEqual([
+      `    await page.getByLabel('Customer name').fill("O'Brien");`,
+      '    await page',
+      '      .getByRole("button", { name: "Submit" })',
+      '',
+      '      .click();',
+      "    await expect(page.getByText('Thanks')).toBeVisible();",
+    ]);
+  });
+
+  test('the diff covers the replaced lines with context', () => {
+    const patched = replaceLines(
+      SPEC,
+      13,
+      13,
+      "await expect(page.getByText('Thank you')).toBeVisible();"
+    );
+    expect(unifiedDiff('tests/contact.spec.js', SPEC, patched)).toBe(
+      [
+        '--- a/tests/contact.spec.js',
+        '+++ b/tests/contact.spec.js',
+        '@@ -10,7 +10,7 @@',
+        '     await page',
+        "       .getByRole('button', { name: 'Send' })",
+        '       .click();',
+        "-    await expect(page.getByText('Thanks')).toBeVisible();",
+        "+    await expect(page.getByText('Thank you')).toBeVisible();",
+        "     await page.getByLabel('Email').fill(row.email);",
+        '   });',
+        ' });',
+        '',
+      ].join('\n')
+    );
+    expect(unifiedDiff('a.spec.js', SPEC, SPEC)).toBe('');
+  });
+
+  test('removed lines and a missing final newline diff cleanly', () => {
+    const patched = replaceLines(SPEC, 14, 14, '').replace(/\n$/, '');
+    expect(unifiedDiff('a.spec.js', SPEC, patched)).toBe(
+      [
+        '--- a/a.spec.js',
+        '+++ b/a.spec.js',
+        '@@ -11,6 +11,5 @@',
+        "       .getByRole('button', { name: 'Send' })",
+        '       .click();',
+        "     await expect(page.getByText('Thanks')).toBeVisible();",
+        "-    await page.getByLabel('Email').fill(row.email);",
+        '   });',
+        ' });',
+        '',
+      ].join('\n')
+    );
+  });
+});
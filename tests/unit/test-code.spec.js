@@ -0,0 +1,94 @@
+import { test, expect } from '@playwright/test';
+import { checkSyntax } from '../../src/code-emitter.js';
+import {
+  describeCode,
+  sharedStepCount,
+  testBlockCode,
+} from '../../src/test-code.js';
+
+const open = { name: 'navigate_to', arguments: { url: 'https://example.com' } };
+const login = { name: 'click_element', arguments: { selector: '#login' } };
+const fill = (text) => ({
+  name: 'fill_input',
+  arguments: { selector: '#q', text },
+});
+
+test.describe('test code', () => {
+  test('test blocks indent their statements', () => {
+    expect(
+      testBlockCode('test', "it's a test", [
+        "await page.goto('https://example.com');",
+        "await expect(page.getByText('Hi'))\n  .toBeVisible();",
+      ])
+    ).toBe(
+      [
+        "test('it\\'s a test', async ({ page }) => {",
+        "  await page.goto('https://example.com');",
+        "  await expect(page.getByText('Hi'))",
+        '  .toBeVisible();',
+        '});',
+      ].join('\n')
+    );
+  });
+
+  test('hooks have no title and ask for context when they use it', () => {
+    expect(
+      testBlockCode(
+        'test.beforeEach',
+        null,
+        ["await context.grantPermissions(['geolocation']);"],
+        '  '
+      )
+    ).toBe(
+      [
+        '  test.beforeEach(async ({ page, context }) => {',
+        "    await context.grantPermissions(['geolocation']);",
+        '  });',
+      ].join('\n')
+    );
+  });
+
+  test('describe blocks wrap the nested blocks', () => {
+    const code = describeCode('Login', [
+      testBlockCode('test.beforeEach', null, ['await page.goto("/");'], '  '),
+      testBlockCode('test.fixme', 'wrong password', ['// failed'], '  '),
+    ]);
+    expect(code).toMatch(/^test\.describe\('Login', \(\) => \{\n/);
+    expect(code).toContain("\n\n  test.fixme('wrong password'");
+    expect(() =>
+      checkSyntax(`import { test } from '@playwright/test';\n${code}\n`)
+    ).not.toThrow();
+  });
+
+  test('scenarios share their common leading steps', () => {
+    expect(
+      sharedStepCount([
+        [open, login, fill('a')],
+        [open, login, fill('b')],
+      ])
+    ).toBe(2);
+    expect(
+      sharedStepCount([
+        [open, fill('a')],
+        [open, fill('b')],
+        [login, fill('c')],
+      ])
+    ).toBe(0);
+  });
+
+  test('each scenario keeps a step of its own', () => {
+    expect(
+      sharedStepCount([
+        [open, login],
+        [open, login, fill('a')],
+      ])
+    ).toBe(1);
+    expect(sharedStepCount([[open, login]])).toBe(0);
+    expect(
+      sharedStepCount([
+        [open, { ...login, arguments: { selector: '#login', timeout: 5 } }],
+        [open, login],
+      ])
+    ).toBe(1);
+  });
+});
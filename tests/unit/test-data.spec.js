@@ -0,0 +1,122 @@
+import { test, expect } from '@playwright/test';
+import { parse } from 'csv-parse/sync';
+import { checkSyntax, templateLiteral } from '../../src/code-emitter.js';
+import {
+  dataColumns,
+  dataRows,
+  dataTableCode,
+  normalizeDataSource,
+  rowValue,
+  toCsv,
+} from '../../src/test-data.js';
+
+const FILLS = [
+  {
+    locator: "page.getByLabel('Email address')",
+    selector: '#email',
+    text: 'ann@example.com',
+  },
+  {
+    locator: "page.getByRole('textbox', { name: 'Customer name' })",
+    selector: 'input[name="custname"]',
+    text: 'Ann "A" O\'Brien',
+    actualValue: 'Ann "A" O\'Brien',
+  },
+  { selector: 'input[name="custname"]', text: 'second' },
+  { selector: 'textarea', text: 'line one\nline two, with comma' },
+];
+
+test.describe('test data', () => {
+  test('filled fields become named columns', () => {
+    expect(dataColumns(FILLS)).toEqual([
+      { name: 'emailAddress', field: 'Email address', value: FILLS[0].text },
+      {
+        name: 'customerName',
+        field: 'Customer name',
+        value: FILLS[1].text,
+        actualValue: FILLS[1].text,
+      },
+      { name: 'custname', field: 'custname', value: 'second' },
+      { name: 'field', field: 'textarea', value: FILLS[3].text },
+    ]);
+    expect(dataColumns([{ selector: '#description', text: 'x' }])[0].name).toBe(
+      'description2'
+    );
+  });
+
+  test('the recorded row comes first and extra rows fill in the rest', () => {
+    const columns = dataColumns(FILLS.slice(0, 2));
+    expect(
+      dataRows(columns, [
+        { description: 'empty email', emailAddress: '' },
+        { description: 'empty email', customerName: 42, unknown: 'x' },
+        { emailAddress: null },
+      ])
+    ).toEqual([
+      {
+        description: 'recorded values',
+        emailAddress: FILLS[0].text,
+        customerName: FILLS[1].text,
+      },
+      {
+        description: 'empty email',
+        emailAddress: '',
+        customerName: FILLS[1].text,
+      },
+      {
+        description: 'empty email (2)',
+        emailAddress: FILLS[0].text,
+        customerName: '42',
+      },
+      {
+        description: 'row 4',
+        emailAddress: FILLS[0].text,
+        customerName: FILLS[1].text,
+      },
+    ]);
+  });
+
+  test('inline tables read back as the rows', () => {
+    const columns = dataColumns(FILLS);
+    const rows = dataRows(columns, [{ description: '${oops}`' }]);
+    const table = dataTableCode('inline', rows);
+    expect(table.imports).toEqual([]);
+    expect(new Function(`${table.code}\nreturn data;`)()).toEqual(rows);
+  });
+
+  test('CSV tables survive quotes, commas and line breaks', () => {
+    const columns = dataColumns(FILLS);
+    const names = ['description', ...columns.map((column) => column.name)];
+    const rows = dataRows(columns, [
+      { description: ' leading space', field: '' },
+    ]);
+    expect(parse(toCsv(names, rows), { columns: true })).toEqual(rows);
+  });
+
+  test('JSON and CSV tables are read from the project-relative file', () => {
+    const json = dataTableCode('json', [], "tests/data/it's.json");
+    expect(json.imports).toEqual(["import { readFileSync } from 'fs';"]);
+    expect(json.code).toBe(
+      "const data = JSON.parse(readFileSync('tests/data/it\\'s.json', 'utf8'));"
+    );
+
+    const csv = dataTableCode('csv', [], 'tests/data/login.csv');
+    expect(csv.imports).toContain("import { parse } from 'csv-parse/sync';");
+    expect(csv.code).toBe(
+      "const data = parse(readFileSync('tests/data/login.csv'), { columns: true });"
+    );
+    expect(() =>
+      checkSyntax(`${csv.imports.join('\n')}\n${csv.code}\n`)
+    ).not.toThrow();
+  });
+
+  test('row values are code, not strings', () => {
+    expect(templateLiteral('Login: ', rowValue('description'))).toBe(
+      '`Login: ${row.description}`'
+    );
+    expect(normalizeDataSource()).toBe('inline');
+    expect(() => normalizeDataSource('xlsx')).toThrow(
+      'Invalid data source: xlsx'
+    );
+  });
+});